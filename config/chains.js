@@ -0,0 +1,20 @@
+// viem chain definitions built from the registry's `chains` section (see vaults.js), so the
+// indexer, vault-kpi and the frontend agree on each chain's id, name, native currency and RPCs.
+// They are plain objects: config/ has no viem dependency of its own.
+
+/**
+ * Returns the viem `Chain` for `chainId` among `chains` (the `chains` of loadVaultRegistry).
+ * Throws when the registry does not declare the chain.
+ */
+export function getViemChain(chains, chainId) {
+  const chain = chains.find(c => c.chainId === chainId);
+  if (!chain) {
+    throw new Error(`Unknown chainId ${chainId}: add it to the "chains" section of the vault registry`);
+  }
+  return {
+    id: chain.chainId,
+    name: chain.name,
+    nativeCurrency: chain.nativeCurrency,
+    rpcUrls: { default: { http: chain.rpcUrls } },
+  };
+}
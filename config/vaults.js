@@ -0,0 +1,249 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const DEFAULT_REGISTRY_PATH = join(__dirname, 'vaults.json');
+
+const ADDRESS_RE = /^0x[0-9a-fA-F]{40}$/;
+const SETTLEMENT_MODES = ['sync', 'async'];
+
+function registryError(path, problems) {
+  const error = new Error(`Invalid vault registry ${path}:\n  - ${problems.join('\n  - ')}`);
+  error.name = 'VaultRegistryError';
+  error.problems = problems;
+  return error;
+}
+
+function readRegistry(path) {
+  let raw;
+  try {
+    raw = readFileSync(path, 'utf8');
+  } catch (e) {
+    throw registryError(path, [`cannot read file: ${e.message}`]);
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw registryError(path, [`invalid JSON: ${e.message}`]);
+  }
+}
+
+// RPC entries are either a URL or `{ url, maxBlockRange }`, where maxBlockRange is the
+// widest eth_getLogs range the endpoint accepts.
+function normalizeRpcEntries(entries, where, problems) {
+  const urls = [];
+  const maxBlockRanges = {};
+  for (const entry of entries) {
+    const url = typeof entry === 'string' ? entry : entry?.url;
+    if (!url || typeof url !== 'string') {
+      problems.push(`${where}: rpcUrls entries must be a URL or { url, maxBlockRange }`);
+      continue;
+    }
+    if (typeof entry === 'object' && entry.maxBlockRange !== undefined) {
+      if (!Number.isInteger(entry.maxBlockRange) || entry.maxBlockRange <= 0) {
+        problems.push(`${where}: maxBlockRange for ${url} must be a positive integer`);
+        continue;
+      }
+      maxBlockRanges[url] = BigInt(entry.maxBlockRange);
+    }
+    urls.push(url);
+  }
+  return { urls, maxBlockRanges };
+}
+
+function normalizeChains(rawChains, problems) {
+  const chains = [];
+  if (!rawChains || typeof rawChains !== 'object' || Array.isArray(rawChains)) {
+    problems.push('`chains` must be an object keyed by chainId');
+    return chains;
+  }
+  const seenKeys = new Set();
+  for (const [chainIdStr, c] of Object.entries(rawChains)) {
+    const chainId = Number(chainIdStr);
+    const where = `chains.${chainIdStr}`;
+    if (!Number.isInteger(chainId) || chainId <= 0) {
+      problems.push(`${where}: chainId must be a positive integer`);
+      continue;
+    }
+    if (!c?.key || typeof c.key !== 'string') {
+      problems.push(`${where}: missing \`key\``);
+      continue;
+    }
+    if (seenKeys.has(c.key)) {
+      problems.push(`${where}: duplicate chain key "${c.key}"`);
+      continue;
+    }
+    seenKeys.add(c.key);
+    if (c.rpcUrls !== undefined && !Array.isArray(c.rpcUrls)) {
+      problems.push(`${where}: rpcUrls must be an array`);
+      continue;
+    }
+    const currency = c.nativeCurrency;
+    if (!currency?.name || !currency?.symbol || !Number.isInteger(currency?.decimals) || currency.decimals < 0) {
+      problems.push(`${where}: nativeCurrency must be { name, symbol, decimals }`);
+      continue;
+    }
+    const rpc = normalizeRpcEntries(c.rpcUrls || [], where, problems);
+    chains.push({
+      chainId,
+      key: c.key,
+      name: c.name || c.key,
+      defillama: c.defillama || c.key,
+      rpcUrls: rpc.urls,
+      rpcMaxBlockRanges: rpc.maxBlockRanges,
+      nativeCurrency: { name: currency.name, symbol: currency.symbol, decimals: currency.decimals },
+    });
+  }
+  return chains;
+}
+
+function normalizeVault(v, index, chains, env, problems) {
+  const where = `vaults[${index}]${v?.id ? ` (${v.id})` : ''}`;
+  const vaultProblems = [];
+  const overrides = v?.env || {};
+  const fromEnv = (field) => (overrides[field] ? env[overrides[field]] : undefined) || undefined;
+
+  for (const field of ['id', 'name', 'address', 'chainId', 'asset', 'settlement', 'safetyMargin']) {
+    if (v?.[field] === undefined || v?.[field] === null || v?.[field] === '') {
+      vaultProblems.push(`${where}: missing \`${field}\``);
+    }
+  }
+  if (vaultProblems.length) {
+    problems.push(...vaultProblems);
+    return null;
+  }
+
+  const chain = chains.find(c => c.chainId === v.chainId);
+  if (!chain) {
+    vaultProblems.push(`${where}: chainId ${v.chainId} is not declared in \`chains\``);
+  }
+
+  const address = fromEnv('address') || v.address;
+  if (!ADDRESS_RE.test(address)) {
+    vaultProblems.push(`${where}: invalid address "${address}"`);
+  }
+
+  const depositRouter = fromEnv('depositRouter') || v.depositRouter || null;
+  if (depositRouter && !ADDRESS_RE.test(depositRouter)) {
+    vaultProblems.push(`${where}: invalid depositRouter "${depositRouter}"`);
+  }
+
+  for (const field of ['deploymentBlock', 'depositRouterDeploymentBlock']) {
+    if (v[field] !== undefined && v[field] !== null && !(Number.isInteger(v[field]) && v[field] >= 0)) {
+      vaultProblems.push(`${where}: ${field} must be a non-negative integer`);
+    }
+  }
+
+  if (!ADDRESS_RE.test(v.asset.address || '')) {
+    vaultProblems.push(`${where}: invalid asset.address "${v.asset.address}"`);
+  }
+  if (!v.asset.symbol) {
+    vaultProblems.push(`${where}: missing \`asset.symbol\``);
+  }
+  if (!Number.isInteger(v.asset.decimals) || v.asset.decimals < 0) {
+    vaultProblems.push(`${where}: asset.decimals must be a non-negative integer`);
+  }
+
+  if (!SETTLEMENT_MODES.includes(v.settlement)) {
+    vaultProblems.push(`${where}: settlement must be one of ${SETTLEMENT_MODES.join(', ')}`);
+  }
+
+  const safetyMarginRaw = fromEnv('safetyMargin') ?? v.safetyMargin;
+  if (!/^\d+$/.test(String(safetyMarginRaw))) {
+    vaultProblems.push(`${where}: safetyMargin must be a non-negative integer (got "${safetyMarginRaw}")`);
+  }
+
+  const threshold = v.reconciliationThresholdBps;
+  if (threshold !== undefined && threshold !== null && !(Number.isInteger(threshold) && threshold >= 0)) {
+    vaultProblems.push(`${where}: reconciliationThresholdBps must be a non-negative integer`);
+  }
+
+  if (v.rpcUrls !== undefined && !Array.isArray(v.rpcUrls)) {
+    vaultProblems.push(`${where}: rpcUrls must be an array`);
+  }
+  const envRpc = fromEnv('rpcUrl');
+  const vaultRpc = normalizeRpcEntries(Array.isArray(v.rpcUrls) ? v.rpcUrls : [], where, vaultProblems);
+  const rpcUrls = [...new Set([
+    ...(envRpc ? [envRpc] : []),
+    ...vaultRpc.urls,
+    ...(chain?.rpcUrls || []),
+  ])];
+  if (rpcUrls.length === 0) {
+    vaultProblems.push(`${where}: no RPC URL configured${overrides.rpcUrl ? ` (set ${overrides.rpcUrl})` : ''}`);
+  }
+
+  if (vaultProblems.length) {
+    problems.push(...vaultProblems);
+    return null;
+  }
+
+  return {
+    id: v.id,
+    name: v.name,
+    address,
+    chain: chain.key,
+    chainId: chain.chainId,
+    asset: {
+      address: v.asset.address,
+      symbol: v.asset.symbol,
+      decimals: v.asset.decimals,
+    },
+    depositRouter,
+    deploymentBlock: v.deploymentBlock != null ? BigInt(v.deploymentBlock) : null,
+    depositRouterDeploymentBlock: v.depositRouterDeploymentBlock != null ? BigInt(v.depositRouterDeploymentBlock) : null,
+    rpcUrls,
+    env: { ...overrides },
+    rpcMaxBlockRanges: { ...(chain?.rpcMaxBlockRanges || {}), ...vaultRpc.maxBlockRanges },
+    subgraph: v.subgraph ?? null,
+    settlement: v.settlement,
+    hasSettlement: v.settlement === 'async',
+    safetyMargin: BigInt(safetyMarginRaw),
+    reconciliationThresholdBps: threshold ?? null,
+  };
+}
+
+/**
+ * Loads and validates the shared vault registry (config/vaults.json by default,
+ * or VAULTS_CONFIG_PATH). Throws a VaultRegistryError listing every problem found,
+ * including missing fields and duplicate vault ids or addresses.
+ */
+export function loadVaultRegistry({ env = process.env, path } = {}) {
+  const registryPath = resolve(path || env.VAULTS_CONFIG_PATH || DEFAULT_REGISTRY_PATH);
+  const raw = readRegistry(registryPath);
+  const problems = [];
+
+  const chains = normalizeChains(raw.chains, problems);
+
+  if (!Array.isArray(raw.vaults) || raw.vaults.length === 0) {
+    problems.push('`vaults` must be a non-empty array');
+  }
+
+  const vaults = [];
+  const seenIds = new Set();
+  const seenAddresses = new Set();
+  (Array.isArray(raw.vaults) ? raw.vaults : []).forEach((v, i) => {
+    const vault = normalizeVault(v, i, chains, env, problems);
+    if (!vault) return;
+    if (seenIds.has(vault.id)) {
+      problems.push(`vaults[${i}]: duplicate vault id "${vault.id}"`);
+      return;
+    }
+    const addressKey = `${vault.chain}:${vault.address.toLowerCase()}`;
+    if (seenAddresses.has(addressKey)) {
+      problems.push(`vaults[${i}] (${vault.id}): vault ${vault.address} on ${vault.chain} is already registered`);
+      return;
+    }
+    seenIds.add(vault.id);
+    seenAddresses.add(addressKey);
+    vaults.push(vault);
+  });
+
+  if (problems.length) {
+    throw registryError(registryPath, problems);
+  }
+
+  return { path: registryPath, chains, vaults };
+}
@@ -1,5 +1,8 @@
 -- Yieldo MVP Database Schema
 -- PostgreSQL database initialization
+--
+-- Original relational schema. The indexer's Postgres backend uses the schema in
+-- storage/postgres-migrations, which is derived from this one (see database/postgres.md).
 
 CREATE DATABASE IF NOT EXISTS yieldo;
 
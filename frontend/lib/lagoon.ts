@@ -1,28 +1,44 @@
 import { Vault } from '@lagoon-protocol/v0-viem'
 import { VaultUtils } from '@lagoon-protocol/v0-core'
-import { createPublicClient, http, Address } from 'viem'
-import { avalanche, mainnet } from 'viem/chains'
-import { getVaultById } from './vaults-config'
-
-const clients = {
-  avalanche: createPublicClient({
-    chain: avalanche,
-    transport: http(process.env.NEXT_PUBLIC_AVALANCHE_RPC_URL || 'https://api.avax.network/ext/bc/C/rpc'),
-  }),
-  ethereum: createPublicClient({
-    chain: mainnet,
-    transport: http(process.env.NEXT_PUBLIC_ETHEREUM_RPC_URL || 'https://1rpc.io/eth'),
-  }),
+import { createPublicClient, defineChain, http, Address, Chain, PublicClient } from 'viem'
+import { ChainConfig, ChainName, getChainByKey } from './vaults-config'
+
+// Next.js only inlines NEXT_PUBLIC_* variables that are referenced literally.
+const RPC_URL_OVERRIDES: Record<string, string | undefined> = {
+  avalanche: process.env.NEXT_PUBLIC_AVALANCHE_RPC_URL,
+  ethereum: process.env.NEXT_PUBLIC_ETHEREUM_RPC_URL,
+}
+
+const clients = new Map<ChainName, PublicClient>()
+
+// Built from the registry, like config/chains.js, rather than importing every chain viem ships.
+function getViemChain(config: ChainConfig): Chain {
+  return defineChain({
+    id: config.chainId,
+    name: config.name,
+    nativeCurrency: config.nativeCurrency,
+    rpcUrls: { default: { http: config.rpcUrls } },
+  })
 }
 
 const vaultStateCache = new Map<string, { state: any; timestamp: number }>()
 const CACHE_TTL = 15 * 1000
 
-export function getClientForChain(chain: 'avalanche' | 'ethereum') {
-  return clients[chain]
+export function getClientForChain(chain: ChainName): PublicClient {
+  const cached = clients.get(chain)
+  if (cached) return cached
+
+  const config = getChainByKey(chain)
+  const rpcUrl = RPC_URL_OVERRIDES[chain] || config?.rpcUrls[0]
+  if (!config || !rpcUrl) {
+    throw new Error(`No RPC configured for chain "${chain}": add it to the "chains" section of the vault registry`)
+  }
+  const client = createPublicClient({ chain: getViemChain(config), transport: http(rpcUrl) }) as PublicClient
+  clients.set(chain, client)
+  return client
 }
 
-export async function fetchVault(address: Address, chain: 'avalanche' | 'ethereum' = 'avalanche') {
+export async function fetchVault(address: Address, chain: ChainName = 'avalanche') {
   try {
     const client = getClientForChain(chain)
     const vault = await Vault.fetch(address, client)
@@ -37,7 +53,7 @@ export async function getVaultAPR(
   vaultAddress: Address,
   startBlockNumber: bigint,
   endBlockNumber: bigint,
-  chain: 'avalanche' | 'ethereum' = 'avalanche',
+  chain: ChainName = 'avalanche',
   decimals = 18
 ) {
   try {
@@ -69,7 +85,7 @@ export async function getVaultAPR(
   }
 }
 
-export async function getVaultState(vaultAddress: Address, chain: 'avalanche' | 'ethereum' = 'avalanche', forceRefresh = false) {
+export async function getVaultState(vaultAddress: Address, chain: ChainName = 'avalanche', forceRefresh = false) {
   const cacheKey = `${vaultAddress.toLowerCase()}_${chain}`
   const cached = vaultStateCache.get(cacheKey)
   const now = Date.now()
@@ -1,8 +1,24 @@
+import registry from '../../config/vaults.json';
+
+// The keys of the registry's `chains` section. JSON imports widen them to string, so they are
+// listed here and every registry chain is checked against the list when it loads.
+export const CHAIN_NAMES = ['ethereum', 'optimism', 'base', 'arbitrum', 'avalanche'] as const;
+
+export type ChainName = (typeof CHAIN_NAMES)[number];
+
+export interface ChainConfig {
+  chainId: number;
+  key: ChainName;
+  name: string;
+  nativeCurrency: { name: string; symbol: string; decimals: number };
+  rpcUrls: string[];
+}
+
 export interface VaultConfig {
   id: string;
   name: string;
   address: string;
-  chain: 'avalanche' | 'ethereum';
+  chain: ChainName;
   chainId: number;
   asset: {
     address: string;
@@ -13,36 +29,84 @@ export interface VaultConfig {
   hasSettlement: boolean;
 }
 
-export const VAULTS_CONFIG: VaultConfig[] = [
-  {
-    id: 'turtle-avalanche-usdc',
-    name: 'Turtle Avalanche USDC',
-    address: process.env.NEXT_PUBLIC_AVALANCHE_VAULT_ADDRESS || '0x3048925b3ea5a8c12eecccb8810f5f7544db54af',
-    chain: 'avalanche',
-    chainId: 43114,
-    asset: {
-      address: process.env.NEXT_PUBLIC_AVALANCHE_USDC_ADDRESS || '0xB97EF9Ef8734C71904D8002F8b6Bc66Dd9c48a6E',
-      symbol: 'USDC',
-      decimals: 6,
-    },
+// Next.js only inlines NEXT_PUBLIC_* variables that are referenced literally,
+// so per-vault overrides cannot be looked up from the registry's `env` names.
+const ENV_OVERRIDES: Record<string, { address?: string; assetAddress?: string; depositRouter?: string }> = {
+  'turtle-avalanche-usdc': {
+    address: process.env.NEXT_PUBLIC_AVALANCHE_VAULT_ADDRESS,
+    assetAddress: process.env.NEXT_PUBLIC_AVALANCHE_USDC_ADDRESS,
     depositRouter: process.env.NEXT_PUBLIC_AVALANCHE_DEPOSIT_ROUTER_ADDRESS || process.env.NEXT_PUBLIC_DEPOSIT_ROUTER_ADDRESS,
-    hasSettlement: false,
   },
-  {
-    id: '9summits-ethereum-usdc',
-    name: '9Summits Flagship USDC',
-    address: '0x03d1ec0d01b659b89a87eabb56e4af5cb6e14bfc',
-    chain: 'ethereum',
-    chainId: 1,
-    asset: {
-      address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
-      symbol: 'USDC',
-      decimals: 6,
-    },
+  '9summits-ethereum-usdc': {
     depositRouter: process.env.NEXT_PUBLIC_ETHEREUM_DEPOSIT_ROUTER_ADDRESS,
-    hasSettlement: true,
   },
-];
+};
+
+type RegistryRpcEntry = string | { url: string; maxBlockRange?: number };
+
+type RegistryChain = {
+  key: string;
+  name: string;
+  nativeCurrency: ChainConfig['nativeCurrency'];
+  rpcUrls?: RegistryRpcEntry[];
+};
+
+function isChainName(key: string): key is ChainName {
+  return (CHAIN_NAMES as readonly string[]).includes(key);
+}
+
+function loadChains(): ChainConfig[] {
+  const chains = registry.chains as Record<string, RegistryChain>;
+  return Object.entries(chains).map(([chainId, c]) => {
+    if (!isChainName(c.key)) {
+      throw new Error(`Vault registry: chain key "${c.key}" is missing from CHAIN_NAMES in lib/vaults-config.ts`);
+    }
+    return {
+      chainId: Number(chainId),
+      key: c.key,
+      name: c.name,
+      nativeCurrency: c.nativeCurrency,
+      rpcUrls: (c.rpcUrls || []).map(entry => (typeof entry === 'string' ? entry : entry.url)),
+    };
+  });
+}
+
+export const CHAINS: ChainConfig[] = loadChains();
+
+export function getChainByKey(key: string): ChainConfig | undefined {
+  return CHAINS.find(c => c.key === key);
+}
+
+function loadVaults(): VaultConfig[] {
+  const seen = new Set<string>();
+  return registry.vaults.map((v) => {
+    const chain = CHAINS.find(c => c.chainId === v.chainId);
+    if (!chain) {
+      throw new Error(`Vault registry: ${v.id} references unknown chainId ${v.chainId}`);
+    }
+    if (seen.has(v.id)) {
+      throw new Error(`Vault registry: duplicate vault id "${v.id}"`);
+    }
+    seen.add(v.id);
+    const overrides = ENV_OVERRIDES[v.id] || {};
+    return {
+      id: v.id,
+      name: v.name,
+      address: overrides.address || v.address,
+      chain: chain.key,
+      chainId: v.chainId,
+      asset: {
+        address: overrides.assetAddress || v.asset.address,
+        symbol: v.asset.symbol,
+        decimals: v.asset.decimals,
+      },
+      depositRouter: overrides.depositRouter || v.depositRouter || undefined,
+      hasSettlement: v.settlement === 'async',
+    };
+  });
+}
+
+export const VAULTS_CONFIG: VaultConfig[] = loadVaults();
 
 export function getVaultById(id: string): VaultConfig | undefined {
   return VAULTS_CONFIG.find(v => v.id === id);
@@ -57,4 +121,3 @@ export function getVaultByAddress(address: string, chain: string): VaultConfig |
 export function getVaultsByChain(chain: string): VaultConfig[] {
   return VAULTS_CONFIG.filter(v => v.chain === chain);
 }
-
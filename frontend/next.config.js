@@ -1,3 +1,7 @@
+// lib/vaults-config.ts imports the shared vault registry from ../config/vaults.json, outside
+// this app. Webpack bundles the JSON like any other module, but the build needs a checkout that
+// includes config/ (a build context of frontend/ alone fails to resolve it).
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
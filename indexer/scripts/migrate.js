@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// Checks or applies the storage migrations (src/migrations).
+// Usage: node scripts/migrate.js [check|apply]
+//   check  lists applied and pending migrations; exits 1 when some are pending (default)
+//   apply  applies the pending migrations
+import { VAULTS_CONFIG } from '../src/vaults-config.js';
+import { registerRpcPool, getPooledClient } from '../src/rpc-pool.js';
+import { openStorage } from 'yieldo-storage';
+import { getMigrationStatus, runMigrations } from '../src/migrations/index.js';
+
+const command = process.argv[2] || 'check';
+
+function getClient(chain) {
+  const sameChain = VAULTS_CONFIG.filter(v => v.chain === chain);
+  if (sameChain.length === 0) return null;
+  registerRpcPool({
+    chain,
+    chainId: sameChain[0].chainId,
+    rpcUrls: [...new Set(sameChain.flatMap(v => v.rpcUrls))],
+    maxBlockRanges: Object.assign({}, ...sameChain.map(v => v.rpcMaxBlockRanges)),
+    probeAddress: sameChain[0].address,
+  });
+  return getPooledClient(chain);
+}
+
+function printStatus({ migrations, unknown }) {
+  for (const m of migrations) {
+    const state = m.applied_at ? `applied ${m.applied_at.toISOString()}` : 'pending';
+    console.log(`  ${m.id.padEnd(40)} ${state}`);
+  }
+  for (const id of unknown) {
+    console.log(`  ${id.padEnd(40)} applied, unknown to this version`);
+  }
+}
+
+async function main() {
+  if (!['check', 'apply'].includes(command)) {
+    console.error(`Unknown command "${command}". Usage: node scripts/migrate.js [check|apply]`);
+    process.exit(2);
+  }
+
+  const storage = await openStorage();
+  try {
+    if (command === 'apply') {
+      const applied = await runMigrations(storage, { vaults: VAULTS_CONFIG, getClient });
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Nothing to apply');
+    }
+    const status = await getMigrationStatus(storage.meta);
+    console.log(`Migrations (${storage.backend}):`);
+    printStatus(status);
+    if (command === 'check' && status.pending.length) {
+      console.log(`\n${status.pending.length} pending; run \`npm run migrate -- apply\``);
+      process.exitCode = 1;
+    }
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -1,39 +1,25 @@
 #!/usr/bin/env node
-import { MongoClient } from 'mongodb';
 import dotenv from 'dotenv';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { spawn } from 'child_process';
+import { openStorage } from 'yieldo-storage';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const indexerRoot = join(__dirname, '..');
 
 dotenv.config({ path: join(indexerRoot, '.env') });
 
-const MONGODB_URI = process.env.MONGODB_URI;
-const MONGODB_DB_NAME = process.env.MONGODB_DB_NAME || 'yieldo';
-
-if (!MONGODB_URI) {
-  console.error('❌ Missing MONGODB_URI in .env file');
-  process.exit(1);
-}
-
 async function getAllSnapshotDates() {
-  const client = new MongoClient(MONGODB_URI);
+  let storage;
   try {
-    await client.connect();
-    const db = client.db(MONGODB_DB_NAME);
-    const colSnapshots = db.collection('snapshots');
-    
-    const dates = await colSnapshots.distinct('date');
-    const sortedDates = dates.sort();
-    
-    await client.close();
-    return sortedDates;
+    storage = await openStorage();
+    return await storage.snapshots.distinctDates({});
   } catch (error) {
     console.error('Error fetching snapshot dates:', error);
-    if (client) await client.close();
     throw error;
+  } finally {
+    if (storage) await storage.close();
   }
 }
 
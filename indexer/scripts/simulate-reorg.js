@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+// Forces a reorg on a local Anvil/Hardhat node and checks that detectReorg finds the
+// common ancestor. When storage is configured (MONGODB_URI or DATABASE_URL, see
+// yieldo-storage), it then seeds documents of a throwaway vault around the ancestor, rolls
+// them back and checks the result. Usage: node scripts/simulate-reorg.js [rpcUrl] [depth]
+import assert from 'node:assert/strict';
+import { createPublicClient, http } from 'viem';
+import { openStorage } from 'yieldo-storage';
+import { detectReorg, rememberBlock, rollbackVault } from '../src/reorg.js';
+import { setTransactionStorage } from '../src/transactions.js';
+
+const RPC_URL = process.argv[2] || process.env.REORG_RPC_URL || 'http://127.0.0.1:8545';
+const DEPTH = Number(process.argv[3] || '5');
+
+const client = createPublicClient({ transport: http(RPC_URL) });
+const rpc = (method, params = []) => client.request({ method, params });
+
+async function mine(count) {
+  for (let i = 0; i < count; i++) {
+    await rpc('evm_mine');
+  }
+}
+
+const VAULT = { id: 'simulate-reorg', chain: 'simulate-reorg' };
+const USER = '0x000000000000000000000000000000000000dEaD';
+
+// Seeds one document per rollback case: created past the ancestor (with its mark-yieldo
+// marker consumed), or created before it and moved past it.
+async function seedDocuments(storage, ancestor) {
+  const log = (name, offset) => ({ chain: VAULT.chain, transactionHash: `0x${name}`, logIndex: 0, block: (ancestor + BigInt(offset)).toString() });
+  const doc = ({ block }, fields) => ({ vault_id: VAULT.id, user_address: USER, block_number: block, ...fields });
+  const orphanDeposit = log('orphan-deposit', 1);
+  const settledDeposit = log('settled-deposit', 0);
+  const claimedWithdrawal = log('claimed-withdrawal', 0);
+  const orphanWithdrawal = log('orphan-withdrawal', 1);
+
+  await storage.deposits.upsertByLog(orphanDeposit, doc(orphanDeposit, { status: 'requested', source: 'yieldo' }));
+  await storage.deposits.upsertByLog(settledDeposit, doc(settledDeposit, {
+    status: 'settled', source: 'yieldo', shares: '1', settled_block_number: (ancestor + 2n).toString(),
+  }));
+  await storage.withdrawals.upsertByLog(claimedWithdrawal, doc(claimedWithdrawal, {
+    status: 'withdrawn',
+    source: 'lagoon',
+    assets: '1',
+    settled_at: new Date(),
+    settled_block_number: (ancestor + 1n).toString(),
+    withdrawn_at: new Date(),
+    withdrawn_block_number: (ancestor + 2n).toString(),
+  }));
+  await storage.withdrawals.upsertByLog(orphanWithdrawal, doc(orphanWithdrawal, { status: 'pending', source: 'yieldo' }));
+  await storage.intents.insertIfAbsent({ chain: VAULT.chain, vaultId: VAULT.id, intentHash: '0xintent' }, {
+    ...doc(log('intent', 0), { intent_hash: '0xintent', chain: VAULT.chain }),
+    status: 'executed',
+    executed_tx: '0xorphan-deposit',
+    executed_block_number: (ancestor + 1n).toString(),
+  });
+  return { orphanDeposit, settledDeposit, claimedWithdrawal, orphanWithdrawal };
+}
+
+async function removeDocuments(storage) {
+  const scope = { vaultId: VAULT.id, chain: VAULT.chain };
+  for (const repo of [storage.deposits, storage.withdrawals, storage.intents]) {
+    await repo.removeAfterBlock(scope, -1n);
+  }
+  await storage.meta.clearDepositMarkers('0xorphan-deposit');
+  await storage.pendingYieldoWithdrawals.remove('0xorphan-withdrawal');
+}
+
+async function checkDocumentRollback(ancestor) {
+  const storage = await openStorage();
+  setTransactionStorage(storage);
+  try {
+    await removeDocuments(storage);
+    const seeded = await seedDocuments(storage, ancestor);
+    let rewound = false;
+    await rollbackVault({
+      colDeposits: storage.deposits,
+      colWithdrawals: storage.withdrawals,
+      colIntents: storage.intents,
+      colMeta: storage.meta,
+      colPendingYieldoWithdrawals: storage.pendingYieldoWithdrawals,
+    }, VAULT, ancestor, {
+      onCommit: async () => {
+        rewound = true;
+      },
+    });
+
+    assert.equal(await storage.deposits.findByLog(seeded.orphanDeposit), null, 'orphaned deposit removed');
+    assert.ok(await storage.meta.findDepositMarker('0xorphan-deposit'), 'deposit marker restored');
+    const deposit = await storage.deposits.findByLog(seeded.settledDeposit);
+    assert.equal(deposit.status, 'requested', 'orphaned settlement reverted');
+    assert.equal(deposit.shares, null);
+    assert.equal(await storage.withdrawals.findByLog(seeded.orphanWithdrawal), null, 'orphaned withdrawal removed');
+    assert.ok(await storage.pendingYieldoWithdrawals.find('0xorphan-withdrawal'), 'withdrawal marker restored');
+    assert.equal((await storage.withdrawals.findByLog(seeded.claimedWithdrawal)).status, 'pending', 'orphaned claim and settlement reverted');
+    const [intent] = await storage.intents.find({ vaultId: VAULT.id, chain: VAULT.chain });
+    assert.equal(intent.status, 'pending', 'orphaned execution reverted');
+    assert.ok(rewound, 'cursor rewind ran in the rollback transaction');
+    console.log(`✅ Documents rolled back to block ${ancestor} (${storage.backend})`);
+
+    await removeDocuments(storage);
+  } finally {
+    await storage.close();
+  }
+}
+
+async function main() {
+  await mine(1);
+  const ancestor = await client.getBlock();
+  const snapshotId = await rpc('evm_snapshot');
+
+  // Index DEPTH blocks past the ancestor, remembering their hashes like the cursor does.
+  await mine(DEPTH);
+  let cursor = { block: ancestor.number, hash: ancestor.hash, recent_blocks: rememberBlock([], ancestor.number, ancestor.hash) };
+  for (let n = ancestor.number + 1n; n <= ancestor.number + BigInt(DEPTH); n++) {
+    const block = await client.getBlock({ blockNumber: n });
+    cursor = { block: n, hash: block.hash, recent_blocks: rememberBlock(cursor.recent_blocks, n, block.hash) };
+  }
+  console.log(`Cursor at block ${cursor.block} (${cursor.hash})`);
+
+  // Replace those blocks with a different branch one block longer.
+  await rpc('evm_revert', [snapshotId]);
+  await rpc('evm_increaseTime', [1]);
+  await mine(DEPTH + 1);
+
+  const nextBlock = await client.getBlock({ blockNumber: cursor.block + 1n });
+  const found = await detectReorg(client, cursor, nextBlock);
+  if (!found) {
+    console.error('❌ No reorg detected');
+    process.exit(1);
+  }
+  console.log(`Common ancestor: ${found.number} (${found.hash})`);
+  if (found.number !== ancestor.number || found.hash !== ancestor.hash) {
+    console.error(`❌ Expected ancestor ${ancestor.number} (${ancestor.hash})`);
+    process.exit(1);
+  }
+  console.log('✅ Reorg detected at the expected ancestor');
+
+  if (!process.env.MONGODB_URI && !process.env.DATABASE_URL && !process.env.POSTGRES_URL) {
+    console.log('No storage configured (MONGODB_URI or DATABASE_URL); skipping the document rollback check');
+    return;
+  }
+  await checkDocumentRollback(found.number);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
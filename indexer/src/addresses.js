@@ -0,0 +1,9 @@
+import { normalizeAddress } from 'yieldo-storage';
+
+export { normalizeAddress };
+
+// Normalizes an optional request parameter; absent values stay null.
+export function addressParam(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return normalizeAddress(String(value));
+}
@@ -0,0 +1,85 @@
+import { erc20Abi } from 'viem';
+
+// Yieldo AUM of a vault measured on-chain: the share balances of the users who deposited through
+// Yieldo, converted to assets at the vault's current rate. Unlike the flow-based figure
+// (deposits minus withdrawals) it includes yield and fees. Each balance only counts up to the
+// shares its user acquired through Yieldo, so shares deposited directly on Lagoon or received by
+// transfer are not Yieldo AUM.
+
+const BALANCE_BATCH = 50;
+const DEFAULT_THRESHOLD_BPS = 100;
+
+/**
+ * The shares each user acquired through Yieldo in the vault by `to`: the shares of their
+ * Yieldo-attributed deposits (router, intent or mark-yieldo marker) minus those of their Yieldo
+ * redeem requests. Returns a Map of user address to shares, for the users still holding some.
+ */
+export async function getYieldoNetShares(colDeposits, colWithdrawals, vaultConfig, { to } = {}) {
+  const filter = { vaultId: vaultConfig.id, chain: vaultConfig.chain, yieldo: true, ...(to ? { time: { to } } : {}) };
+  const deposits = await colDeposits.find({ ...filter, statuses: ['executed', 'settled'] });
+  const withdrawals = await colWithdrawals.find({ ...filter, statuses: ['pending', 'settled', 'withdrawn'] });
+
+  const net = new Map();
+  const add = (user, shares) => net.set(user, (net.get(user) ?? 0n) + shares);
+  for (const d of deposits) {
+    if (d.user_address && d.shares) add(d.user_address, BigInt(d.shares));
+  }
+  for (const w of withdrawals) {
+    if (w.user_address && w.shares) add(w.user_address, -BigInt(w.shares));
+  }
+  return new Map([...net].filter(([, shares]) => shares > 0n));
+}
+
+/**
+ * Sums the share balances of the users of `netShares` (see getYieldoNetShares), each capped at
+ * the user's Yieldo shares, and converts them with `vault` (a fetched Lagoon Vault), at
+ * `blockNumber` when given (it should be the block `vault` was fetched at). `heldShares` is the
+ * uncapped sum. Throws when a balance cannot be read, as a partial sum would understate AUM.
+ */
+export async function computeOnchainAUM(client, vaultConfig, vault, netShares, { blockNumber } = {}) {
+  const users = [...netShares.keys()];
+  let shares = 0n;
+  let heldShares = 0n;
+  for (let i = 0; i < users.length; i += BALANCE_BATCH) {
+    const batch = users.slice(i, i + BALANCE_BATCH);
+    const balances = await Promise.all(batch.map(user => client.readContract({
+      address: vaultConfig.address,
+      abi: erc20Abi,
+      functionName: 'balanceOf',
+      args: [user],
+      ...(blockNumber !== undefined ? { blockNumber } : {}),
+    })));
+    balances.forEach((balance, j) => {
+      const cap = netShares.get(batch[j]);
+      shares += balance < cap ? balance : cap;
+      heldShares += balance;
+    });
+  }
+  const assets = shares > 0n && vault.totalSupply > 0n ? vault.convertToAssets(shares) : 0n;
+  return { shares, heldShares, assets, users: users.length };
+}
+
+export function reconciliationThresholdBps(vaultConfig) {
+  return vaultConfig.reconciliationThresholdBps
+    ?? Number(process.env.AUM_RECONCILIATION_THRESHOLD_BPS || DEFAULT_THRESHOLD_BPS);
+}
+
+/**
+ * Compares the on-chain and flow-based AUM of a vault. The difference is relative to the
+ * on-chain figure (or the flow-based one when the vault holds nothing on-chain) and is flagged
+ * above `thresholdBps`.
+ */
+export function reconcileAUM(onchainAssets, flowAssets, thresholdBps) {
+  const difference = flowAssets - onchainAssets;
+  const magnitude = difference < 0n ? -difference : difference;
+  const base = onchainAssets > 0n ? onchainAssets : flowAssets;
+  const differenceBps = base > 0n ? Number((magnitude * 10000n) / base) : 0;
+  return {
+    onchain_assets: onchainAssets.toString(),
+    flow_assets: flowAssets.toString(),
+    difference: difference.toString(),
+    difference_bps: differenceBps,
+    threshold_bps: thresholdBps,
+    flagged: differenceBps > thresholdBps,
+  };
+}
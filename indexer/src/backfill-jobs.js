@@ -0,0 +1,169 @@
+// Historical backfills run as jobs in `backfill_jobs`: the range is indexed in chunks by a
+// single background worker, which persists `next_block` after every chunk so a restart
+// resumes where it stopped. Backfills never move the live indexing cursors.
+
+const DEFAULT_CHUNK_SIZE = BigInt(process.env.BACKFILL_CHUNK_SIZE || '2000');
+const MAX_CHUNK_ATTEMPTS = Number(process.env.BACKFILL_MAX_CHUNK_ATTEMPTS || '5');
+const MAX_STORED_ERRORS = 20;
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+export async function createBackfillJob(colJobs, vaultConfig, { fromBlock, toBlock, chunkSize, contracts, reason }, session) {
+  const job = {
+    vault_id: vaultConfig.id,
+    chain: vaultConfig.chain,
+    contracts: contracts || (vaultConfig.depositRouter ? ['router', 'vault'] : ['vault']),
+    from_block: fromBlock.toString(),
+    to_block: toBlock.toString(),
+    next_block: fromBlock.toString(),
+    chunk_size: (chunkSize || DEFAULT_CHUNK_SIZE).toString(),
+    status: 'queued',
+    reason: reason || 'manual',
+    chunks_done: 0,
+    chunk_attempts: 0,
+    errors: [],
+    last_error: null,
+    created_at: new Date(),
+    updated_at: new Date(),
+    started_at: null,
+    finished_at: null,
+  };
+  const insertedId = await colJobs.insert(job, session);
+  console.log(`[${vaultConfig.id}] Backfill job ${insertedId} queued for blocks ${fromBlock} to ${toBlock}`);
+  return { ...job, _id: insertedId };
+}
+
+export async function getBackfillJob(colJobs, id) {
+  return colJobs.get(id);
+}
+
+export async function listBackfillJobs(colJobs, { vaultId, status, limit = 50 } = {}) {
+  return colJobs.find({ vaultId, status }, { limit });
+}
+
+/**
+ * Cancels a queued or running job. The worker notices between chunks, so the chunk in
+ * flight still completes. Returns the updated job, or null when it was already finished.
+ */
+export async function cancelBackfillJob(colJobs, id) {
+  return colJobs.cancel(id, ACTIVE_STATUSES);
+}
+
+export function formatBackfillJob(job) {
+  const from = BigInt(job.from_block);
+  const to = BigInt(job.to_block);
+  const next = BigInt(job.next_block);
+  const total = to - from + 1n;
+  const done = next > from ? next - from : 0n;
+  const percent = total > 0n ? Number((done * 10000n) / total) / 100 : 100;
+  return {
+    id: job._id.toString(),
+    vault_id: job.vault_id,
+    chain: job.chain,
+    contracts: job.contracts,
+    status: job.status,
+    reason: job.reason,
+    fromBlock: job.from_block,
+    toBlock: job.to_block,
+    nextBlock: job.next_block,
+    chunkSize: job.chunk_size,
+    chunksDone: job.chunks_done,
+    percentComplete: Math.min(percent, 100),
+    lastError: job.last_error,
+    errors: job.errors,
+    createdAt: job.created_at?.toISOString?.() || null,
+    startedAt: job.started_at?.toISOString?.() || null,
+    finishedAt: job.finished_at?.toISOString?.() || null,
+  };
+}
+
+function isNotFinalized(error) {
+  return error.name === 'BlockNotFinalizedError' ||
+    (error.message && (
+      error.message.includes('after last accepted block') ||
+      error.message.includes('requested from block') ||
+      error.message.includes('not yet finalized')
+    ));
+}
+
+async function runJob(colJobs, job, { getVault, indexRange }) {
+  const vaultConfig = getVault(job.vault_id);
+  if (!vaultConfig) {
+    await colJobs.fail(job._id, `Unknown vault ${job.vault_id}`);
+    return;
+  }
+
+  const toBlock = BigInt(job.to_block);
+  const chunkSize = BigInt(job.chunk_size);
+  let next = BigInt(job.next_block);
+
+  while (next <= toBlock) {
+    const status = await colJobs.getStatus(job._id);
+    if (status !== 'running') {
+      console.log(`[${vaultConfig.id}] Backfill job ${job._id} stopped (${status})`);
+      return;
+    }
+
+    const chunkEnd = next + chunkSize - 1n < toBlock ? next + chunkSize - 1n : toBlock;
+    const chunkNext = chunkEnd + 1n;
+    try {
+      // The chunk's writes and the job's progress commit together.
+      await indexRange(vaultConfig, job.contracts, next, chunkEnd, {
+        onCommit: (session) => colJobs.recordChunk(job._id, chunkNext.toString(), session),
+      });
+    } catch (error) {
+      if (isNotFinalized(error)) {
+        console.log(`[${vaultConfig.id}] Backfill job ${job._id} waiting for blocks ${next}-${chunkEnd} to finalize`);
+        return;
+      }
+      const message = error.shortMessage || error.message || String(error);
+      const attempts = (job.chunk_attempts || 0) + 1;
+      const failed = attempts >= MAX_CHUNK_ATTEMPTS;
+      job.chunk_attempts = failed ? 0 : attempts;
+      await colJobs.recordFailure(
+        job._id,
+        {
+          chunk_attempts: job.chunk_attempts,
+          last_error: message,
+          ...(failed ? { status: 'failed', finished_at: new Date() } : {}),
+        },
+        { from_block: next.toString(), to_block: chunkEnd.toString(), attempt: attempts, message, at: new Date() },
+        MAX_STORED_ERRORS
+      );
+      console.error(`[${vaultConfig.id}] Backfill job ${job._id} chunk ${next}-${chunkEnd} failed (attempt ${attempts}/${MAX_CHUNK_ATTEMPTS}):`, message);
+      return;
+    }
+
+    next = chunkNext;
+    job.chunk_attempts = 0;
+  }
+
+  await colJobs.complete(job._id);
+  console.log(`[${vaultConfig.id}] Backfill job ${job._id} completed (blocks ${job.from_block} to ${job.to_block})`);
+}
+
+/**
+ * Starts the background worker. Jobs run one at a time, oldest first; a job left `running`
+ * by a previous process is picked up again from its `next_block`.
+ */
+export function startBackfillWorker(colJobs, { getVault, indexRange, intervalMs = 5000 }) {
+  let busy = false;
+  const tick = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      const job = await colJobs.claimNext(ACTIVE_STATUSES);
+      if (job) {
+        if (!job.started_at) {
+          await colJobs.markStarted(job._id);
+        }
+        await runJob(colJobs, job, { getVault, indexRange });
+      }
+    } catch (error) {
+      console.error('Backfill worker error:', error);
+    } finally {
+      busy = false;
+    }
+  };
+  setInterval(tick, intervalMs);
+  tick();
+}
@@ -0,0 +1,27 @@
+// Block-by-timestamp lookup: the last block of a chain mined at or before a given time, found by
+// binary search over block numbers (block timestamps are non-decreasing).
+
+/**
+ * Returns the last block (`{ number, timestamp }`) with a timestamp at or before `time` (a Date),
+ * searching from `fromBlock` (e.g. a vault's deployment block) to the chain head. Returns null
+ * when `fromBlock` itself is later than `time`.
+ */
+export async function findBlockByTimestamp(client, time, { fromBlock = 0n } = {}) {
+  const target = BigInt(Math.floor(time.getTime() / 1000));
+  const head = await client.getBlock();
+  if (head.timestamp <= target) return { number: head.number, timestamp: head.timestamp };
+
+  const first = await client.getBlock({ blockNumber: fromBlock });
+  if (first.timestamp > target) return null;
+
+  let low = first;
+  let high = head.number;
+  // Invariant: low.timestamp <= target < timestamp of block `high`.
+  while (high - low.number > 1n) {
+    const mid = low.number + (high - low.number) / 2n;
+    const block = await client.getBlock({ blockNumber: mid });
+    if (block.timestamp <= target) low = block;
+    else high = mid;
+  }
+  return { number: low.number, timestamp: low.timestamp };
+}
@@ -0,0 +1,136 @@
+import { inTransaction } from './transactions.js';
+
+// Indexing cursors live in `meta`, one document per (vault, contract), so vaults that
+// share a chain advance, fail and backfill independently of each other.
+
+const LEGACY_CURSOR_PREFIX = 'lastProcessedBlock_';
+const DEFAULT_LOOKBACK = 100n;
+
+export function cursorKey(vaultId, contract) {
+  return `cursor_${vaultId}_${contract}`;
+}
+
+export function getCursorContracts(vaultConfig) {
+  const contracts = [];
+  if (vaultConfig.depositRouter) {
+    contracts.push({
+      contract: 'router',
+      address: vaultConfig.depositRouter,
+      deploymentBlock: vaultConfig.depositRouterDeploymentBlock,
+    });
+  }
+  contracts.push({
+    contract: 'vault',
+    address: vaultConfig.address,
+    deploymentBlock: vaultConfig.deploymentBlock,
+  });
+  return contracts;
+}
+
+export async function saveCursor(colMeta, vaultConfig, contract, block, extra = {}, session) {
+  await colMeta.set(cursorKey(vaultConfig.id, contract), {
+    type: 'cursor',
+    vault_id: vaultConfig.id,
+    chain: vaultConfig.chain,
+    contract,
+    value: block.toString(),
+    updated_at: new Date(),
+    ...extra,
+  }, session);
+}
+
+/**
+ * Returns the first block at which `address` has code, by binary search on eth_getCode
+ * (needs an RPC that serves historical state), or null if it has no code at `latestBlock`.
+ */
+export async function findDeploymentBlock(client, address, latestBlock) {
+  const hasCode = async (blockNumber) => {
+    const code = await client.getCode({ address, blockNumber });
+    return Boolean(code && code !== '0x');
+  };
+  if (!(await hasCode(latestBlock))) return null;
+  let low = 0n;
+  let high = latestBlock;
+  while (low < high) {
+    const mid = (low + high) / 2n;
+    if (await hasCode(mid)) {
+      high = mid;
+    } else {
+      low = mid + 1n;
+    }
+  }
+  return low;
+}
+
+/**
+ * Returns the last processed block for a vault contract, creating the cursor on first run.
+ * A new cursor continues the pre-existing per-chain cursor (only until that has been
+ * migrated); otherwise it starts at the safe head and the history from the contract's
+ * deployment block (configured, or discovered on-chain) is handed to `enqueueBackfill`,
+ * whose job id is returned as `initialBackfillJob`. The job and the cursor are written in one
+ * transaction, so a restart never finds one without the other.
+ */
+export async function initCursor(colMeta, client, vaultConfig, { contract, address, deploymentBlock }, { enqueueBackfill } = {}) {
+  const existing = await colMeta.get(cursorKey(vaultConfig.id, contract));
+  if (existing?.value) {
+    return {
+      block: BigInt(existing.value),
+      hash: existing.block_hash || null,
+      recentBlocks: existing.recent_blocks || [],
+      seededFrom: null,
+      initialBackfillJob: existing.initial_backfill_job ?? null,
+    };
+  }
+
+  const legacy = await colMeta.get(`${LEGACY_CURSOR_PREFIX}${vaultConfig.chain}`);
+  if (legacy?.value && !legacy.migrated_at) {
+    const block = BigInt(legacy.value);
+    await saveCursor(colMeta, vaultConfig, contract, block, { seeded_from: 'legacy', block_hash: null, recent_blocks: [] });
+    return { block, hash: null, recentBlocks: [], seededFrom: 'legacy', initialBackfillJob: null };
+  }
+
+  const latestBlock = await client.getBlockNumber();
+  const safeBlock = latestBlock > vaultConfig.safetyMargin ? latestBlock - vaultConfig.safetyMargin : latestBlock;
+
+  let deployment = deploymentBlock;
+  if (deployment == null) {
+    try {
+      deployment = await findDeploymentBlock(client, address, safeBlock);
+      console.log(`[${vaultConfig.id}] Discovered ${contract} deployment block: ${deployment ?? 'none'}`);
+    } catch (error) {
+      console.warn(`[${vaultConfig.id}] Could not discover ${contract} deployment block:`, error.shortMessage || error.message);
+    }
+  }
+
+  const backfill = deployment != null && deployment <= safeBlock;
+  const block = backfill ? safeBlock : (safeBlock > DEFAULT_LOOKBACK ? safeBlock - DEFAULT_LOOKBACK : 0n);
+  const seededFrom = backfill ? 'deployment' : 'head';
+  if (!backfill) {
+    console.warn(`[${vaultConfig.id}] No deployment block for ${contract} (set it in config/vaults.json); history before block ${safeBlock - DEFAULT_LOOKBACK} will not be indexed`);
+  }
+
+  const backfillJobId = await inTransaction(async (session) => {
+    const jobId = backfill && enqueueBackfill
+      ? await enqueueBackfill({ contract, fromBlock: deployment, toBlock: safeBlock }, session)
+      : null;
+    await saveCursor(colMeta, vaultConfig, contract, block, {
+      seeded_from: seededFrom,
+      deployment_block: deployment != null ? deployment.toString() : null,
+      initial_backfill_job: jobId,
+      block_hash: null,
+      recent_blocks: [],
+    }, session);
+    return jobId;
+  });
+  return { block, hash: null, recentBlocks: [], seededFrom, initialBackfillJob: backfillJobId };
+}
+
+// Once every configured vault has its own cursors, the per-chain ones must not seed
+// vaults added later (they would skip that vault's history).
+export async function retireLegacyCursors(colMeta, chains) {
+  for (const chain of chains) {
+    const id = `${LEGACY_CURSOR_PREFIX}${chain}`;
+    const legacy = await colMeta.get(id);
+    if (legacy && !legacy.migrated_at) await colMeta.set(id, { migrated_at: new Date() });
+  }
+}
@@ -0,0 +1,66 @@
+// Status machine of the indexed documents. Each event either creates a document in its
+// initial status or moves documents from one of the listed statuses to the next; handlers
+// never write `status` themselves, so replaying a range (or applying an event a second
+// time) cannot move a document backwards.
+
+const MACHINES = {
+  deposit: {
+    initial: {
+      DepositRequest: 'requested',
+      Deposit: 'executed',
+    },
+    transitions: {
+      DepositSettled: { from: ['requested'], to: 'settled' },
+    },
+  },
+  withdrawal: {
+    initial: {
+      RedeemRequest: 'pending',
+      Withdraw: 'withdrawn',
+    },
+    transitions: {
+      RedeemSettled: { from: ['pending'], to: 'settled' },
+      // A claim can come before the settlement is indexed (or without one on sync vaults).
+      Withdraw: { from: ['settled', 'pending'], to: 'withdrawn' },
+    },
+  },
+  intent: {
+    initial: {
+      DepositIntentCreated: 'pending',
+    },
+    transitions: {
+      DepositExecuted: { from: ['pending'], to: 'executed' },
+      DepositRequestSubmitted: { from: ['pending'], to: 'executed' },
+    },
+  },
+};
+
+function machine(kind) {
+  const m = MACHINES[kind];
+  if (!m) throw new Error(`Unknown document kind: ${kind}`);
+  return m;
+}
+
+export function initialStatus(kind, event) {
+  const status = machine(kind).initial[event];
+  if (!status) throw new Error(`${event} does not create ${kind} documents`);
+  return status;
+}
+
+// Statuses `event` moves documents out of, for queries that pick the documents to move.
+export function sourceStatuses(kind, event) {
+  const transition = machine(kind).transitions[event];
+  if (!transition) throw new Error(`${event} does not change ${kind} documents`);
+  return transition.from;
+}
+
+/**
+ * Applies `event` to the documents of `repo` picked by `selector` (see the repository's
+ * setStatus) that are in one of its source statuses, setting its target status together with
+ * `fields`. Returns the number moved.
+ */
+export async function transition(repo, kind, event, selector, fields = {}, session) {
+  const { from, to } = machine(kind).transitions[event] || {};
+  if (!to) throw new Error(`${event} does not change ${kind} documents`);
+  return repo.setStatus(selector, from, { ...fields, status: to }, session);
+}
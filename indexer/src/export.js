@@ -0,0 +1,165 @@
+import { once } from 'events';
+import { formatUnits } from 'viem';
+import { getVaultById } from './vaults-config.js';
+import { findInBatches, invalidQuery } from './list-query.js';
+
+// Streaming CSV / JSON Lines exports of the list collections. Rows are read in batches and
+// written as the response drains, so an export of any size runs in constant memory. Amounts are
+// emitted twice: in base units and as a decimal string scaled by the asset's decimals.
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8',
+};
+
+const iso = value => value?.toISOString?.() ?? null;
+
+// The asset of a document; events do not store it, so it comes from the registry.
+function assetOf(doc) {
+  const vault = doc.vault_id ? getVaultById(doc.vault_id) : null;
+  return {
+    symbol: doc.asset_symbol ?? vault?.asset.symbol ?? null,
+    decimals: doc.asset_decimals ?? vault?.asset.decimals ?? null,
+  };
+}
+
+function amountColumns(field) {
+  return [
+    [field, doc => doc[field] ?? null],
+    [`${field}_decimal`, (doc, asset) => {
+      if (doc[field] === undefined || doc[field] === null || asset.decimals === null) return null;
+      return formatUnits(BigInt(doc[field]), asset.decimals);
+    }],
+  ];
+}
+
+const EVENT_COLUMNS = [
+  ['id', doc => doc._id?.toString() ?? null],
+  ['timestamp', doc => iso(doc.block_timestamp || doc.created_at)],
+  ['chain', doc => doc.chain ?? null],
+  ['vault_id', doc => doc.vault_id ?? null],
+  ['vault_address', doc => doc.vault_address ?? null],
+  ['user_address', doc => doc.user_address ?? null],
+];
+
+const ASSET_COLUMNS = [
+  ['asset_symbol', (doc, asset) => asset.symbol],
+  ['asset_decimals', (doc, asset) => asset.decimals],
+];
+
+const TRANSACTION_COLUMNS = [
+  ['block_number', doc => doc.block_number ?? null],
+  ['transaction_hash', doc => doc.transaction_hash ?? null],
+  ['log_index', doc => doc.log_index ?? null],
+];
+
+const EXPORTS = {
+  deposits: {
+    columns: [
+      ...EVENT_COLUMNS,
+      ['source', doc => doc.source || 'yieldo'],
+      ['status', doc => doc.status ?? null],
+      ...ASSET_COLUMNS,
+      ...amountColumns('amount'),
+      ['shares', doc => doc.shares ?? null],
+      ['request_id', doc => doc.request_id ?? null],
+      ['epoch_id', doc => doc.epoch_id ?? null],
+      ['intent_hash', doc => doc.intent_hash ?? null],
+      ...TRANSACTION_COLUMNS,
+    ],
+  },
+  withdrawals: {
+    columns: [
+      ...EVENT_COLUMNS,
+      ['source', doc => doc.source || 'lagoon'],
+      ['status', doc => doc.status ?? null],
+      ...ASSET_COLUMNS,
+      ...amountColumns('assets'),
+      ['shares', doc => doc.shares ?? null],
+      ['request_id', doc => doc.request_id ?? null],
+      ['epoch_id', doc => doc.epoch_id ?? null],
+      ['settled_at', doc => iso(doc.settled_at)],
+      ['withdrawn_at', doc => iso(doc.withdrawn_at)],
+      ['withdrawn_tx', doc => doc.withdrawn_tx ?? null],
+      ...TRANSACTION_COLUMNS,
+    ],
+  },
+  intents: {
+    columns: [
+      ...EVENT_COLUMNS,
+      ['intent_hash', doc => doc.intent_hash ?? null],
+      ['status', doc => doc.status ?? null],
+      ['asset_address', doc => doc.asset_address ?? null],
+      ...ASSET_COLUMNS,
+      ...amountColumns('amount'),
+      ['nonce', doc => doc.nonce ?? null],
+      ['executed_at', doc => iso(doc.executed_at)],
+      ['executed_tx', doc => doc.executed_tx ?? null],
+    ],
+  },
+  snapshots: {
+    columns: [
+      ['date', doc => doc.date],
+      ['chain', doc => doc.chain ?? null],
+      ['vault_id', doc => doc.vault_id ?? null],
+      ['vault_address', doc => doc.vault_address ?? null],
+      ...ASSET_COLUMNS,
+      ...amountColumns('vault_total_assets'),
+      ['vault_total_supply', doc => doc.vault_total_supply ?? doc.total_supply ?? null],
+      ['vault_share_price', doc => doc.vault_share_price ?? null],
+      ...amountColumns('vault_pending_deposits'),
+      ['vault_pending_redeems', doc => doc.vault_pending_redeems ?? null],
+      ...amountColumns('yieldo_aum'),
+      ['yieldo_shares', doc => doc.yieldo_shares ?? null],
+      ...amountColumns('yieldo_flow_aum'),
+      ...amountColumns('total_deposits'),
+      ...amountColumns('total_withdrawals'),
+      ['deposit_epoch_id', doc => doc.deposit_epoch_id ?? null],
+      ['redeem_epoch_id', doc => doc.redeem_epoch_id ?? null],
+    ],
+  },
+};
+
+export const EXPORT_KINDS = Object.keys(EXPORTS);
+
+export function parseExportFormat(value) {
+  const format = value === undefined || value === '' ? 'csv' : String(value).toLowerCase();
+  if (!CONTENT_TYPES[format]) throw invalidQuery(`Invalid format "${value}" (expected csv or jsonl)`);
+  return format;
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatRow(columns, doc, format) {
+  const asset = assetOf(doc);
+  const values = columns.map(([, get]) => get(doc, asset));
+  if (format === 'csv') return `${values.map(csvValue).join(',')}\r\n`;
+  return `${JSON.stringify(Object.fromEntries(columns.map(([name], i) => [name, values[i]])))}\n`;
+}
+
+/**
+ * Streams the documents of `repo` matching `filter` to `res` as `format` (csv or jsonl), in
+ * `order` (1 or -1) of the repository's sort field. Stops early when the client disconnects.
+ */
+export async function streamExport(res, kind, repo, filter, { format, order }) {
+  const { columns } = EXPORTS[kind];
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  const write = async (chunk) => {
+    if (!res.write(chunk)) await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  };
+
+  res.set('Content-Type', CONTENT_TYPES[format]);
+  res.set('Content-Disposition', `attachment; filename="${kind}.${format}"`);
+  if (format === 'csv') await write(`${columns.map(([name]) => name).join(',')}\r\n`);
+  for await (const doc of findInBatches(repo, filter, order)) {
+    if (closed) return;
+    await write(formatRow(columns, doc, format));
+  }
+  res.end();
+}
@@ -1,13 +1,49 @@
 import express from 'express';
-import { createPublicClient, http, parseAbiItem } from 'viem';
-import { avalanche, mainnet } from 'viem/chains';
-import { MongoClient } from 'mongodb';
+import { erc20Abi, parseAbiItem } from 'viem';
 import cron from 'node-cron';
 import { Vault } from '@lagoon-protocol/v0-viem';
 import { VaultUtils } from '@lagoon-protocol/v0-core';
 import dotenv from 'dotenv';
-import { VAULTS_CONFIG, getVaultById, getVaultByAddress } from './vaults-config.js';
-import { indexDepositRouterEventsForVault, indexVaultEventsForVault, setRateLimitHandler } from './vault-indexer.js';
+import { VAULTS_CONFIG, VAULT_REGISTRY_PATH, getVaultById, getVaultByAddress, getAllChains } from './vaults-config.js';
+import { registerRpcPool, getPooledClient, getLogsAdaptive, startRpcHealthChecks, getRpcStatus } from './rpc-pool.js';
+import { cursorKey, getCursorContracts, initCursor, saveCursor, retireLegacyCursors } from './cursors.js';
+import { detectReorg, rememberBlock, rollbackVault } from './reorg.js';
+import {
+  cancelBackfillJob,
+  createBackfillJob,
+  formatBackfillJob,
+  getBackfillJob,
+  listBackfillJobs,
+  startBackfillWorker,
+} from './backfill-jobs.js';
+import { indexVaultRange, setGetLogsHandler } from './vault-indexer.js';
+import { setTransactionStorage } from './transactions.js';
+import { getStorageBackend, openStorage } from 'yieldo-storage';
+import { getMigrationStatus, runMigrations } from './migrations/index.js';
+import { addressParam, normalizeAddress } from './addresses.js';
+import { findBlockByTimestamp } from './block-time.js';
+import { computeOnchainAUM, getYieldoNetShares, reconcileAUM, reconciliationThresholdBps } from './aum.js';
+import { computePosition } from './positions.js';
+import { readVaultState } from './vault-state.js';
+import { findSnapshotGaps, repairSnapshotGaps } from './snapshot-gaps.js';
+import {
+  INTERVALS,
+  bucketStart,
+  captureSeriesPoints,
+  getSeriesInterval,
+  pruneSeries,
+  rollUpSeries,
+  seriesCronSchedule,
+} from './snapshot-series.js';
+import { EXPORT_KINDS, parseExportFormat, streamExport } from './export.js';
+import {
+  findDatePage,
+  findPage,
+  invalidQuery,
+  parseListQuery,
+  setPageHeaders,
+  timeRange,
+} from './list-query.js';
 
 let runVaultKPI = null;
 let getUnderlyingPrice = null;
@@ -49,6 +85,7 @@ app.use((req, res, next) => {
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
   res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
   res.header('Access-Control-Allow-Credentials', 'true');
+  res.header('Access-Control-Expose-Headers', 'X-Total-Count, X-Next-Cursor');
   
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
@@ -59,14 +96,11 @@ app.use((req, res, next) => {
 
 app.use(express.json());
 
-const MONGODB_URI = process.env.MONGODB_URI;
-const MONGODB_DB_NAME = process.env.MONGODB_DB_NAME || 'yieldo';
-if (!MONGODB_URI) {
+if (getStorageBackend() === 'mongodb' && !process.env.MONGODB_URI) {
   console.warn('Missing MONGODB_URI. Set it in your indexer env (MongoDB Atlas connection string).');
 }
 
-const mongoClient = MONGODB_URI ? new MongoClient(MONGODB_URI) : null;
-let db;
+let storage;
 let colIntents;
 let colDeposits;
 let colWithdrawals;
@@ -75,700 +109,64 @@ let colMeta;
 let colPendingYieldoWithdrawals;
 let colVaultRatings;
 let colVaultRatingHistory;
+let colBackfillJobs;
+let colSnapshotSeries;
 
 const clients = {};
-const rpcIndices = {};
-const rateLimitCooldowns = {};
-
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-function getRetryAfter(error) {
-  if (error?.headers?.get) {
-    const retryAfter = error.headers.get('retry-after');
-    if (retryAfter) {
-      return parseInt(retryAfter, 10) * 1000;
-    }
-  }
-  return 120000;
-}
 
 for (const vault of VAULTS_CONFIG) {
-  if (!clients[vault.chain]) {
-    rpcIndices[vault.chain] = 0;
-    const primaryRpc = vault.rpcUrls[0];
-    try {
-      clients[vault.chain] = createPublicClient({
-        chain: vault.chain === 'ethereum' ? mainnet : avalanche,
-        transport: http(primaryRpc, {
-          timeout: 30000,
-          retryCount: 0,
-        }),
-      });
-      console.log(`[${vault.chain}] Using RPC: ${primaryRpc}`);
-    } catch (error) {
-      console.error(`[${vault.chain}] Failed to create client with RPC ${primaryRpc}:`, error);
-      for (let i = 1; i < vault.rpcUrls.length; i++) {
-        try {
-          console.log(`[${vault.chain}] Trying fallback RPC ${i + 1}: ${vault.rpcUrls[i]}`);
-          clients[vault.chain] = createPublicClient({
-            chain: vault.chain === 'ethereum' ? mainnet : avalanche,
-            transport: http(vault.rpcUrls[i], {
-              timeout: 30000,
-              retryCount: 0,
-            }),
-          });
-          rpcIndices[vault.chain] = i;
-          console.log(`[${vault.chain}] Successfully using fallback RPC: ${vault.rpcUrls[i]}`);
-          break;
-        } catch (fallbackError) {
-          console.error(`[${vault.chain}] Fallback RPC ${vault.rpcUrls[i]} also failed:`, fallbackError.message);
-        }
-      }
-      if (!clients[vault.chain]) {
-        throw new Error(`[${vault.chain}] All RPC endpoints failed for ${vault.chain}`);
-      }
-    }
-  }
-}
-
-async function rotateRpcForChain(chain, vaultConfig) {
-  const currentIndex = rpcIndices[chain] || 0;
-  const nextIndex = (currentIndex + 1) % vaultConfig.rpcUrls.length;
-  
-  if (nextIndex === currentIndex) {
-    const cooldownKey = `${chain}_${vaultConfig.rpcUrls[currentIndex]}`;
-    const cooldown = rateLimitCooldowns[cooldownKey] || 120000;
-    console.log(`[${vaultConfig.id}] Rate limited. Waiting ${cooldown / 1000}s...`);
-    await sleep(cooldown);
-    return false;
-  }
-  
-  rpcIndices[chain] = nextIndex;
-  const newRpc = vaultConfig.rpcUrls[nextIndex];
-  console.log(`[${vaultConfig.id}] Switching to RPC: ${newRpc}`);
-  
-  try {
-    clients[chain] = createPublicClient({
-      chain: chain === 'ethereum' ? mainnet : avalanche,
-      transport: http(newRpc, {
-        timeout: 30000,
-        retryCount: 0,
-      }),
-    });
-      return true;
-  } catch (error) {
-    console.error(`[${vaultConfig.id}] Failed to create client with new RPC ${newRpc}:`, error);
-      return await rotateRpcForChain(chain, vaultConfig);
-  }
-}
-
-async function executeWithRateLimitHandling(vaultConfig, operation, maxRetries = 3) {
-  const chain = vaultConfig.chain;
-  let lastError = null;
-  
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      const client = clients[chain];
-      return await operation(client);
-    } catch (error) {
-      lastError = error;
-      
-      const isRateLimit = error.status === 429 || 
-                         error.cause?.status === 429 ||
-                         error.message?.includes('429') ||
-                         error.message?.includes('rate limit') ||
-                         error.message?.includes('rate limited') ||
-                         error.message?.includes('Error 1015') ||
-                         error.message?.includes('You are being rate limited') ||
-                         (error.headers?.get && error.headers.get('retry-after')) ||
-                         (error.cause?.headers?.get && error.cause.headers.get('retry-after'));
-      
-      if (isRateLimit) {
-        const currentRpc = vaultConfig.rpcUrls[rpcIndices[chain] || 0];
-        const cooldownKey = `${chain}_${currentRpc}`;
-        const retryAfter = getRetryAfter(error);
-        
-        rateLimitCooldowns[cooldownKey] = retryAfter;
-        console.warn(`[${vaultConfig.id}] Rate limited (429) on RPC: ${currentRpc}`);
-        
-        const rotated = await rotateRpcForChain(chain, vaultConfig);
-        
-        if (!rotated) {
-          console.log(`[${vaultConfig.id}] Waiting ${retryAfter / 1000}s before retry...`);
-          await sleep(retryAfter);
-        } else {
-          await sleep(2000);
-        }
-        
-        continue;
-      }
-      
-      throw error;
-    }
-  }
-  
-  throw lastError;
+  if (clients[vault.chain]) continue;
+  const sameChain = VAULTS_CONFIG.filter(v => v.chain === vault.chain);
+  registerRpcPool({
+    chain: vault.chain,
+    chainId: vault.chainId,
+    rpcUrls: [...new Set(sameChain.flatMap(v => v.rpcUrls))],
+    maxBlockRanges: Object.assign({}, ...sameChain.map(v => v.rpcMaxBlockRanges)),
+    probeAddress: vault.address,
+  });
+  clients[vault.chain] = getPooledClient(vault.chain);
 }
 
 function getClientForVault(vaultConfig) {
   return clients[vaultConfig.chain];
 }
 
-async function initDatabase() {
-  if (!mongoClient) {
-    throw new Error('MongoDB client not initialized (missing MONGODB_URI).');
-  }
-
-  await mongoClient.connect();
-  db = mongoClient.db(MONGODB_DB_NAME);
-
-  colIntents = db.collection('deposit_intents');
-  colDeposits = db.collection('deposits');
-  colWithdrawals = db.collection('withdrawals');
-  colSnapshots = db.collection('snapshots');
-  colMeta = db.collection('meta');
-  colPendingYieldoWithdrawals = db.collection('pending_yieldo_withdrawals');
-  colVaultRatings = db.collection('vault_ratings');
-  colVaultRatingHistory = db.collection('vault_rating_history');
-
-  try {
-    await colDeposits.dropIndex('transaction_hash_1').catch(() => {});
-    await colWithdrawals.dropIndex('transaction_hash_1').catch(() => {});
-  } catch (e) {}
-
-  await Promise.all([
-    colIntents.createIndex({ intent_hash: 1, chain: 1, vault_id: 1 }, { unique: true }),
-    colIntents.createIndex({ user_address: 1, created_at: -1 }),
-    colIntents.createIndex({ chain: 1, vault_id: 1 }),
-    colDeposits.createIndex({ user_address: 1, created_at: -1 }),
-    colDeposits.createIndex({ transaction_hash: 1, chain: 1 }, { unique: true }),
-    colDeposits.createIndex({ chain: 1, vault_id: 1, created_at: -1 }),
-    colDeposits.createIndex({ chain: 1, vault_address: 1 }),
-    colDeposits.createIndex({ source: 1, chain: 1, vault_id: 1 }),
-    colWithdrawals.createIndex({ transaction_hash: 1, chain: 1 }, { unique: true }),
-    colWithdrawals.createIndex({ user_address: 1, created_at: -1 }),
-    colWithdrawals.createIndex({ chain: 1, vault_id: 1, created_at: -1 }),
-    colWithdrawals.createIndex({ chain: 1, vault_address: 1 }),
-    colWithdrawals.createIndex({ source: 1, chain: 1, vault_id: 1 }),
-    colSnapshots.createIndex({ date: 1, vault_id: 1, chain: 1 }, { unique: true }),
-    colSnapshots.createIndex({ chain: 1, vault_id: 1, date: -1 }),
-    colVaultRatings.createIndex({ vault_id: 1, chain: 1 }, { unique: true }),
-    colVaultRatings.createIndex({ updated_at: -1 }),
-    colVaultRatingHistory.createIndex({ vault_id: 1, chain: 1, snapshot_at: -1 }),
-    colVaultRatingHistory.createIndex({ snapshot_at: -1 }),
-    colPendingYieldoWithdrawals.createIndex({ user_address: 1, created_at: -1 }),
-    colPendingYieldoWithdrawals.createIndex({ transaction_hash: 1, chain: 1 }, { unique: true }),
-    colPendingYieldoWithdrawals.createIndex({ created_at: 1 }, { expireAfterSeconds: 3600 }),
-  ]);
-
-  console.log('MongoDB initialized');
+function rpcConfigHint(vault) {
+  const where = `the rpcUrls of chain ${vault.chainId} (${vault.chain}) or vault ${vault.id} in ${VAULT_REGISTRY_PATH}`;
+  return vault.env.rpcUrl
+    ? `Set ${vault.env.rpcUrl} to a working RPC endpoint, or add one to ${where}`
+    : `Add a working RPC endpoint to ${where}`;
 }
 
-async function indexDepositRouterEvents(fromBlock, toBlock) {
-  if (!DEPOSIT_ROUTER_ADDRESS) return;
-
-  try {
-    if (fromBlock > toBlock) {
-      console.warn(`Invalid block range: fromBlock ${fromBlock} > toBlock ${toBlock}`);
-      return;
-    }
-
-    const intentCreatedLogs = await client.getLogs({
-      address: DEPOSIT_ROUTER_ADDRESS,
-      event: parseAbiItem('event DepositIntentCreated(bytes32 indexed intentHash, address indexed user, address indexed vault, address asset, uint256 amount, uint256 nonce, uint256 deadline)'),
-      fromBlock,
-      toBlock,
-    });
-
-    for (const log of intentCreatedLogs) {
-      const { intentHash, user, vault, asset, amount, nonce, deadline } = log.args;
-
-      await colIntents.updateOne(
-        { intent_hash: intentHash },
-        {
-          $setOnInsert: {
-            intent_hash: intentHash,
-            user_address: user,
-            vault_address: vault,
-            asset_address: asset,
-            amount: amount.toString(),
-            nonce: nonce.toString(),
-            deadline: Number(deadline),
-            status: 'pending',
-            created_at: new Date(),
-          },
-        },
-        { upsert: true }
-      );
-    }
-
-    const depositExecutedLogs = await client.getLogs({
-      address: DEPOSIT_ROUTER_ADDRESS,
-      event: parseAbiItem('event DepositExecuted(bytes32 indexed intentHash, address indexed user, address indexed vault, uint256 amount)'),
-      fromBlock,
-      toBlock,
-    });
-
-    for (const log of depositExecutedLogs) {
-      const { intentHash, user, vault, amount } = log.args;
-
-      await colIntents.updateOne(
-        { intent_hash: intentHash },
-        { $set: { status: 'executed', executed_at: new Date() } }
-      );
-
-      await colDeposits.updateOne(
-        { transaction_hash: log.transactionHash },
-        {
-          $set: {
-            intent_hash: intentHash,
-            user_address: user,
-            vault_address: vault,
-            amount: amount.toString(),
-            status: 'executed',
-            block_number: log.blockNumber.toString(),
-            transaction_hash: log.transactionHash,
-            executed_at: new Date(),
-            source: 'yieldo',
-          },
-          $setOnInsert: {
-            shares: null,
-            epoch_id: null,
-            created_at: new Date(),
-          },
-        },
-        { upsert: true }
-      );
-      
-      console.log(`Deposit executed: ${intentHash} for user ${user}, amount: ${amount.toString()}`);
-    }
-
-    const feeCollectedLogs = await client.getLogs({
-      address: DEPOSIT_ROUTER_ADDRESS,
-      event: parseAbiItem('event FeeCollected(bytes32 indexed intentHash, address indexed asset, uint256 feeAmount)'),
-      fromBlock,
-      toBlock,
-    });
-
-    for (const log of feeCollectedLogs) {
-      const { intentHash, asset, feeAmount } = log.args;
-      console.log(`Fee collected: ${feeAmount.toString()} for intent ${intentHash}`);
-    }
-
-    const intentCancelledLogs = await client.getLogs({
-      address: DEPOSIT_ROUTER_ADDRESS,
-      event: parseAbiItem('event DepositIntentCancelled(bytes32 indexed intentHash, address indexed user)'),
-      fromBlock,
-      toBlock,
-    });
-
-    for (const log of intentCancelledLogs) {
-      const { intentHash, user } = log.args;
-
-      await colIntents.updateOne(
-        { intent_hash: intentHash },
-        { $set: { status: 'cancelled', cancelled_at: new Date() } }
-      );
-    }
-  } catch (error) {
-    if (error.message && (error.message.includes('after last accepted block') || error.message.includes('requested from block'))) {
-      const finalityError = new Error(`Block range ${fromBlock}-${toBlock} not yet finalized`);
-      finalityError.name = 'BlockNotFinalizedError';
-      throw finalityError;
+async function initDatabase() {
+  storage = await openStorage();
+  setTransactionStorage(storage);
+
+  colIntents = storage.intents;
+  colDeposits = storage.deposits;
+  colWithdrawals = storage.withdrawals;
+  colSnapshots = storage.snapshots;
+  colMeta = storage.meta;
+  colPendingYieldoWithdrawals = storage.pendingYieldoWithdrawals;
+  colVaultRatings = storage.ratings;
+  colVaultRatingHistory = storage.ratingHistory;
+  colBackfillJobs = storage.backfillJobs;
+  colSnapshotSeries = storage.snapshotSeries;
+
+  if (process.env.AUTO_MIGRATE === 'false') {
+    const { pending } = await getMigrationStatus(colMeta);
+    if (pending.length) {
+      throw new Error(`Pending migrations: ${pending.join(', ')}. Run \`npm run migrate -- apply\` first.`);
     }
-    console.error('Error indexing DepositRouter events:', error);
-    throw error;
+  } else {
+    const applied = await runMigrations(storage, { vaults: VAULTS_CONFIG, getClient: (chain) => clients[chain] });
+    if (applied.length) console.log(`Applied ${applied.length} migration(s): ${applied.join(', ')}`);
   }
-}
-
-async function indexVaultEvents(fromBlock, toBlock) {
-  if (!VAULT_ADDRESS) return;
-
-  try {
-    if (fromBlock > toBlock) {
-      console.warn(`Invalid block range: fromBlock ${fromBlock} > toBlock ${toBlock}`);
-      return;
-    }
-    let depositRequestedLogs = [];
-    try {
-      depositRequestedLogs = await client.getLogs({
-        address: VAULT_ADDRESS,
-        event: parseAbiItem('event DepositRequest(address indexed controller, address indexed owner, uint256 indexed requestId, address sender, uint256 assets)'),
-        fromBlock,
-        toBlock,
-      });
-    } catch (e) {
-      console.log('ERC-7540 DepositRequest event not found, trying Lagoon-specific format');
-    }
-    
-    let lagoonDepositRequestedLogs = [];
-    if (depositRequestedLogs.length === 0) {
-      try {
-        lagoonDepositRequestedLogs = await client.getLogs({
-          address: VAULT_ADDRESS,
-          event: parseAbiItem('event DepositRequested(address indexed user, uint256 indexed epochId, uint256 amount)'),
-          fromBlock,
-          toBlock,
-        });
-      } catch (e) {
-        console.log('Lagoon DepositRequested event not found, vault may use different event format');
-      }
-    }
-
-    for (const log of depositRequestedLogs) {
-      const { controller, owner, requestId, sender, assets } = log.args;
-      const existingDeposit = await colDeposits.findOne(
-        { user_address: owner, vault_address: VAULT_ADDRESS, status: 'pending' },
-        { sort: { created_at: -1 } }
-      );
-      let source = 'lagoon';
-      if (existingDeposit) {
-        if (existingDeposit.source === 'yieldo' || existingDeposit.intent_hash) {
-          source = 'yieldo';
-        }
-      }
-      
-      await colDeposits.updateOne(
-        { user_address: owner, vault_address: VAULT_ADDRESS, status: 'pending' },
-        { 
-          $set: { 
-            epoch_id: Number(requestId), 
-            status: 'requested', 
-            requested_amount: assets.toString(),
-            source: source
-          } 
-        },
-        { sort: { created_at: -1 } }
-      );
-    }
-    
-    for (const log of lagoonDepositRequestedLogs) {
-      const { user, epochId, amount } = log.args;
-      const existingDeposit = await colDeposits.findOne(
-        { user_address: user, vault_address: VAULT_ADDRESS, status: 'pending' },
-        { sort: { created_at: -1 } }
-      );
-      let source = 'lagoon';
-      if (existingDeposit) {
-        if (existingDeposit.source === 'yieldo' || existingDeposit.intent_hash) {
-          source = 'yieldo';
-        }
-      }
-      
-      await colDeposits.updateOne(
-        { user_address: user, vault_address: VAULT_ADDRESS, status: 'pending' },
-        { 
-          $set: { 
-            epoch_id: Number(epochId), 
-            status: 'requested', 
-            requested_amount: amount.toString(),
-            source: source
-          } 
-        },
-        { sort: { created_at: -1 } }
-      );
-    }
-
-    const depositSettledLogs = await client.getLogs({
-      address: VAULT_ADDRESS,
-      event: parseAbiItem('event DepositSettled(address indexed user, uint256 indexed epochId, uint256 shares)'),
-      fromBlock,
-      toBlock,
-    });
-
-    for (const log of depositSettledLogs) {
-      const { user, epochId, shares } = log.args;
-
-      await colDeposits.updateOne(
-        { user_address: user, vault_address: VAULT_ADDRESS, epoch_id: Number(epochId) },
-        { $set: { shares: shares.toString(), status: 'settled' } }
-      );
-    }
-
-    let redeemRequestedLogs = [];
-    try {
-      redeemRequestedLogs = await client.getLogs({
-        address: VAULT_ADDRESS,
-        event: parseAbiItem('event RedeemRequest(address indexed controller, address indexed owner, uint256 indexed requestId, address sender, uint256 shares)'),
-        fromBlock,
-        toBlock,
-      });
-      if (redeemRequestedLogs.length > 0) {
-        console.log(`Found ${redeemRequestedLogs.length} ERC-7540 RedeemRequest events in blocks ${fromBlock}-${toBlock}`);
-      }
-    } catch (e) {
-      console.log(`Error querying ERC-7540 RedeemRequest: ${e.message}`);
-    }
-
-    try {
-      const topicHash = '0x1fdc681a13d8c5da54e301c7ce6542dcde4581e4725043fdab2db12ddc574506';
-      const logsByTopic = await client.getLogs({
-        address: VAULT_ADDRESS,
-        topics: [topicHash],
-        fromBlock,
-        toBlock,
-      });
-      
-      if (logsByTopic.length > 0) {
-        console.log(`Found ${logsByTopic.length} logs with RedeemRequest topic hash in blocks ${fromBlock}-${toBlock}, attempting to decode...`);
-        const existingTxHashes = new Set(redeemRequestedLogs.map(l => l.transactionHash));
-        for (const log of logsByTopic) {
-          if (existingTxHashes.has(log.transactionHash)) {
-            continue;
-          }
-
-          if (log.topics.length !== 4) {
-            console.log(`Skipping log ${log.transactionHash}: expected 4 topics, got ${log.topics.length}`);
-            continue;
-          }
-          
-          if (!log.data || log.data.length < 130) {
-            console.log(`Skipping log ${log.transactionHash}: data too short (expected 130 chars, got ${log.data?.length || 0})`);
-            continue;
-          }
-
-          try {
-            if (!log.topics[1] || !log.topics[2] || !log.topics[3]) {
-              throw new Error('Missing required topics');
-            }
-            
-            const controller = '0x' + log.topics[1].slice(-40);
-            const owner = '0x' + log.topics[2].slice(-40);
-            const requestId = BigInt(log.topics[3]);
-            const sender = '0x' + log.data.slice(26, 66);
-            const sharesData = log.data.slice(66, 130);
-            if (!sharesData || sharesData.length !== 64) {
-              throw new Error(`Invalid shares data length: ${sharesData?.length || 0}`);
-            }
-            const shares = BigInt('0x' + sharesData);
-            const decodedLog = {
-              ...log,
-              args: {
-                controller,
-                owner,
-                requestId,
-                sender,
-                shares,
-              },
-            };
-            redeemRequestedLogs.push(decodedLog);
-            console.log(`✅ Decoded RedeemRequest from topic hash: tx=${log.transactionHash}, owner=${owner}, requestId=${requestId}, shares=${shares}`);
-          } catch (decodeError) {
-            console.log(`⚠️  Failed to decode log ${log.transactionHash}: ${decodeError.message}`);
-            console.log(`  Log structure: topics=${log.topics.length}, dataLength=${log.data?.length || 0}`);
-            if (log.topics.length >= 2) {
-              console.log(`  Topic[1] (controller): ${log.topics[1]}`);
-              console.log(`  Topic[2] (owner): ${log.topics[2]}`);
-            }
-            if (log.topics.length >= 4) {
-              console.log(`  Topic[3] (requestId): ${log.topics[3]}`);
-            }
-          }
-        }
-        if (redeemRequestedLogs.length > 0) {
-          console.log(`Total RedeemRequest events after topic hash fallback: ${redeemRequestedLogs.length}`);
-        }
-      }
-    } catch (e) {
-      console.log(`Error querying by topic hash: ${e.message}`);
-    }
-    
-    let lagoonRedeemRequestedLogs = [];
-    try {
-      lagoonRedeemRequestedLogs = await client.getLogs({
-        address: VAULT_ADDRESS,
-        event: parseAbiItem('event RedeemRequested(address indexed user, uint256 indexed epochId, uint256 shares)'),
-        fromBlock,
-        toBlock,
-      });
-      if (lagoonRedeemRequestedLogs.length > 0) {
-        console.log(`Found ${lagoonRedeemRequestedLogs.length} Lagoon RedeemRequested events in blocks ${fromBlock}-${toBlock}`);
-      }
-    } catch (e) {
-      console.log(`Error querying Lagoon RedeemRequested: ${e.message}`);
-    }
-
-    try {
-      const allVaultLogs = await client.getLogs({
-        address: VAULT_ADDRESS,
-        fromBlock,
-        toBlock,
-      });
-      
-      const caughtTxHashes = new Set([
-        ...redeemRequestedLogs.map(l => l.transactionHash),
-        ...lagoonRedeemRequestedLogs.map(l => l.transactionHash),
-      ]);
-      
-      const uncatchedLogs = allVaultLogs.filter(log => !caughtTxHashes.has(log.transactionHash));
-      if (uncatchedLogs.length > 0 && Math.random() < 0.1) {
-        console.log(`Found ${uncatchedLogs.length} vault logs in blocks ${fromBlock}-${toBlock} that weren't caught by our event filters`);
-        uncatchedLogs.slice(0, 3).forEach(log => {
-          console.log(`  Uncaught log: tx=${log.transactionHash}, topics=${log.topics.length}, block=${log.blockNumber}`);
-        });
-      }
-    } catch (e) {}
-
-    for (const log of redeemRequestedLogs) {
-      const { controller, owner, requestId, sender, shares } = log.args;
-      console.log(`Processing ERC-7540 RedeemRequest: tx=${log.transactionHash}, owner=${owner}, requestId=${requestId}, shares=${shares}, block=${log.blockNumber}`);
-      
-      const pendingMarker = await colPendingYieldoWithdrawals.findOne({
-        transaction_hash: log.transactionHash
-      });
-      
-      const source = pendingMarker ? 'yieldo' : 'lagoon';
-      
-      const result = await colWithdrawals.updateOne(
-        { transaction_hash: log.transactionHash },
-        {
-          $setOnInsert: {
-            user_address: owner,
-            vault_address: VAULT_ADDRESS,
-            shares: shares.toString(),
-            assets: null,
-            epoch_id: Number(requestId),
-            status: 'pending',
-            block_number: log.blockNumber.toString(),
-            transaction_hash: log.transactionHash,
-            source: source,
-            created_at: new Date(),
-          },
-        },
-        { upsert: true }
-      );
-      
-      if (result.upsertedCount > 0) {
-        console.log(`✅ Inserted new withdrawal: tx=${log.transactionHash}, source=${source}`);
-        if (pendingMarker) {
-          await colPendingYieldoWithdrawals.deleteOne({ transaction_hash: log.transactionHash });
-        }
-      } else if (result.matchedCount > 0) {
-        if (pendingMarker) {
-          await colWithdrawals.updateOne(
-            { transaction_hash: log.transactionHash },
-            { $set: { source: 'yieldo' } }
-          );
-          await colPendingYieldoWithdrawals.deleteOne({ transaction_hash: log.transactionHash });
-          console.log(`✅ Updated withdrawal source to Yieldo: tx=${log.transactionHash}`);
-        }
-        console.log(`ℹ️  Withdrawal already exists: tx=${log.transactionHash}`);
-      }
-    }
-
-    for (const log of lagoonRedeemRequestedLogs) {
-      const { user, epochId, shares } = log.args;
-      console.log(`Found RedeemRequested event: user=${user}, epochId=${epochId}, shares=${shares}, tx=${log.transactionHash}`);
-
-      const pendingMarker = await colPendingYieldoWithdrawals.findOne({
-        transaction_hash: log.transactionHash
-      });
-      
-      const source = pendingMarker ? 'yieldo' : 'lagoon';
-
-      const result = await colWithdrawals.updateOne(
-        { transaction_hash: log.transactionHash },
-        {
-          $setOnInsert: {
-            user_address: user,
-            vault_address: VAULT_ADDRESS,
-            shares: shares.toString(),
-            assets: null,
-            epoch_id: Number(epochId),
-            status: 'pending',
-            block_number: log.blockNumber.toString(),
-            transaction_hash: log.transactionHash,
-            source: source,
-            created_at: new Date(),
-          },
-        },
-        { upsert: true }
-      );
-      
-      if (result.upsertedCount > 0) {
-        console.log(`Saved withdrawal to database: tx=${log.transactionHash}, source=${source}`);
-        if (pendingMarker) {
-          await colPendingYieldoWithdrawals.deleteOne({ transaction_hash: log.transactionHash });
-        }
-      } else if (result.matchedCount > 0) {
-        if (pendingMarker) {
-          await colWithdrawals.updateOne(
-            { transaction_hash: log.transactionHash },
-            { $set: { source: 'yieldo' } }
-          );
-          await colPendingYieldoWithdrawals.deleteOne({ transaction_hash: log.transactionHash });
-          console.log(`✅ Updated withdrawal source to Yieldo: tx=${log.transactionHash}`);
-        }
-      }
-    }
-
-    if (redeemRequestedLogs.length === 0 && lagoonRedeemRequestedLogs.length === 0) {
-      if (Math.random() < 0.01) {
-        console.log(`No RedeemRequested events found in blocks ${fromBlock}-${toBlock}`);
-      }
-    }
-    let redeemSettledLogs = [];
-    try {
-      redeemSettledLogs = await client.getLogs({
-        address: VAULT_ADDRESS,
-        event: parseAbiItem('event RedeemSettled(address indexed controller, address indexed owner, uint256 indexed requestId, address receiver, uint256 assets)'),
-        fromBlock,
-        toBlock,
-      });
-    } catch (e) {
-      console.log('ERC-7540 RedeemSettled event not found, trying Lagoon-specific format');
-    }
-    
-    let lagoonRedeemSettledLogs = [];
-    if (redeemSettledLogs.length === 0) {
-      try {
-        lagoonRedeemSettledLogs = await client.getLogs({
-          address: VAULT_ADDRESS,
-          event: parseAbiItem('event RedeemSettled(address indexed user, uint256 indexed epochId, uint256 assets)'),
-          fromBlock,
-          toBlock,
-        });
-      } catch (e) {
-        console.log('Lagoon RedeemSettled event not found, vault may use different event format');
-      }
-    }
-
-    for (const log of redeemSettledLogs) {
-      const { controller, owner, requestId, receiver, assets } = log.args;
-      await colWithdrawals.updateOne(
-        { user_address: owner, vault_address: VAULT_ADDRESS, epoch_id: Number(requestId) },
-        { $set: { assets: assets.toString(), status: 'settled', settled_at: new Date() } }
-      );
-    }
-
-    for (const log of lagoonRedeemSettledLogs) {
-      const { user, epochId, assets } = log.args;
 
-      await colWithdrawals.updateOne(
-        { user_address: user, vault_address: VAULT_ADDRESS, epoch_id: Number(epochId) },
-        { $set: { assets: assets.toString(), status: 'settled', settled_at: new Date() } }
-      );
-    }
-
-    const totalAssetsUpdatedLogs = await client.getLogs({
-      address: VAULT_ADDRESS,
-      event: parseAbiItem('event TotalAssetsUpdated(uint256 totalAssets, uint256 timestamp)'),
-      fromBlock,
-      toBlock,
-    });
-
-  } catch (error) {
-    if (error.message && (error.message.includes('after last accepted block') || error.message.includes('requested from block'))) {
-      const finalityError = new Error(`Block range ${fromBlock}-${toBlock} not yet finalized`);
-      finalityError.name = 'BlockNotFinalizedError';
-      throw finalityError;
-    }
-    console.error('Error indexing vault events:', error);
-    throw error;
-  }
+  console.log(`Storage initialized (${storage.backend})`);
 }
 
-async function createDailySnapshot(optionalDateStr) {
+async function createDailySnapshot(optionalDateStr, vaults = VAULTS_CONFIG) {
   let startOfDay, endOfDay, dateKey;
   if (optionalDateStr && /^\d{4}-\d{2}-\d{2}$/.test(optionalDateStr)) {
     const [y, m, d] = optionalDateStr.split('-').map(Number);
@@ -782,39 +180,48 @@ async function createDailySnapshot(optionalDateStr) {
     dateKey = startOfDay.toISOString().slice(0, 10);
   }
 
-  const snapshotPromises = VAULTS_CONFIG.map(async (vaultConfig) => {
+  // Vault state is read at the day's closing block: the last block at or before 23:59:59 UTC,
+  // looked up once per chain (the latest block while the day is not over).
+  const closingBlocks = new Map();
+  const closingBlockOf = (vaultConfig, client) => {
+    if (!closingBlocks.has(vaultConfig.chain)) {
+      closingBlocks.set(vaultConfig.chain, findBlockByTimestamp(client, endOfDay));
+    }
+    return closingBlocks.get(vaultConfig.chain);
+  };
+
+  const snapshotPromises = vaults.map(async (vaultConfig) => {
     try {
       const client = getClientForVault(vaultConfig);
-      const vault = await Vault.fetch(vaultConfig.address, client);
-      if (!vault) {
-        console.error(`[${vaultConfig.id}] Failed to fetch vault`);
+      const closingBlock = await closingBlockOf(vaultConfig, client);
+      if (!closingBlock) {
+        console.warn(`[${vaultConfig.id}] No ${vaultConfig.chain} block before the end of ${dateKey}, skipping snapshot`);
         return;
       }
+      const atBlock = { blockNumber: closingBlock.number };
+      const state = await readVaultState(client, vaultConfig, closingBlock.number);
+      const { vault } = state;
 
-      const yieldoDepositsToday = await colDeposits
-        .find({ 
-          vault_id: vaultConfig.id,
-          chain: vaultConfig.chain,
-          source: 'yieldo',
-          created_at: { $gte: startOfDay, $lte: endOfDay },
-          status: { $in: ['executed', 'settled'] }
-        })
-        .toArray();
+      const yieldoDepositsToday = await colDeposits.find({
+        vaultId: vaultConfig.id,
+        chain: vaultConfig.chain,
+        sources: ['yieldo'],
+        time: { from: startOfDay, to: endOfDay },
+        statuses: ['executed', 'settled'],
+      });
       
       const totalDeposits = yieldoDepositsToday.reduce(
         (acc, d) => acc + BigInt(d.amount || '0'), 
         0n
       ).toString();
 
-      const yieldoWithdrawalsToday = await colWithdrawals
-        .find({ 
-          vault_id: vaultConfig.id,
-          chain: vaultConfig.chain,
-          source: 'yieldo',
-          created_at: { $gte: startOfDay, $lte: endOfDay },
-          status: { $in: ['pending', 'settled'] }
-        })
-        .toArray();
+      const yieldoWithdrawalsToday = await colWithdrawals.find({
+        vaultId: vaultConfig.id,
+        chain: vaultConfig.chain,
+        sources: ['yieldo'],
+        time: { from: startOfDay, to: endOfDay },
+        statuses: ['pending', 'settled'],
+      });
 
       const sumWithdrawalAssets = (withdrawals) => {
         let total = 0n;
@@ -837,39 +244,35 @@ async function createDailySnapshot(optionalDateStr) {
       prevDate.setUTCDate(prevDate.getUTCDate() - 1);
       const prevDateKey = prevDate.toISOString().slice(0, 10);
       
-      const prevSnapshot = await colSnapshots.findOne({
+      const prevSnapshot = await colSnapshots.getDay({
         date: prevDateKey,
-        vault_id: vaultConfig.id,
+        vaultId: vaultConfig.id,
         chain: vaultConfig.chain,
       });
       
-      const useCumulative = prevSnapshot && prevSnapshot.total_assets;
+      const prevFlowAUM = prevSnapshot?.yieldo_flow_aum;
       
-      if (useCumulative) {
-        const prevAUM = BigInt(prevSnapshot.total_assets || '0');
+      if (prevFlowAUM) {
+        const prevAUM = BigInt(prevFlowAUM);
         yieldoAUM = prevAUM + BigInt(totalDeposits) - totalYieldoWithdrawals;
         if (yieldoAUM < 0n) yieldoAUM = 0n;
         console.log(`[${vaultConfig.id}] AUM (cumulative from prev): prev=${(prevAUM / BigInt(10 ** vaultConfig.asset.decimals)).toString()}, deposits=${(BigInt(totalDeposits) / BigInt(10 ** vaultConfig.asset.decimals)).toString()}, yieldo_wd=${(totalYieldoWithdrawals / BigInt(10 ** vaultConfig.asset.decimals)).toString()}, result=${(yieldoAUM / BigInt(10 ** vaultConfig.asset.decimals)).toString()}`);
       } else {
-        const allDepositsUpToDate = await colDeposits
-          .find({
-            vault_id: vaultConfig.id,
-            chain: vaultConfig.chain,
-            source: 'yieldo',
-            created_at: { $lte: endOfDay },
-            status: { $in: ['executed', 'settled'] }
-          })
-          .toArray();
+        const allDepositsUpToDate = await colDeposits.find({
+          vaultId: vaultConfig.id,
+          chain: vaultConfig.chain,
+          sources: ['yieldo'],
+          time: { to: endOfDay },
+          statuses: ['executed', 'settled'],
+        });
         
-        const allYieldoWithdrawalsUpToDate = await colWithdrawals
-          .find({
-            vault_id: vaultConfig.id,
-            chain: vaultConfig.chain,
-            source: 'yieldo',
-            created_at: { $lte: endOfDay },
-            status: { $in: ['pending', 'settled'] }
-          })
-          .toArray();
+        const allYieldoWithdrawalsUpToDate = await colWithdrawals.find({
+          vaultId: vaultConfig.id,
+          chain: vaultConfig.chain,
+          sources: ['yieldo'],
+          time: { to: endOfDay },
+          statuses: ['pending', 'settled'],
+        });
         
         const totalAllDeposits = allDepositsUpToDate.reduce(
           (acc, d) => acc + BigInt(d.amount || '0'),
@@ -882,50 +285,68 @@ async function createDailySnapshot(optionalDateStr) {
         console.log(`[${vaultConfig.id}] AUM (calculated from scratch for ${dateKey}): deposits=${(totalAllDeposits / BigInt(10 ** vaultConfig.asset.decimals)).toString()}, yieldo_withdrawals=${(totalAllYieldoWithdrawals / BigInt(10 ** vaultConfig.asset.decimals)).toString()}, result=${(yieldoAUM / BigInt(10 ** vaultConfig.asset.decimals)).toString()}, deposit_count=${allDepositsUpToDate.length}, withdrawal_count=${allYieldoWithdrawalsUpToDate.length}`);
       }
 
-      const totalSupplyStr = vault.totalSupply?.toString() || '0';
-      
-      // Calculate share price using Lagoon SDK's convertToAssets
-      // This is the proper way to get share price: assets per 1 share (10^18)
-      let sharePriceStr = '0';
+      if (state.sharePrice === null) {
+        console.warn(`[${vaultConfig.id}] totalSupply is 0, cannot calculate share price`);
+      }
+
+      // AUM is measured from the Yieldo users' share balances at the closing block and reconciled
+      // with the flow-based figure, which it falls back to when balances cannot be read (e.g. an
+      // RPC without archive state for a past day).
+      let totalAssets = yieldoAUM;
+      let yieldoShares = null;
+      let reconciliation = null;
       try {
-        if (vault.totalSupply && vault.totalSupply > 0n) {
-          const sharePrice = vault.convertToAssets(VaultUtils.ONE_SHARE);
-          sharePriceStr = sharePrice.toString();
-          console.log(`[${vaultConfig.id}] Share price: ${Number(sharePrice) / 1e6} USDC per share`);
-        } else {
-          console.warn(`[${vaultConfig.id}] totalSupply is 0, cannot calculate share price`);
+        const netShares = await getYieldoNetShares(colDeposits, colWithdrawals, vaultConfig, { to: endOfDay });
+        const onchain = await computeOnchainAUM(client, vaultConfig, vault, netShares, atBlock);
+        totalAssets = onchain.assets;
+        yieldoShares = onchain.shares;
+        reconciliation = {
+          ...reconcileAUM(onchain.assets, yieldoAUM, reconciliationThresholdBps(vaultConfig)),
+          shares: onchain.shares.toString(),
+          held_shares: onchain.heldShares.toString(),
+          users: onchain.users,
+        };
+        if (reconciliation.flagged) {
+          console.warn(`[${vaultConfig.id}] AUM reconciliation for ${dateKey}: on-chain ${reconciliation.onchain_assets} vs flows ${reconciliation.flow_assets} (${reconciliation.difference_bps} bps, threshold ${reconciliation.threshold_bps})`);
         }
-      } catch (e) {
-        console.warn(`[${vaultConfig.id}] Failed to calculate share price:`, e.message);
+      } catch (error) {
+        console.error(`[${vaultConfig.id}] On-chain AUM unavailable, using flow-based AUM:`, error.message);
       }
-      
-      await colSnapshots.updateOne(
-        { date: dateKey, vault_id: vaultConfig.id, chain: vaultConfig.chain },
+
+      await colSnapshots.upsertDay(
+        { date: dateKey, vaultId: vaultConfig.id, chain: vaultConfig.chain },
         {
-          $set: {
-            date: dateKey,
-            vault_id: vaultConfig.id,
-            vault_address: vaultConfig.address,
-            vault_name: vaultConfig.name,
-            chain: vaultConfig.chain,
-            asset_symbol: vaultConfig.asset.symbol,
-            asset_decimals: vaultConfig.asset.decimals,
-            total_assets: yieldoAUM.toString(),
-            total_supply: totalSupplyStr,
-            share_price: sharePriceStr, // Assets per 1 share (10^18 shares)
-            total_deposits: totalDeposits,
-            total_withdrawals: totalWithdrawals.toString(),
-            deposit_epoch_id: vault.depositEpochId || 0,
-            redeem_epoch_id: vault.redeemEpochId || 0,
-            created_at: new Date(),
-          },
-        },
-        { upsert: true }
+          vault_address: normalizeAddress(vaultConfig.address),
+          vault_name: vaultConfig.name,
+          asset_symbol: vaultConfig.asset.symbol,
+          asset_decimals: vaultConfig.asset.decimals,
+          vault_total_assets: state.totalAssets?.toString() ?? null,
+          vault_total_supply: state.totalSupply.toString(),
+          vault_share_price: state.sharePrice?.toString() ?? null, // Assets per 1 share (10^18 shares)
+          vault_pending_deposits: state.pendingDeposits?.toString() ?? null,
+          vault_pending_redeems: state.pendingRedeems?.toString() ?? null,
+          yieldo_aum: totalAssets.toString(),
+          yieldo_shares: yieldoShares?.toString() ?? null,
+          yieldo_flow_aum: yieldoAUM.toString(),
+          aum_source: reconciliation ? 'onchain' : 'flows',
+          reconciliation,
+          // Deprecated aliases of yieldo_aum, vault_total_supply and vault_share_price.
+          total_assets: totalAssets.toString(),
+          total_supply: state.totalSupply.toString(),
+          share_price: state.sharePrice?.toString() ?? '0',
+          total_deposits: totalDeposits,
+          total_withdrawals: totalWithdrawals.toString(),
+          deposit_epoch_id: vault.depositEpochId || 0,
+          redeem_epoch_id: vault.redeemEpochId || 0,
+          block_number: closingBlock.number.toString(),
+          block_timestamp: new Date(Number(closingBlock.timestamp) * 1000),
+          created_at: new Date(),
+        }
       );
 
       const depositsFormatted = (BigInt(totalDeposits) / BigInt(10 ** vaultConfig.asset.decimals)).toString();
       const withdrawalsFormatted = (totalWithdrawals / BigInt(10 ** vaultConfig.asset.decimals)).toString();
-      const aumFormatted = (yieldoAUM / BigInt(10 ** vaultConfig.asset.decimals)).toString();
+      const aumFormatted = (totalAssets / BigInt(10 ** vaultConfig.asset.decimals)).toString();
       console.log(`[${vaultConfig.id}] Daily snapshot created for ${dateKey}: deposits=${depositsFormatted} ${vaultConfig.asset.symbol}, withdrawals=${withdrawalsFormatted} ${vaultConfig.asset.symbol}, AUM=${aumFormatted} ${vaultConfig.asset.symbol}`);
     } catch (error) {
       console.error(`[${vaultConfig.id}] Error creating daily snapshot:`, error);
@@ -935,31 +356,106 @@ async function createDailySnapshot(optionalDateStr) {
   await Promise.allSettled(snapshotPromises);
 
   try {
-    const allSnapshots = await colSnapshots.find({ date: dateKey }).toArray();
-    let combinedAUM = 0n;
-    let combinedDeposits = 0n;
-    let combinedWithdrawals = 0n;
-    
+    const allSnapshots = await colSnapshots.find({ date: dateKey });
+    // Vaults only add up within one asset: totals are per asset symbol and decimals.
+    const combinedAUM = new Map();
     for (const snapshot of allSnapshots) {
-      combinedAUM += BigInt(snapshot.total_assets || '0');
-      combinedDeposits += BigInt(snapshot.total_deposits || '0');
-      combinedWithdrawals += BigInt(snapshot.total_withdrawals || '0');
+      const vaultConfig = getVaultById(snapshot.vault_id);
+      const symbol = snapshot.asset_symbol ?? vaultConfig?.asset.symbol ?? '?';
+      const decimals = snapshot.asset_decimals ?? vaultConfig?.asset.decimals ?? 0;
+      const key = `${symbol}:${decimals}`;
+      const total = combinedAUM.get(key) ?? { symbol, decimals, aum: 0n };
+      total.aum += BigInt(snapshot.yieldo_aum ?? snapshot.total_assets ?? '0');
+      combinedAUM.set(key, total);
+    }
+
+    const totals = [...combinedAUM.values()].map(t => `${(t.aum / BigInt(10 ** t.decimals)).toString()} ${t.symbol}`);
+    console.log(`[Combined] Total AUM across all vaults for ${dateKey}: ${totals.join(', ') || 'none'}`);
+
+    const flagged = allSnapshots.filter(s => s.reconciliation?.flagged);
+    if (flagged.length) {
+      console.warn(`[Reconciliation] ${dateKey}: ${flagged.length} vault(s) above threshold: ${flagged.map(s => `${s.vault_id} (${s.reconciliation.difference_bps} bps)`).join(', ')}`);
     }
-    
-    console.log(`[Combined] Total AUM across all vaults for ${dateKey}: ${(combinedAUM / BigInt(1e6)).toString()} USDC`);
   } catch (error) {
     console.error('Error calculating combined AUM:', error);
   }
 }
 
-const lastProcessedBlocks = {};
+// Backfills missing daily snapshots (see snapshot-gaps.js), at most SNAPSHOT_GAP_REPAIR_LIMIT
+// dates per run (default 31). Runs at startup and after the daily snapshot.
+let repairingGaps = false;
+async function repairGaps() {
+  if (repairingGaps) return;
+  repairingGaps = true;
+  try {
+    const { repaired, remaining } = await repairSnapshotGaps(
+      { colSnapshots, colDeposits, colWithdrawals },
+      VAULTS_CONFIG,
+      createDailySnapshot,
+      { limit: Number(process.env.SNAPSHOT_GAP_REPAIR_LIMIT || 31) }
+    );
+    if (repaired.length || remaining) {
+      console.log(`[snapshots] Backfilled ${repaired.length} missing date(s); ${remaining} vault-day(s) still missing`);
+    }
+  } catch (error) {
+    console.error('Error repairing snapshot gaps:', error);
+  } finally {
+    repairingGaps = false;
+  }
+}
+
+function indexContracts(vault, client, fromBlock, toBlock, options) {
+  return indexVaultRange(
+    vault,
+    client,
+    { colDeposits, colWithdrawals, colPendingYieldoWithdrawals, colIntents, colMeta },
+    fromBlock,
+    toBlock,
+    options
+  );
+}
+
+function resolveBackfillVaults(vaultId) {
+  if (!vaultId) return { error: 'vault_id is required (a vault id or "all")' };
+  if (vaultId === 'all') return { vaults: VAULTS_CONFIG };
+  const vaultConfig = getVaultById(vaultId);
+  if (!vaultConfig) return { error: `Unknown vault_id: ${vaultId}` };
+  return { vaults: [vaultConfig] };
+}
+
+// Indexes [fromBlock, toBlock] for every given vault and reports the logs found per vault.
+// A failing vault does not stop the others.
+async function backfillVaults(vaults, fromBlock, toBlock) {
+  const results = [];
+  for (const vault of vaults) {
+    const client = getClientForVault(vault);
+    const result = { vault_id: vault.id, chain: vault.chain, events: {}, error: null, notFinalized: false };
+    try {
+      result.events = await indexContracts(vault, client, fromBlock, toBlock);
+    } catch (error) {
+      if (error.name === 'BlockNotFinalizedError') {
+        result.notFinalized = true;
+      } else {
+        console.error(`[${vault.id}] Backfill of blocks ${fromBlock}-${toBlock} failed:`, error);
+      }
+      result.error = error.shortMessage || error.message || String(error);
+    }
+    result.totalEvents = Object.values(result.events).reduce((sum, n) => sum + n, 0);
+    results.push(result);
+  }
+  return results;
+}
+
+const cursors = {};
+const chainHeads = {};
+const MAX_BLOCKS_PER_POLL = BigInt(process.env.MAX_BLOCKS_PER_POLL || '2000');
 
 async function startIndexing() {
+  const seriesInterval = getSeriesInterval();
   await initDatabase();
 
-  setRateLimitHandler((vaultConfig, operation) => {
-    return executeWithRateLimitHandling(vaultConfig, operation);
-  });
+  setGetLogsHandler((vaultConfig, params) => getLogsAdaptive(vaultConfig.chain, params));
+  startRpcHealthChecks();
 
   for (const vault of VAULTS_CONFIG) {
     const client = getClientForVault(vault);
@@ -977,62 +473,121 @@ async function startIndexing() {
       } catch (logsError) {
         console.error(`[${vault.chain}] ❌ RPC does NOT support eth_getLogs:`, logsError.message);
         if (logsError.message && logsError.message.includes('eth_getLogs')) {
-          console.error(`[${vault.chain}] CRITICAL: Current RPC (${vault.rpcUrls[0]}) does not support eth_getLogs method!`);
-          console.error(`[${vault.chain}] Please set ${vault.chain.toUpperCase()}_RPC_URL environment variable to a working RPC endpoint`);
+          console.error(`[${vault.chain}] CRITICAL: No RPC in the pool supports eth_getLogs (see /api/rpc-status)!`);
+          console.error(`[${vault.chain}] ${rpcConfigHint(vault)}`);
         }
       }
     } catch (error) {
       console.error(`[${vault.chain}] ❌ RPC connection failed:`, error.message);
-      console.error(`[${vault.chain}] Current RPC URL: ${vault.rpcUrls[0]}`);
+      console.error(`[${vault.chain}] RPC URLs: ${vault.rpcUrls.length} configured (see /api/rpc-status)`);
       throw new Error(`Failed to connect to ${vault.chain} RPC: ${error.message}`);
     }
   }
 
   for (const vault of VAULTS_CONFIG) {
-    const metaKey = `lastProcessedBlock_${vault.chain}`;
-    const meta = await colMeta.findOne({ _id: metaKey });
     const client = getClientForVault(vault);
     
     try {
-      if (meta?.value) {
-        lastProcessedBlocks[vault.chain] = BigInt(meta.value);
-      } else {
-        const latestBlock = await client.getBlockNumber();
-        lastProcessedBlocks[vault.chain] = latestBlock - 100n;
-        await colMeta.updateOne(
-          { _id: metaKey },
-          { $set: { value: lastProcessedBlocks[vault.chain].toString(), updated_at: new Date() } },
-          { upsert: true }
-        );
+      for (const target of getCursorContracts(vault)) {
+        const { block, hash, recentBlocks, seededFrom, initialBackfillJob } = await initCursor(colMeta, client, vault, target, {
+          enqueueBackfill: async ({ contract, fromBlock, toBlock }, session) => {
+            const job = await createBackfillJob(colBackfillJobs, vault, {
+              fromBlock,
+              toBlock,
+              contracts: [contract],
+              reason: 'initial',
+            }, session);
+            return job._id;
+          },
+        });
+        cursors[cursorKey(vault.id, target.contract)] = {
+          vault_id: vault.id,
+          chain: vault.chain,
+          contract: target.contract,
+          address: target.address,
+          block,
+          hash,
+          recent_blocks: recentBlocks,
+          initial_backfill_job: initialBackfillJob,
+        };
+        const seededNote = seededFrom ? ` (new cursor, seeded from ${seededFrom})` : '';
+        console.log(`[${vault.id}] Starting ${target.contract} indexing from block ${block}${seededNote}`);
       }
-      
-      console.log(`[${vault.chain}] Starting indexing from block ${lastProcessedBlocks[vault.chain]}`);
     } catch (error) {
-      console.error(`[${vault.chain}] Failed to initialize indexing:`, error.message);
+      console.error(`[${vault.id}] Failed to initialize indexing:`, error.message);
       throw error;
     }
   }
-
-  async function getSafeBlockNumber() {
-    const latestBlock = await client.getBlockNumber();
-    const SAFETY_MARGIN = BigInt(process.env.AVALANCHE_SAFETY_MARGIN || '60');
-    const safeBlock = latestBlock > SAFETY_MARGIN ? latestBlock - SAFETY_MARGIN : latestBlock;
-    return safeBlock;
+  await retireLegacyCursors(colMeta, getAllChains());
+
+  // A reorg invalidates every document of the vault past the common ancestor, so all of
+  // the vault's cursors are moved back, not only the one that noticed it.
+  async function rollbackVaultToBlock(vault, ancestor) {
+    const rewound = getCursorContracts(vault)
+      .map(({ contract }) => cursors[cursorKey(vault.id, contract)])
+      .filter(cursor => cursor.block > ancestor.number)
+      .map(cursor => ({
+        cursor,
+        recent_blocks: rememberBlock(
+          (cursor.recent_blocks || []).filter(b => BigInt(b.number) <= ancestor.number),
+          ancestor.number,
+          ancestor.hash
+        ),
+      }));
+    await rollbackVault(
+      { colDeposits, colWithdrawals, colIntents, colMeta, colPendingYieldoWithdrawals },
+      vault,
+      ancestor.number,
+      {
+        onCommit: async (session) => {
+          for (const { cursor, recent_blocks } of rewound) {
+            await saveCursor(colMeta, vault, cursor.contract, ancestor.number, {
+              block_hash: ancestor.hash,
+              recent_blocks,
+              last_reorg_at: new Date(),
+            }, session);
+          }
+        },
+      }
+    );
+    for (const { cursor, recent_blocks } of rewound) {
+      cursor.block = ancestor.number;
+      cursor.hash = ancestor.hash;
+      cursor.recent_blocks = recent_blocks;
+    }
   }
 
-  async function backfillBlockRange(fromBlock, toBlock) {
-    try {
-      console.log(`Backfilling blocks ${fromBlock} to ${toBlock}`);
-      await indexDepositRouterEvents(fromBlock, toBlock);
-      await indexVaultEvents(fromBlock, toBlock);
-      console.log(`Successfully backfilled blocks ${fromBlock} to ${toBlock}`);
-      return true;
-    } catch (error) {
-      console.error(`Error backfilling blocks ${fromBlock} to ${toBlock}:`, error);
-      return false;
+  // Live indexing of a vault waits for its initial backfill: a live Withdraw applied before the
+  // backfill has indexed its RedeemRequest would be recorded as a separate claim, and the
+  // request then counted again. A failed or cancelled backfill no longer holds the vault.
+  const heldVaults = new Set();
+  async function awaitingInitialBackfill(vault) {
+    for (const { contract } of getCursorContracts(vault)) {
+      const cursor = cursors[cursorKey(vault.id, contract)];
+      if (!cursor.initial_backfill_job) continue;
+      const status = await colBackfillJobs.getStatus(cursor.initial_backfill_job);
+      if (status === 'queued' || status === 'running') {
+        if (!heldVaults.has(vault.id)) {
+          heldVaults.add(vault.id);
+          console.log(`[${vault.id}] Live indexing held until initial ${contract} backfill job ${cursor.initial_backfill_job} completes`);
+        }
+        return true;
+      }
+      if (status !== 'completed') {
+        console.error(`[${vault.id}] Initial ${contract} backfill job ${cursor.initial_backfill_job} is ${status || 'missing'}; indexing live blocks without the history before block ${cursor.block}`);
+      }
+      cursor.initial_backfill_job = null;
     }
+    heldVaults.delete(vault.id);
+    return false;
   }
 
+  startBackfillWorker(colBackfillJobs, {
+    getVault: getVaultById,
+    indexRange: (vault, contracts, fromBlock, toBlock, { onCommit }) =>
+      indexContracts(vault, getClientForVault(vault), fromBlock, toBlock, { contracts, onCommit }),
+  });
+
   setInterval(async () => {
     try {
       const indexingPromises = VAULTS_CONFIG.map(async (vault) => {
@@ -1041,66 +596,92 @@ async function startIndexing() {
           const latestBlock = await client.getBlockNumber();
           const SAFETY_MARGIN = vault.safetyMargin || BigInt(process.env[`${vault.chain.toUpperCase()}_SAFETY_MARGIN`] || '5');
           const safeBlock = latestBlock > SAFETY_MARGIN ? latestBlock - SAFETY_MARGIN : latestBlock;
-          const fromBlock = lastProcessedBlocks[vault.chain] + 1n;
-          const toBlock = safeBlock;
+          chainHeads[vault.chain] = { latest: latestBlock, safe: safeBlock, updated_at: new Date() };
+          if (await awaitingInitialBackfill(vault)) return;
 
-          if (fromBlock <= toBlock) {
-            console.log(`[${vault.id}] Indexing blocks ${fromBlock} to ${toBlock} (latest: ${latestBlock}, safe: ${safeBlock})`);
-            
-            try {
-              if (vault.depositRouter) {
-                await indexDepositRouterEventsForVault(
-                  vault,
-                  client,
-                  colIntents,
-                  colDeposits,
-                  fromBlock,
-                  toBlock
-                );
-              }
-              await indexVaultEventsForVault(
-                vault,
-                client,
-                colDeposits,
-                colWithdrawals,
-                colPendingYieldoWithdrawals,
-                colIntents,
-                colMeta,
-                fromBlock,
-                toBlock
-              );
-              
-              lastProcessedBlocks[vault.chain] = toBlock;
-              const metaKey = `lastProcessedBlock_${vault.chain}`;
-              await colMeta.updateOne(
-                { _id: metaKey },
-                { $set: { value: lastProcessedBlocks[vault.chain].toString(), updated_at: new Date() } },
-                { upsert: true }
-              );
-            } catch (indexError) {
-              if (indexError.name === 'BlockNotFinalizedError' || 
-                  (indexError.message && (
-                    indexError.message.includes('after last accepted block') || 
-                    indexError.message.includes('requested from block') ||
-                    indexError.message.includes('not yet finalized')
-                  ))) {
+          const blockCache = new Map();
+          const getBlockCached = async (blockNumber) => {
+            if (!blockCache.has(blockNumber)) {
+              blockCache.set(blockNumber, await client.getBlock({ blockNumber }));
+            }
+            return blockCache.get(blockNumber);
+          };
+
+          // All of the vault's contracts are fetched in one call from the lowest cursor; each
+          // contract only applies the logs past its own cursor.
+          const vaultCursors = getCursorContracts(vault).map(({ contract }) => cursors[cursorKey(vault.id, contract)]);
+          const lowest = vaultCursors.reduce((min, c) => (c.block < min ? c.block : min), vaultCursors[0].block);
+          const fromBlock = lowest + 1n;
+          const cappedBlock = fromBlock + MAX_BLOCKS_PER_POLL - 1n;
+          const toBlock = cappedBlock < safeBlock ? cappedBlock : safeBlock;
+          const behind = vaultCursors.filter(c => c.block < toBlock);
+          if (fromBlock > toBlock || behind.length === 0) return;
+
+          try {
+            for (const cursor of behind) {
+              const ancestor = await detectReorg(client, cursor, await getBlockCached(cursor.block + 1n));
+              if (ancestor) {
+                if (ancestor.deep) {
+                  console.error(`[${vault.id}] Reorg at ${cursor.contract} block ${cursor.block} is deeper than the remembered blocks (REORG_HISTORY), rolling back to ${ancestor.number} without a known common ancestor; documents of earlier orphaned blocks may remain`);
+                } else {
+                  console.warn(`[${vault.id}] Reorg detected at ${cursor.contract} block ${cursor.block}, rolling back to ${ancestor.number}`);
+                }
+                await rollbackVaultToBlock(vault, ancestor);
                 return;
               }
-              console.error(`[${vault.id}] Indexing error:`, indexError);
-              if (indexError.message) {
-                console.error(`[${vault.id}] Error message: ${indexError.message}`);
-              }
-              if (indexError.code) {
-                console.error(`[${vault.id}] Error code: ${indexError.code}`);
-              }
-              if (indexError.shortMessage) {
-                console.error(`[${vault.id}] Short message: ${indexError.shortMessage}`);
-              }
-              if (indexError.message && indexError.message.includes('eth_getLogs')) {
-                console.error(`[${vault.id}] CRITICAL: RPC does not support eth_getLogs. Current RPC: ${vault.rpcUrls[0]}`);
-                console.error(`[${vault.id}] Please check ETHEREUM_RPC_URL environment variable on Railway`);
-              }
-              throw indexError;
+            }
+
+            const contracts = behind.map(c => c.contract);
+            console.log(`[${vault.id}] Indexing ${contracts.join('+')} blocks ${fromBlock} to ${toBlock} (latest: ${latestBlock}, safe: ${safeBlock})`);
+            const toBlockHash = (await getBlockCached(toBlock)).hash;
+            const advanced = behind.map(cursor => ({
+              cursor,
+              recent_blocks: rememberBlock(cursor.recent_blocks, toBlock, toBlockHash),
+            }));
+            await indexContracts(vault, client, fromBlock, toBlock, {
+              contracts,
+              after: Object.fromEntries(behind.map(c => [c.contract, c.block])),
+              onCommit: async (session) => {
+                for (const { cursor, recent_blocks } of advanced) {
+                  await saveCursor(colMeta, vault, cursor.contract, toBlock, {
+                    block_hash: toBlockHash,
+                    recent_blocks,
+                  }, session);
+                }
+              },
+            });
+
+            for (const { cursor, recent_blocks } of advanced) {
+              cursor.block = toBlock;
+              cursor.hash = toBlockHash;
+              cursor.recent_blocks = recent_blocks;
+              cursor.last_error = null;
+            }
+          } catch (indexError) {
+            if (indexError.name === 'BlockNotFinalizedError' || 
+                (indexError.message && (
+                  indexError.message.includes('after last accepted block') || 
+                  indexError.message.includes('requested from block') ||
+                  indexError.message.includes('not yet finalized')
+                ))) {
+              return;
+            }
+            for (const cursor of behind) {
+              cursor.last_error = indexError.shortMessage || indexError.message || String(indexError);
+            }
+            console.error(`[${vault.id}] Indexing error:`, indexError);
+            if (indexError.message) {
+              console.error(`[${vault.id}] Error message: ${indexError.message}`);
+            }
+            if (indexError.code) {
+              console.error(`[${vault.id}] Error code: ${indexError.code}`);
+            }
+            if (indexError.shortMessage) {
+              console.error(`[${vault.id}] Short message: ${indexError.shortMessage}`);
+            }
+            if (indexError.message && indexError.message.includes('eth_getLogs')) {
+              console.error(`[${vault.id}] CRITICAL: RPC does not support eth_getLogs (see /api/rpc-status)`);
+              console.error(`[${vault.id}] ${rpcConfigHint(vault)}`);
             }
           }
         } catch (error) {
@@ -1114,8 +695,6 @@ async function startIndexing() {
           if (error.cause) {
             console.error(`[${vault.id}] Error cause:`, error.cause);
           }
-          const client = getClientForVault(vault);
-          console.error(`[${vault.id}] Using RPC: ${vault.rpcUrls[0]} for chain ${vault.chain}`);
         }
       });
 
@@ -1126,13 +705,19 @@ async function startIndexing() {
     }
   }, 30000);
 
+  repairGaps();
+
+  // At midnight the day that just ended is complete: snapshot it at its closing block.
   cron.schedule('0 0 * * *', async () => {
-    await createDailySnapshot();
+    const yesterday = new Date();
+    yesterday.setUTCDate(yesterday.getUTCDate() - 1);
+    await createDailySnapshot(yesterday.toISOString().slice(0, 10));
+    await repairGaps();
     await loadVaultKPI();
     if (!runVaultKPI) return;
     try {
       await runVaultKPI({
-        db,
+        storage,
         getClientForVault,
         VAULTS_CONFIG,
         getVaultById,
@@ -1142,19 +727,88 @@ async function startIndexing() {
     } catch (err) {
       console.error('Vault KPI job error:', err);
     }
-  });
+  }, { timezone: 'UTC' });
   console.log('Daily snapshot + vault KPI scheduler started (00:00 UTC)');
+
+  cron.schedule(seriesCronSchedule(seriesInterval), async () => {
+    const end = bucketStart(new Date(), seriesInterval);
+    try {
+      await captureSeriesPoints(
+        { colSeries: colSnapshotSeries, colDeposits, colWithdrawals },
+        VAULTS_CONFIG,
+        getClientForVault,
+        seriesInterval,
+        end
+      );
+      await rollUpSeries(colSnapshotSeries, VAULTS_CONFIG, seriesInterval, end);
+      const pruned = await pruneSeries(colSnapshotSeries, seriesInterval);
+      if (pruned > 0) console.log(`Pruned ${pruned} ${seriesInterval} snapshot point(s) past retention`);
+    } catch (error) {
+      console.error(`Error recording ${seriesInterval} snapshots:`, error);
+    }
+  }, { timezone: 'UTC' });
+  console.log(`Snapshot series scheduler started (every ${seriesInterval})`);
+}
+
+// List endpoints return a JSON array ordered by event time (`order=asc|desc`, default desc) with
+// the total number of matches in X-Total-Count. When more remain, X-Next-Cursor holds the
+// `cursor` of the next page (`limit` 1-1000, default 100; 30 for snapshots). Filters: `user`,
+// `vault_id`, `chain`, `from`/`to` (ISO date or timestamp; a bare `to` date is inclusive),
+// `status` and `source` (comma-separated), and `min_amount`/`max_amount` in base units
+// (deposit and intent `amount`, withdrawal `assets`). Snapshots take `vault_id`, `chain` and
+// `from`/`to` on `date`; combined snapshots page by date. With `interval` (1h, 4h, 1d),
+// snapshots come from the intraday series instead, paged by bucket start (default limit 100).
+
+// Filter of the deposit, withdrawal and intent lists: user/vault/chain, status, source, event
+// time and amount.
+function eventListFilter(query, list) {
+  const { vault_id, chain } = query;
+  return {
+    user: addressParam(query.user),
+    vaultId: vault_id,
+    chain,
+    statuses: list.statuses,
+    sources: list.sources,
+    time: timeRange(list),
+    minAmount: list.minAmount,
+    maxAmount: list.maxAmount,
+  };
+}
+
+const toDateKey = date => date.toISOString().slice(0, 10);
+
+// Filter of the snapshot list: vault/chain and the date range.
+function snapshotListFilter(query, list) {
+  const { vault_id, chain } = query;
+  const range = timeRange(list);
+  return {
+    vaultId: vault_id,
+    chain,
+    dateRange: range && {
+      from: range.from && toDateKey(range.from),
+      to: range.to && toDateKey(range.to),
+      toExclusive: range.toExclusive,
+    },
+  };
+}
+
+// Malformed query parameters and addresses are the caller's fault.
+function isInvalidRequest(error) {
+  return error.name === 'InvalidQueryError' || error.name === 'InvalidAddressError';
+}
+
+function sendListError(res, error, what) {
+  if (isInvalidRequest(error)) return res.status(400).json({ error: error.message });
+  console.error(`Error fetching ${what}:`, error);
+  res.status(500).json({ error: error.message });
 }
 
 app.get('/api/deposits', async (req, res) => {
   try {
-    const { user, vault_id, chain } = req.query;
-    const filter = {};
-    if (user) filter.user_address = user;
-    if (vault_id) filter.vault_id = vault_id;
-    if (chain) filter.chain = chain;
-    
-    const docs = await colDeposits.find(filter).sort({ created_at: -1 }).limit(100).toArray();
+    const list = parseListQuery(req.query, { sources: ['yieldo', 'lagoon'] });
+    const page = await findPage(colDeposits, eventListFilter(req.query, list), list);
+    const docs = page.docs;
+    setPageHeaders(res, page);
 
     res.json(
       docs.map((d) => ({
@@ -1169,28 +823,72 @@ app.get('/api/deposits', async (req, res) => {
         amount: d.amount,
         status: d.status,
         source: d.source || 'yieldo',
-        timestamp: d.created_at?.toISOString?.() || new Date().toISOString(),
+        timestamp: (d.block_timestamp || d.created_at)?.toISOString?.() || new Date().toISOString(),
         epochId: d.epoch_id ?? null,
+        requestId: d.request_id ?? null,
+        intentHash: d.intent_hash ?? null,
         shares: d.shares ?? null,
         txHash: d.transaction_hash ?? null,
+        logIndex: d.log_index ?? null,
       }))
     );
   } catch (error) {
-    console.error('Error fetching deposits:', error);
-    res.status(500).json({ error: error.message });
+    sendListError(res, error, 'deposits');
   }
 });
 
+// Points of the snapshot series at `interval` (see snapshot-series.js), ordered by bucket start.
+async function sendSeriesSnapshots(req, res) {
+  const { interval, vault_id, chain, combined } = req.query;
+  if (!INTERVALS[interval]) {
+    throw invalidQuery(`Invalid interval "${interval}" (expected ${Object.keys(INTERVALS).join(', ')})`);
+  }
+  if (combined === 'true') throw invalidQuery('combined is not supported with interval');
+  const list = parseListQuery(req.query);
+  const filter = { interval, vaultId: vault_id, chain, bucketRange: timeRange(list) };
+
+  const page = await findPage(colSnapshotSeries, filter, list);
+  setPageHeaders(res, page);
+  res.json(
+    page.docs.map((p) => ({
+      time: p.bucket?.toISOString?.() || null,
+      interval: p.interval,
+      vault_id: p.vault_id,
+      chain: p.chain,
+      vault_total_assets: p.vault_total_assets ?? null,
+      vault_total_supply: p.vault_total_supply || '0',
+      vault_share_price: p.vault_share_price ?? null,
+      vault_pending_deposits: p.vault_pending_deposits ?? null,
+      vault_pending_redeems: p.vault_pending_redeems ?? null,
+      yieldo_deposits: p.yieldo_deposits || '0',
+      yieldo_withdrawals: p.yieldo_withdrawals || '0',
+      points: p.points ?? 1,
+      blockNumber: p.block_number ?? null,
+    }))
+  );
+}
+
 app.get('/api/snapshots', async (req, res) => {
   try {
-    const { vault_id, chain, combined } = req.query;
-    
-    let query = {};
-    if (vault_id) query.vault_id = vault_id;
-    if (chain) query.chain = chain;
-    
-    const docs = await colSnapshots.find(query).sort({ date: -1 }).limit(30).toArray();
-    
+    if (req.query.interval !== undefined) return await sendSeriesSnapshots(req, res);
+    const { combined } = req.query;
+    const list = parseListQuery(req.query, { defaultLimit: 30 });
+    const filter = snapshotListFilter(req.query, list);
+
+    // Combined snapshots page through dates, so a page never splits a day's vaults.
+    let docs;
+    if (combined === 'true') {
+      const page = await findDatePage(colSnapshots, filter, list);
+      setPageHeaders(res, page);
+      docs = page.values.length
+        ? await colSnapshots.find({ ...filter, dates: page.values }, { order: list.order })
+        : [];
+    } else {
+      const page = await findPage(colSnapshots, filter, list);
+      setPageHeaders(res, page);
+      docs = page.docs;
+    }
+
     if (combined === 'true') {
       const byDate = {};
       for (const s of docs) {
@@ -1221,6 +919,7 @@ app.get('/api/snapshots', async (req, res) => {
           total_deposits: s.total_deposits.toString(),
           total_withdrawals: s.total_withdrawals.toString(),
           aum: s.total_assets.toString(),
+          yieldo_aum: s.total_assets.toString(),
           totalDeposits: s.total_deposits.toString(),
           totalWithdrawals: s.total_withdrawals.toString(),
           vaults: s.vaults,
@@ -1244,23 +943,46 @@ app.get('/api/snapshots', async (req, res) => {
         totalSupply: s.total_supply || '0',
         depositEpochId: s.deposit_epoch_id || 0,
         redeemEpochId: s.redeem_epoch_id || 0,
+        vault_total_assets: s.vault_total_assets ?? null,
+        vault_total_supply: s.vault_total_supply ?? s.total_supply ?? '0',
+        vault_share_price: s.vault_share_price ?? null,
+        vault_pending_deposits: s.vault_pending_deposits ?? null,
+        vault_pending_redeems: s.vault_pending_redeems ?? null,
+        yieldo_aum: s.yieldo_aum ?? s.total_assets ?? '0',
+        yieldo_shares: s.yieldo_shares ?? null,
+        yieldo_flow_aum: s.yieldo_flow_aum ?? null,
+        aum_source: s.aum_source ?? null,
       }))
     );
   } catch (error) {
-    console.error('Error fetching snapshots:', error);
+    sendListError(res, error, 'snapshots');
+  }
+});
+
+// Missing daily snapshots per vault since its inception (see snapshot-gaps.js). Filters:
+// `vault_id`, `chain`.
+app.get('/api/snapshots/gaps', async (req, res) => {
+  try {
+    const { vault_id, chain } = req.query;
+    const vaults = VAULTS_CONFIG.filter(v => (!vault_id || v.id === vault_id) && (!chain || v.chain === chain));
+    const gaps = await findSnapshotGaps({ colSnapshots, colDeposits, colWithdrawals }, vaults);
+    res.json({
+      total: gaps.reduce((acc, gap) => acc + gap.missing.length, 0),
+      repairing: repairingGaps,
+      vaults: gaps,
+    });
+  } catch (error) {
+    console.error('Error scanning snapshot gaps:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 app.get('/api/intents', async (req, res) => {
   try {
-    const { user, vault_id, chain } = req.query;
-    const filter = {};
-    if (user) filter.user_address = user;
-    if (vault_id) filter.vault_id = vault_id;
-    if (chain) filter.chain = chain;
-    
-    const docs = await colIntents.find(filter).sort({ created_at: -1 }).limit(100).toArray();
+    const list = parseListQuery(req.query);
+    const page = await findPage(colIntents, eventListFilter(req.query, list), list);
+    const docs = page.docs;
+    setPageHeaders(res, page);
     res.json(
       docs.map((i) => ({
         id: i._id?.toString(),
@@ -1273,25 +995,21 @@ app.get('/api/intents', async (req, res) => {
         amount: i.amount,
         nonce: i.nonce,
         status: i.status,
-        timestamp: i.created_at?.toISOString?.() || new Date().toISOString(),
+        timestamp: (i.block_timestamp || i.created_at)?.toISOString?.() || new Date().toISOString(),
         executedAt: i.executed_at?.toISOString?.() || null,
       }))
     );
   } catch (error) {
-    console.error('Error fetching intents:', error);
-    res.status(500).json({ error: error.message });
+    sendListError(res, error, 'intents');
   }
 });
 
 app.get('/api/withdrawals', async (req, res) => {
   try {
-    const { user, vault_id, chain } = req.query;
-    const filter = {};
-    if (user) filter.user_address = user;
-    if (vault_id) filter.vault_id = vault_id;
-    if (chain) filter.chain = chain;
-    
-    const docs = await colWithdrawals.find(filter).sort({ created_at: -1 }).limit(100).toArray();
+    const list = parseListQuery(req.query, { sources: ['yieldo', 'lagoon'] });
+    const page = await findPage(colWithdrawals, eventListFilter(req.query, list), list);
+    const docs = page.docs;
+    setPageHeaders(res, page);
     res.json(
       docs.map((w) => ({
         id: w._id?.toString(),
@@ -1305,25 +1023,52 @@ app.get('/api/withdrawals', async (req, res) => {
         shares: w.shares,
         assets: w.assets,
         epochId: w.epoch_id ?? null,
+        requestId: w.request_id ?? null,
         status: w.status,
         source: w.source || 'lagoon',
-        timestamp: w.created_at?.toISOString?.() || new Date().toISOString(),
+        timestamp: (w.block_timestamp || w.created_at)?.toISOString?.() || new Date().toISOString(),
         settledAt: w.settled_at?.toISOString?.() || null,
         withdrawnAt: w.withdrawn_at?.toISOString?.() || null,
         withdrawnTx: w.withdrawn_tx ?? null,
         blockNumber: w.block_number ?? null,
         txHash: w.transaction_hash ?? null,
+        logIndex: w.log_index ?? null,
       }))
     );
   } catch (error) {
-    console.error('Error fetching withdrawals:', error);
-    res.status(500).json({ error: error.message });
+    sendListError(res, error, 'withdrawals');
+  }
+});
+
+// Streams every matching row as CSV (default) or JSON Lines (`format=jsonl`), oldest first
+// unless `order=desc`. Takes the filters of the list endpoint of the same name; amounts are
+// given in base units and as decimals (`<field>_decimal`) using the asset's decimals.
+app.get('/api/export/:kind', async (req, res) => {
+  const { kind } = req.params;
+  if (!EXPORT_KINDS.includes(kind)) {
+    return res.status(404).json({ error: `Unknown export "${kind}" (expected ${EXPORT_KINDS.join(', ')})` });
+  }
+  try {
+    const { limit, cursor, ...query } = req.query;
+    const sources = kind === 'deposits' || kind === 'withdrawals' ? ['yieldo', 'lagoon'] : undefined;
+    const list = parseListQuery({ order: 'asc', ...query }, { sources });
+    const format = parseExportFormat(query.format);
+    const repositories = { deposits: colDeposits, withdrawals: colWithdrawals, intents: colIntents, snapshots: colSnapshots };
+    const filter = kind === 'snapshots' ? snapshotListFilter(query, list) : eventListFilter(query, list);
+    await streamExport(res, kind, repositories[kind], filter, { format, order: list.order });
+  } catch (error) {
+    if (res.headersSent) {
+      console.error(`Error exporting ${kind}:`, error);
+      return res.destroy(error);
+    }
+    sendListError(res, error, `${kind} export`);
   }
 });
 
 app.post('/api/deposits/mark-yieldo', async (req, res) => {
   try {
-    const { txHash, userAddress } = req.body;
+    const { txHash } = req.body;
+    const userAddress = addressParam(req.body.userAddress);
     
     if (!txHash) {
       return res.status(400).json({ error: 'txHash is required' });
@@ -1331,62 +1076,33 @@ app.post('/api/deposits/mark-yieldo', async (req, res) => {
 
     console.log(`Marking deposit as Yieldo: ${txHash}`);
 
-    const result = await colDeposits.updateOne(
-      { transaction_hash: txHash },
-      { $set: { source: 'yieldo' } }
-    );
+    const result = await colDeposits.markYieldo(txHash);
 
-    if (result.matchedCount > 0) {
+    if (result.matched > 0) {
       console.log(`✅ Marked deposit as Yieldo: ${txHash}`);
       return res.json({ 
         success: true, 
         message: 'Deposit marked as from Yieldo',
         txHash,
-        matchedCount: result.matchedCount,
-        modifiedCount: result.modifiedCount
+        matchedCount: result.matched,
+        modifiedCount: result.modified
       });
     }
 
     if (userAddress) {
-      const markerId = `pending_yieldo_deposit_${txHash}`;
-      await colMeta.updateOne(
-        { _id: markerId },
-        {
-          $set: {
-            transaction_hash: txHash,
-            user_address: userAddress,
-            created_at: new Date(),
-          },
-        },
-        { upsert: true }
-      );
-      await colMeta.updateOne(
-        { _id: txHash },
-        {
-          $set: {
-            transaction_hash: txHash,
-            user_address: userAddress,
-            created_at: new Date(),
-            is_yieldo_deposit: true,
-          },
-        },
-        { upsert: true }
-      );
+      await colMeta.putDepositMarker(txHash, userAddress);
       
       console.log(`📝 Stored pending marker for deposit: ${txHash} (will be marked when indexed)`);
-      const existingResult = await colDeposits.updateOne(
-        { transaction_hash: txHash },
-        { $set: { source: 'yieldo' } }
-      );
+      const existingResult = await colDeposits.markYieldo(txHash);
       
-      if (existingResult.matchedCount > 0) {
+      if (existingResult.matched > 0) {
         console.log(`✅ Also updated existing deposit record for ${txHash}`);
         return res.json({ 
           success: true, 
           message: 'Deposit found and marked as Yieldo. Marker also stored for future indexing.',
           txHash,
-          matchedCount: existingResult.matchedCount,
-          modifiedCount: existingResult.modifiedCount
+          matchedCount: existingResult.matched,
+          modifiedCount: existingResult.modified
         });
       }
       
@@ -1404,6 +1120,7 @@ app.post('/api/deposits/mark-yieldo', async (req, res) => {
       txHash 
     });
   } catch (error) {
+    if (isInvalidRequest(error)) return res.status(400).json({ error: error.message });
     console.error('Error marking deposit:', error);
     res.status(500).json({ error: error.message });
   }
@@ -1411,76 +1128,44 @@ app.post('/api/deposits/mark-yieldo', async (req, res) => {
 
 app.post('/api/deposits/mark-yieldo-and-backfill', async (req, res) => {
   try {
-    const { txHash, userAddress, blockNumber } = req.body;
+    const { txHash, blockNumber, vault_id } = req.body;
+    const userAddress = addressParam(req.body.userAddress);
     
     if (!txHash) {
       return res.status(400).json({ error: 'txHash is required' });
     }
+    if (!vault_id) {
+      return res.status(400).json({ error: 'vault_id is required' });
+    }
+    const vaultConfig = getVaultById(vault_id);
+    if (!vaultConfig) {
+      return res.status(400).json({ error: `Unknown vault_id: ${vault_id}` });
+    }
 
-    const markResult = await colDeposits.updateOne(
-      { transaction_hash: txHash },
-      { $set: { source: 'yieldo' } }
-    );
+    const markResult = await colDeposits.markYieldo(txHash);
 
     if (userAddress) {
-      const markerId = `pending_yieldo_deposit_${txHash}`;
-      await colMeta.updateOne(
-        { _id: markerId },
-        {
-          $set: {
-            transaction_hash: txHash,
-            user_address: userAddress,
-            created_at: new Date(),
-          },
-        },
-        { upsert: true }
-      );
-      await colMeta.updateOne(
-        { _id: txHash },
-        {
-          $set: {
-            transaction_hash: txHash,
-            user_address: userAddress,
-            created_at: new Date(),
-            is_yieldo_deposit: true,
-          },
-        },
-        { upsert: true }
-      );
+      await colMeta.putDepositMarker(txHash, userAddress);
     }
 
     if (blockNumber) {
       const block = BigInt(blockNumber);
-      const existingDeposit = await colDeposits.findOne({ transaction_hash: txHash });
-      let vaultConfig = null;
-      if (existingDeposit && existingDeposit.vault_id) {
-        vaultConfig = getVaultById(existingDeposit.vault_id);
-      } else {
-        vaultConfig = VAULTS_CONFIG.find(v => v.chain === 'ethereum');
-      }
-      
-      if (vaultConfig) {
-        console.log(`Backfilling block ${block} for vault ${vaultConfig.id}`);
-        const client = getClientForVault(vaultConfig);
-        if (vaultConfig.depositRouter) {
-          await indexDepositRouterEventsForVault(vaultConfig, client, colIntents, colDeposits, block, block);
-        }
-        await indexVaultEventsForVault(vaultConfig, client, colDeposits, colWithdrawals, colPendingYieldoWithdrawals, colIntents, colMeta, block, block);
-        console.log(`✅ Completed backfill for block ${block}`);
-      } else {
-        console.warn(`Could not find vault config for backfilling block ${block}`);
-      }
+      console.log(`[${vaultConfig.id}] Backfilling block ${block}`);
+      const client = getClientForVault(vaultConfig);
+      await indexContracts(vaultConfig, client, block, block);
+      console.log(`[${vaultConfig.id}] ✅ Completed backfill for block ${block}`);
     }
 
     return res.json({ 
       success: true, 
       message: 'Deposit marked as Yieldo' + (blockNumber ? ` and block ${blockNumber} backfilled` : ''),
       txHash,
-      matchedCount: markResult.matchedCount,
-      modifiedCount: markResult.modifiedCount,
+      matchedCount: markResult.matched,
+      modifiedCount: markResult.modified,
       blockBackfilled: blockNumber || null
     });
   } catch (error) {
+    if (isInvalidRequest(error)) return res.status(400).json({ error: error.message });
     console.error('Error marking deposit and backfilling:', error);
     res.status(500).json({ error: error.message });
   }
@@ -1488,7 +1173,8 @@ app.post('/api/deposits/mark-yieldo-and-backfill', async (req, res) => {
 
 app.post('/api/withdrawals/mark-yieldo', async (req, res) => {
   try {
-    const { txHash, userAddress } = req.body;
+    const { txHash } = req.body;
+    const userAddress = addressParam(req.body.userAddress);
     
     if (!txHash) {
       return res.status(400).json({ error: 'txHash is required' });
@@ -1496,35 +1182,22 @@ app.post('/api/withdrawals/mark-yieldo', async (req, res) => {
 
     console.log(`Marking withdrawal as Yieldo: ${txHash}`);
 
-    const result = await colWithdrawals.updateOne(
-      { transaction_hash: txHash },
-      { $set: { source: 'yieldo' } }
-    );
+    const result = await colWithdrawals.markYieldo(txHash);
 
-    if (result.matchedCount > 0) {
-      await colPendingYieldoWithdrawals.deleteOne({ transaction_hash: txHash });
+    if (result.matched > 0) {
+      await colPendingYieldoWithdrawals.remove(txHash);
       console.log(`✅ Marked withdrawal as Yieldo: ${txHash}`);
       return res.json({ 
         success: true, 
         message: 'Withdrawal marked as from Yieldo',
         txHash,
-        matchedCount: result.matchedCount,
-        modifiedCount: result.modifiedCount
+        matchedCount: result.matched,
+        modifiedCount: result.modified
       });
     }
 
     if (userAddress) {
-      await colPendingYieldoWithdrawals.updateOne(
-        { transaction_hash: txHash },
-        {
-          $setOnInsert: {
-            transaction_hash: txHash,
-            user_address: userAddress,
-            created_at: new Date(),
-          },
-        },
-        { upsert: true }
-      );
+      await colPendingYieldoWithdrawals.put(txHash, userAddress);
       console.log(`📝 Stored pending marker for withdrawal: ${txHash} (will be marked when indexed)`);
       return res.json({ 
         success: true, 
@@ -1540,6 +1213,7 @@ app.post('/api/withdrawals/mark-yieldo', async (req, res) => {
       txHash 
     });
   } catch (error) {
+    if (isInvalidRequest(error)) return res.status(400).json({ error: error.message });
     console.error('Error marking withdrawal:', error);
     res.status(500).json({ error: error.message });
   }
@@ -1552,7 +1226,7 @@ app.post('/api/withdrawals/backfill-tx', async (req, res) => {
     if (!txHash) {
       return res.status(400).json({ error: 'txHash is required' });
     }
-    const chainsToTry = chain ? [chain] : ['avalanche', 'ethereum'];
+    const chainsToTry = chain ? [chain] : getAllChains();
     for (const c of chainsToTry) {
       const client = clients[c];
       if (!client) continue;
@@ -1572,17 +1246,7 @@ app.post('/api/withdrawals/backfill-tx', async (req, res) => {
         });
       }
       console.log(`[${vaultConfig.id}] Backfilling block ${block} for tx ${txHash} (Withdraw/events)`);
-      await indexVaultEventsForVault(
-        vaultConfig,
-        client,
-        colDeposits,
-        colWithdrawals,
-        colPendingYieldoWithdrawals,
-        colIntents,
-        colMeta,
-        block,
-        block
-      );
+      await indexContracts(vaultConfig, client, block, block, { contracts: ['vault'] });
       return res.json({
         success: true,
         message: `Re-indexed block ${block} for vault ${vaultConfig.id}. Withdrawal should now be marked withdrawn if applicable.`,
@@ -1604,59 +1268,23 @@ app.post('/api/withdrawals/backfill-tx', async (req, res) => {
 
 app.get('/api/aum', async (req, res) => {
   try {
-    const { user, vault_id, chain, combined } = req.query;
+    const { vault_id, chain, combined } = req.query;
+    const user = addressParam(req.query.user);
     if (!user) {
       return res.status(400).json({ error: 'user query parameter is required' });
     }
 
-    const depositFilter = {
-      user_address: user,
-      $or: [
-        { source: 'yieldo' },
-        { intent_hash: { $exists: true, $ne: null } }
-      ],
-      status: { $in: ['executed', 'settled', 'requested'] }
-    };
-    if (vault_id) {
-      depositFilter.vault_id = vault_id;
-    }
-    if (chain) {
-      depositFilter.chain = chain;
-    }
-
-    const withdrawalFilter = {
-      user_address: user,
-      source: 'yieldo',
-      status: { $in: ['pending', 'settled', 'withdrawn'] }
-    };
-    if (vault_id) {
-      withdrawalFilter.vault_id = vault_id;
-    }
-    if (chain) {
-      withdrawalFilter.chain = chain;
-    }
-
-    const allDepositsFilter = combined === 'true' 
-      ? {
-          user_address: user,
-          $or: [
-            { source: 'yieldo' },
-            { intent_hash: { $exists: true, $ne: null } }
-          ],
-          status: { $in: ['executed', 'settled', 'requested'] }
-        }
-      : depositFilter;
-    
-    const allWithdrawalsFilter = combined === 'true'
-      ? {
-          user_address: user,
-          source: 'yieldo',
-          status: { $in: ['pending', 'settled', 'withdrawn'] }
-        }
-      : withdrawalFilter;
-    
-    const yieldoDeposits = await colDeposits.find(allDepositsFilter).toArray();
-    const yieldoWithdrawals = await colWithdrawals.find(allWithdrawalsFilter).toArray();
+    const scope = combined === 'true' ? { user } : { user, vaultId: vault_id, chain };
+    const yieldoDeposits = await colDeposits.find({
+      ...scope,
+      yieldo: true,
+      statuses: ['executed', 'settled', 'requested'],
+    });
+    const yieldoWithdrawals = await colWithdrawals.find({
+      ...scope,
+      yieldo: true,
+      statuses: ['pending', 'settled', 'withdrawn'],
+    });
     const vaultsToProcess = combined === 'true' 
       ? VAULTS_CONFIG 
       : vault_id ? [{ id: vault_id, chain: chain }] : VAULTS_CONFIG;
@@ -1763,18 +1391,73 @@ app.get('/api/aum', async (req, res) => {
       },
     });
   } catch (error) {
+    if (isInvalidRequest(error)) return res.status(400).json({ error: error.message });
     console.error('Error calculating AUM:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Position of a user in each vault they have indexed activity or shares in: shares held and
+// their current value, cost basis, realized and unrealized PnL and time-weighted return (see
+// positions.js). Amounts are base-unit strings. Filters: `vault_id`, `chain`.
+app.get('/api/users/:address/positions', async (req, res) => {
+  try {
+    const user = normalizeAddress(req.params.address);
+    const { vault_id, chain } = req.query;
+    const vaults = VAULTS_CONFIG.filter(v => (!vault_id || v.id === vault_id) && (!chain || v.chain === chain));
+    const scope = { user, vaultId: vault_id, chain };
+    const [deposits, withdrawals] = await Promise.all([
+      colDeposits.find(scope),
+      colWithdrawals.find(scope),
+    ]);
+
+    const positions = await Promise.all(vaults.map(async (vaultConfig) => {
+      const ofVault = doc => doc.vault_id === vaultConfig.id && doc.chain === vaultConfig.chain;
+      const vaultDeposits = deposits.filter(ofVault);
+      const vaultWithdrawals = withdrawals.filter(ofVault);
+
+      let onchain = null;
+      try {
+        const client = getClientForVault(vaultConfig);
+        const shares = await client.readContract({
+          address: vaultConfig.address,
+          abi: erc20Abi,
+          functionName: 'balanceOf',
+          args: [user],
+        });
+        if (shares === 0n && vaultDeposits.length === 0 && vaultWithdrawals.length === 0) return null;
+        const vault = await Vault.fetch(vaultConfig.address, client);
+        onchain = { shares, oneShare: VaultUtils.ONE_SHARE, convertToAssets: (s) => vault.convertToAssets(s) };
+      } catch (error) {
+        console.error(`[${vaultConfig.id}] Error reading position of ${user}:`, error.message);
+        if (vaultDeposits.length === 0 && vaultWithdrawals.length === 0) return null;
+      }
+
+      const position = computePosition(vaultDeposits, vaultWithdrawals, onchain);
+      return {
+        vault_id: vaultConfig.id,
+        vault_name: vaultConfig.name,
+        chain: vaultConfig.chain,
+        vault_address: normalizeAddress(vaultConfig.address),
+        asset_symbol: vaultConfig.asset.symbol,
+        asset_decimals: vaultConfig.asset.decimals,
+        ...Object.fromEntries(Object.entries(position).map(([k, v]) => [k, typeof v === 'bigint' ? v.toString() : v])),
+        onchain_available: onchain !== null,
+      };
+    }));
+
+    res.json({ user, positions: positions.filter(Boolean) });
+  } catch (error) {
+    if (isInvalidRequest(error)) return res.status(400).json({ error: error.message });
+    console.error('Error fetching positions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/api/vault-ratings', async (req, res) => {
   try {
     const { vault_id, chain } = req.query;
-    const filter = {};
-    if (vault_id) filter.vault_id = vault_id;
-    if (chain) filter.chain = chain;
-    const docs = await colVaultRatings.find(filter).sort({ updated_at: -1 }).toArray();
+    const docs = await colVaultRatings.find({ vaultId: vault_id, chain });
     res.json(
       docs.map((d) => ({
         vault_id: d.vault_id,
@@ -1803,7 +1486,7 @@ app.post('/api/vault-ratings/run', async (req, res) => {
       return res.status(503).json({ error: 'vault-kpi not available. Deploy vault-kpi or run indexer from monorepo root.' });
     }
     const results = await runVaultKPI({
-      db,
+      storage,
       getClientForVault,
       VAULTS_CONFIG,
       getVaultById,
@@ -1820,14 +1503,8 @@ app.get('/api/vault-ratings/:vault_id/history', async (req, res) => {
   try {
     const { vault_id } = req.params;
     const { chain, limit = '30' } = req.query;
-    const filter = { vault_id };
-    if (chain) filter.chain = chain;
     const n = Math.min(100, parseInt(limit, 10) || 30);
-    const docs = await colVaultRatingHistory
-      .find(filter)
-      .sort({ snapshot_at: -1 })
-      .limit(n)
-      .toArray();
+    const docs = await colVaultRatingHistory.find({ vaultId: vault_id, chain }, { limit: n });
     res.json(
       docs.map((d) => ({
         vault_id: d.vault_id,
@@ -1846,11 +1523,24 @@ app.get('/api/vault-ratings/:vault_id/history', async (req, res) => {
 });
 
 app.get('/health', (req, res) => {
-  const blocks = {};
-  for (const [chain, block] of Object.entries(lastProcessedBlocks)) {
-    blocks[chain] = block?.toString();
-  }
-  res.json({ status: 'ok', lastProcessedBlocks: blocks });
+  const cursorStatus = Object.values(cursors).map((c) => {
+    const head = chainHeads[c.chain];
+    return {
+      vault_id: c.vault_id,
+      chain: c.chain,
+      contract: c.contract,
+      address: c.address,
+      lastProcessedBlock: c.block.toString(),
+      latestBlock: head?.latest?.toString() ?? null,
+      lag: head ? (head.latest > c.block ? head.latest - c.block : 0n).toString() : null,
+      lastError: c.last_error ?? null,
+    };
+  });
+  res.json({ status: 'ok', cursors: cursorStatus });
+});
+
+app.get('/api/rpc-status', (req, res) => {
+  res.json({ chains: getRpcStatus() });
 });
 
 app.get('/api/debug/tx', async (req, res) => {
@@ -1862,7 +1552,7 @@ app.get('/api/debug/tx', async (req, res) => {
     }
     
     if (!chain) {
-      return res.status(400).json({ error: 'chain query parameter is required (avalanche or ethereum)' });
+      return res.status(400).json({ error: `chain query parameter is required (${getAllChains().join(', ')})` });
     }
 
     const client = clients[chain];
@@ -1954,29 +1644,37 @@ app.get('/api/debug/tx', async (req, res) => {
 
 app.get('/api/debug/events', async (req, res) => {
   try {
-    const { fromBlock, toBlock } = req.query;
+    const { vault_id, fromBlock, toBlock } = req.query;
     
-    if (!fromBlock || !toBlock) {
-      return res.status(400).json({ error: 'fromBlock and toBlock query parameters are required' });
+    if (!vault_id || !fromBlock || !toBlock) {
+      return res.status(400).json({ error: 'vault_id, fromBlock and toBlock query parameters are required' });
+    }
+    const vaultConfig = getVaultById(vault_id);
+    if (!vaultConfig) {
+      return res.status(400).json({ error: `Unknown vault_id: ${vault_id}` });
     }
 
     const from = BigInt(fromBlock);
     const to = BigInt(toBlock);
 
-    const allLogs = await client.getLogs({
-      address: VAULT_ADDRESS,
+    const allLogs = await getClientForVault(vaultConfig).getLogs({
+      address: [vaultConfig.address, vaultConfig.depositRouter].filter(Boolean),
       fromBlock: from,
       toBlock: to,
     });
 
     res.json({
+      vault_id: vaultConfig.id,
+      chain: vaultConfig.chain,
       fromBlock: from.toString(),
       toBlock: to.toString(),
-      vaultAddress: VAULT_ADDRESS,
+      vaultAddress: vaultConfig.address,
+      depositRouterAddress: vaultConfig.depositRouter,
       totalEvents: allLogs.length,
       events: allLogs.map(log => ({
         blockNumber: log.blockNumber.toString(),
         transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
         address: log.address,
         topics: log.topics,
         data: log.data,
@@ -1988,13 +1686,30 @@ app.get('/api/debug/events', async (req, res) => {
   }
 });
 
+function sendBackfillResults(res, results, extra) {
+  const notFinalized = results.some(r => r.notFinalized);
+  const failed = results.some(r => r.error && !r.notFinalized);
+  res.status(failed ? 500 : notFinalized ? 202 : 200).json({
+    success: !failed,
+    ...(notFinalized ? { warning: 'Some blocks may not be finalized yet' } : {}),
+    ...extra,
+    totalEvents: results.reduce((sum, r) => sum + r.totalEvents, 0),
+    vaults: results,
+  });
+}
+
+// Synchronous backfill for short ranges; longer ones go through /api/backfill/jobs.
 app.post('/api/backfill', async (req, res) => {
   try {
-    const { fromBlock, toBlock } = req.body;
+    const { vault_id, fromBlock, toBlock } = req.body;
     
-    if (!fromBlock || !toBlock) {
+    if (fromBlock === undefined || toBlock === undefined) {
       return res.status(400).json({ error: 'fromBlock and toBlock are required' });
     }
+    const { vaults, error } = resolveBackfillVaults(vault_id);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
     const from = BigInt(fromBlock);
     const to = BigInt(toBlock);
@@ -2002,167 +1717,129 @@ app.post('/api/backfill', async (req, res) => {
     if (from > to) {
       return res.status(400).json({ error: 'fromBlock must be <= toBlock' });
     }
-
-    console.log(`Manual backfill requested for blocks ${from} to ${to}`);
-    
-    try {
-      await indexDepositRouterEvents(from, to);
-      await indexVaultEvents(from, to);
-      
-      res.json({ 
-        success: true, 
-        message: `Backfilled blocks ${from} to ${to}`,
-        fromBlock: from.toString(),
-        toBlock: to.toString()
+    if (to - from + 1n > MAX_BLOCKS_PER_POLL) {
+      return res.status(400).json({
+        error: `Range exceeds ${MAX_BLOCKS_PER_POLL} blocks; submit it as a job with POST /api/backfill/jobs`,
       });
-    } catch (backfillError) {
-      if (backfillError.name === 'BlockNotFinalizedError' || 
-          (backfillError.message && backfillError.message.includes('not yet finalized'))) {
-        res.status(202).json({ 
-          success: true, 
-          warning: 'Some blocks may not be finalized yet',
-          message: `Attempted to backfill blocks ${from} to ${to}`,
-          fromBlock: from.toString(),
-          toBlock: to.toString()
-        });
-      } else {
-        throw backfillError;
-      }
     }
+
+    console.log(`Manual backfill requested for blocks ${from} to ${to} (vault: ${vault_id})`);
+    const results = await backfillVaults(vaults, from, to);
+    sendBackfillResults(res, results, {
+      message: `Backfilled blocks ${from} to ${to} for ${vault_id === 'all' ? 'all vaults' : `vault ${vault_id}`}`,
+      fromBlock: from.toString(),
+      toBlock: to.toString(),
+    });
   } catch (error) {
     console.error('Error in backfill:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/backfill/block', async (req, res) => {
+async function handleBlockBackfill(params, res) {
   try {
-    const { blockNumber } = req.body;
+    const { blockNumber, vault_id, chain } = params;
     
     if (!blockNumber) {
       return res.status(400).json({ error: 'blockNumber is required' });
     }
+    const { vaults, error } = resolveBackfillVaults(vault_id);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (chain && vaults.some(v => v.chain !== chain)) {
+      return res.status(400).json({ error: `vault_id ${vault_id} is not on chain ${chain}` });
+    }
 
     const block = BigInt(blockNumber);
-    const { vault_id, chain } = req.body;
-    
-    console.log(`Manual backfill requested for block ${block}${vault_id ? ` (vault: ${vault_id})` : ''}`);
-    
+    console.log(`Manual backfill requested for block ${block} (vault: ${vault_id})`);
+    const results = await backfillVaults(vaults, block, block);
+    sendBackfillResults(res, results, {
+      message: `Backfilled block ${block} for ${vault_id === 'all' ? 'all vaults' : `vault ${vault_id}`}`,
+      blockNumber: block.toString(),
+    });
+  } catch (error) {
+    console.error('Error in block backfill:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+app.post('/api/backfill/block', (req, res) => handleBlockBackfill(req.body, res));
+
+app.get('/api/backfill/block', (req, res) => handleBlockBackfill(req.query, res));
+
+app.post('/api/backfill/jobs', async (req, res) => {
+  try {
+    const { vault_id, fromBlock, toBlock, chunkSize } = req.body;
+
+    if (!vault_id || fromBlock === undefined || toBlock === undefined) {
+      return res.status(400).json({ error: 'vault_id, fromBlock and toBlock are required' });
+    }
+    const vaultConfig = getVaultById(vault_id);
+    if (!vaultConfig) {
+      return res.status(400).json({ error: `Unknown vault_id: ${vault_id}` });
+    }
+
+    let from, to, chunk;
     try {
-      if (vault_id && chain) {
-        const vaultConfig = getVaultById(vault_id);
-        if (!vaultConfig || vaultConfig.chain !== chain) {
-          return res.status(400).json({ error: 'Invalid vault_id or chain' });
-        }
-        
-        const client = getClientForVault(vaultConfig);
-        if (vaultConfig.depositRouter) {
-          await indexDepositRouterEventsForVault(vaultConfig, client, colIntents, colDeposits, block, block);
-        }
-        await indexVaultEventsForVault(vaultConfig, client, colDeposits, colWithdrawals, colPendingYieldoWithdrawals, colIntents, colMeta, block, block);
-        
-        res.json({ 
-          success: true, 
-          message: `Backfilled block ${block} for vault ${vault_id}`,
-          blockNumber: block.toString(),
-          vault_id: vault_id,
-          chain: chain
-        });
-      } else {
-        for (const vaultConfig of VAULTS_CONFIG) {
-          const client = getClientForVault(vaultConfig);
-          if (vaultConfig.depositRouter) {
-            await indexDepositRouterEventsForVault(vaultConfig, client, colIntents, colDeposits, block, block);
-          }
-          await indexVaultEventsForVault(vaultConfig, client, colDeposits, colWithdrawals, colPendingYieldoWithdrawals, colIntents, colMeta, block, block);
-        }
-        
-        res.json({ 
-          success: true, 
-          message: `Backfilled block ${block} for all vaults`,
-          blockNumber: block.toString()
-        });
-      }
-    } catch (backfillError) {
-      if (backfillError.name === 'BlockNotFinalizedError' || 
-          (backfillError.message && backfillError.message.includes('not yet finalized'))) {
-        res.status(202).json({ 
-          success: true, 
-          warning: 'Block may not be finalized yet',
-          message: `Attempted to backfill block ${block}`,
-          blockNumber: block.toString()
-        });
-      } else {
-        throw backfillError;
-      }
+      from = BigInt(fromBlock);
+      to = BigInt(toBlock);
+      chunk = chunkSize !== undefined ? BigInt(chunkSize) : undefined;
+    } catch (e) {
+      return res.status(400).json({ error: 'fromBlock, toBlock and chunkSize must be integers' });
+    }
+    if (from < 0n || from > to) {
+      return res.status(400).json({ error: 'fromBlock must be >= 0 and <= toBlock' });
+    }
+    if (chunk !== undefined && chunk <= 0n) {
+      return res.status(400).json({ error: 'chunkSize must be positive' });
     }
+
+    const job = await createBackfillJob(colBackfillJobs, vaultConfig, { fromBlock: from, toBlock: to, chunkSize: chunk });
+    res.status(202).json(formatBackfillJob(job));
   } catch (error) {
-    console.error('Error in block backfill:', error);
+    console.error('Error creating backfill job:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/backfill/block', async (req, res) => {
+app.get('/api/backfill/jobs', async (req, res) => {
   try {
-    const { blockNumber, vault_id, chain } = req.query;
-    
-    if (!blockNumber) {
-      return res.status(400).json({ error: 'blockNumber query parameter is required' });
+    const { vault_id, status } = req.query;
+    const jobs = await listBackfillJobs(colBackfillJobs, { vaultId: vault_id, status });
+    res.json(jobs.map(formatBackfillJob));
+  } catch (error) {
+    console.error('Error listing backfill jobs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/backfill/jobs/:id', async (req, res) => {
+  try {
+    const job = await getBackfillJob(colBackfillJobs, req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: `Backfill job ${req.params.id} not found` });
     }
+    res.json(formatBackfillJob(job));
+  } catch (error) {
+    console.error('Error fetching backfill job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const block = BigInt(blockNumber);
-    console.log(`Manual backfill requested for block ${block}${vault_id ? ` (vault: ${vault_id})` : ''}`);
-    
-    try {
-      if (vault_id && chain) {
-        const vaultConfig = getVaultById(vault_id);
-        if (!vaultConfig || vaultConfig.chain !== chain) {
-          return res.status(400).json({ error: 'Invalid vault_id or chain' });
-        }
-        
-        const client = getClientForVault(vaultConfig);
-        if (vaultConfig.depositRouter) {
-          await indexDepositRouterEventsForVault(vaultConfig, client, colIntents, colDeposits, block, block);
-        }
-        await indexVaultEventsForVault(vaultConfig, client, colDeposits, colWithdrawals, colPendingYieldoWithdrawals, colIntents, colMeta, block, block);
-        
-        res.json({ 
-          success: true, 
-          message: `Backfilled block ${block} for vault ${vault_id}`,
-          blockNumber: block.toString(),
-          vault_id: vault_id,
-          chain: chain
-        });
-      } else {
-        for (const vaultConfig of VAULTS_CONFIG) {
-          const client = getClientForVault(vaultConfig);
-          if (vaultConfig.depositRouter) {
-            await indexDepositRouterEventsForVault(vaultConfig, client, colIntents, colDeposits, block, block);
-          }
-          await indexVaultEventsForVault(vaultConfig, client, colDeposits, colWithdrawals, colPendingYieldoWithdrawals, colIntents, colMeta, block, block);
-        }
-        
-        res.json({ 
-          success: true, 
-          message: `Backfilled block ${block} for all vaults`,
-          blockNumber: block.toString()
-        });
-      }
-    } catch (backfillError) {
-      if (backfillError.name === 'BlockNotFinalizedError' || 
-          (backfillError.message && backfillError.message.includes('not yet finalized'))) {
-        res.status(202).json({ 
-          success: true, 
-          warning: 'Block may not be finalized yet',
-          message: `Attempted to backfill block ${block}`,
-          blockNumber: block.toString()
-        });
-      } else {
-        throw backfillError;
+app.post('/api/backfill/jobs/:id/cancel', async (req, res) => {
+  try {
+    const job = await cancelBackfillJob(colBackfillJobs, req.params.id);
+    if (!job) {
+      const existing = await getBackfillJob(colBackfillJobs, req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: `Backfill job ${req.params.id} not found` });
       }
+      return res.status(409).json({ error: `Backfill job is already ${existing.status}`, job: formatBackfillJob(existing) });
     }
+    res.json(formatBackfillJob(job));
   } catch (error) {
-    console.error('Error in block backfill:', error);
+    console.error('Error cancelling backfill job:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -2174,11 +1851,9 @@ app.delete('/api/snapshots/:date', async (req, res) => {
       return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
     }
 
-    const result = await colSnapshots.deleteOne({
-      date: date
-    });
+    const deleted = await colSnapshots.removeDate(date);
 
-    if (result.deletedCount === 0) {
+    if (deleted === 0) {
       return res.status(404).json({ error: `Snapshot for ${date} not found` });
     }
 
@@ -2193,107 +1868,82 @@ app.delete('/api/snapshots/:date', async (req, res) => {
   }
 });
 
-app.post('/api/snapshots/recalculate-aum', async (req, res) => {
+// Daily AUM reconciliation: per vault, the on-chain Yieldo AUM of the snapshot against the
+// flow-based one, with the discrepancies above the vault's threshold flagged. `date` defaults to
+// the latest reconciled day; `flagged=true` keeps the flagged vaults only.
+app.get('/api/reconciliation', async (req, res) => {
   try {
-    let totalYieldoAUM = 0n;
-    const vaultResults = [];
-
-    for (const vaultConfig of VAULTS_CONFIG) {
-      try {
-        const client = getClientForVault(vaultConfig);
-        const vault = await Vault.fetch(vaultConfig.address, client);
-        if (!vault) {
-          console.error(`[${vaultConfig.id}] Failed to fetch vault`);
-          continue;
-        }
+    const { flagged } = req.query;
+    let { date } = req.query;
+    if (date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+    if (!date) {
+      const latest = await colSnapshots.latest({ reconciled: true });
+      if (!latest) return res.json({ date: null, flagged: 0, vaults: [] });
+      date = latest.date;
+    }
 
-        const yieldoUsers = await colDeposits.distinct('user_address', {
-          vault_id: vaultConfig.id,
-          chain: vaultConfig.chain,
-          $or: [
-            { source: 'yieldo' },
-            { intent_hash: { $exists: true, $ne: null } }
-          ],
-          status: { $in: ['executed', 'settled', 'requested'] }
-        });
+    const snapshots = (await colSnapshots.find({ date, reconciled: true }))
+      .sort((a, b) => a.vault_id.localeCompare(b.vault_id));
+    const vaults = snapshots
+      .map(s => ({
+        vault_id: s.vault_id,
+        vault_name: s.vault_name,
+        chain: s.chain,
+        asset_symbol: s.asset_symbol,
+        asset_decimals: s.asset_decimals,
+        ...s.reconciliation,
+      }))
+      .filter(v => flagged !== 'true' || v.flagged);
+    res.json({ date, flagged: snapshots.filter(s => s.reconciliation.flagged).length, vaults });
+  } catch (error) {
+    console.error('Error fetching AUM reconciliation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        let vaultYieldoAUM = 0n;
-        const erc4626Abi = [
-          {
-            inputs: [{ name: 'account', type: 'address' }],
-            name: 'balanceOf',
-            outputs: [{ name: '', type: 'uint256' }],
-            stateMutability: 'view',
-            type: 'function',
-          },
-        ];
+// Recomputes each vault's latest snapshot through createDailySnapshot, so its AUM, Yieldo
+// shares and reconciliation are read again at that day's closing block.
+app.post('/api/snapshots/recalculate-aum', async (req, res) => {
+  try {
+    const vaultsByDate = new Map();
+    for (const vaultConfig of VAULTS_CONFIG) {
+      const latest = await colSnapshots.latest({ vaultId: vaultConfig.id, chain: vaultConfig.chain });
+      if (!latest) continue;
+      if (!vaultsByDate.has(latest.date)) vaultsByDate.set(latest.date, []);
+      vaultsByDate.get(latest.date).push(vaultConfig);
+    }
 
-        console.log(`[${vaultConfig.id}] Recalculating Yieldo AUM from ${yieldoUsers.length} users...`);
-        for (const user of yieldoUsers) {
-          try {
-            const userShares = await client.readContract({
-              address: vaultConfig.address,
-              abi: erc4626Abi,
-              functionName: 'balanceOf',
-              args: [user],
-            });
-            
-            if (vault.totalSupply > 0n && userShares > 0n) {
-              const userAssets = vault.convertToAssets(userShares);
-              vaultYieldoAUM += userAssets;
-            }
-          } catch (error) {
-            console.error(`[${vaultConfig.id}] Error fetching balance for user ${user}:`, error);
-          }
-        }
-        
-        totalYieldoAUM += vaultYieldoAUM;
+    // createDailySnapshot logs and skips a vault it cannot snapshot; its snapshot then keeps
+    // the created_at of the previous run.
+    const started = new Date();
+    const vaultResults = [];
+    for (const [date, vaults] of vaultsByDate) {
+      await createDailySnapshot(date, vaults);
+      for (const vaultConfig of vaults) {
+        const snapshot = await colSnapshots.getDay({ date, vaultId: vaultConfig.id, chain: vaultConfig.chain });
         vaultResults.push({
           vault_id: vaultConfig.id,
           vault_name: vaultConfig.name,
           chain: vaultConfig.chain,
-          aum: vaultYieldoAUM.toString(),
+          date,
+          updated: Boolean(snapshot && snapshot.created_at >= started),
+          asset_symbol: vaultConfig.asset.symbol,
+          aum: snapshot?.yieldo_aum ?? null,
+          yieldo_shares: snapshot?.yieldo_shares ?? null,
+          aum_source: snapshot?.aum_source ?? null,
+          reconciliation: snapshot?.reconciliation ?? null,
         });
-      } catch (error) {
-        console.error(`[${vaultConfig.id}] Error processing vault:`, error);
       }
     }
 
-    const today = new Date();
-    const todayKey = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate(), 0, 0, 0))
-      .toISOString().slice(0, 10);
-
-    let totalUpdated = 0;
-    for (const vaultConfig of VAULTS_CONFIG) {
-      const vaultResult = vaultResults.find(r => r.vault_id === vaultConfig.id);
-      if (!vaultResult) continue;
-      
-      const result = await colSnapshots.updateMany(
-        { 
-          vault_id: vaultConfig.id,
-          chain: vaultConfig.chain,
-          date: { $ne: todayKey }
-        },
-        {
-          $set: {
-            total_assets: vaultResult.aum,
-            updated_at: new Date(),
-          },
-        }
-      );
-      totalUpdated += result.modifiedCount;
-    }
-
-    const aumFormatted = (totalYieldoAUM / BigInt(1e6)).toString();
-    console.log(`Recalculated AUM for ${totalUpdated} past snapshots (excluding today ${todayKey}): ${aumFormatted} USDC`);
-
+    const updated = vaultResults.filter(r => r.updated).length;
+    console.log(`Recalculated AUM for ${updated} of ${vaultResults.length} snapshot(s)`);
     res.json({
       success: true,
-      message: `Recalculated AUM for ${totalUpdated} past snapshots (excluding today)`,
-      totalYieldoAUM: totalYieldoAUM.toString(),
-      totalYieldoAUMFormatted: aumFormatted,
-      snapshotsUpdated: totalUpdated,
-      todayExcluded: todayKey,
+      message: `Recalculated AUM for ${updated} of ${vaultResults.length} snapshot(s)`,
+      snapshotsUpdated: updated,
       vaultBreakdown: vaultResults,
     });
   } catch (error) {
@@ -2307,7 +1957,7 @@ const PORT = process.env.PORT || 3001;
 async function runBackfill(dateStr) {
   await initDatabase();
   await createDailySnapshot(dateStr);
-  if (mongoClient) await mongoClient.close();
+  if (storage) await storage.close();
 }
 
 const isBackfill = process.argv[2] === 'backfill-snapshot' && process.argv[3];
@@ -0,0 +1,150 @@
+// Query parameters and keyset pagination shared by the list endpoints. Pages are ordered by a
+// sort field (which may be missing on legacy documents) and then `_id`; the cursor returned in
+// X-Next-Cursor is the repository's cursor of the last document of the page.
+
+const MAX_LIMIT = 1000;
+const BASE_UNITS = /^\d+$/;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const LIST_VALUE = /^[a-z_]+$/;
+
+export function invalidQuery(message) {
+  const error = new Error(message);
+  error.name = 'InvalidQueryError';
+  return error;
+}
+
+function parseList(value, name, allowed) {
+  if (value === undefined || value === '') return null;
+  const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+  for (const v of values) {
+    if (!LIST_VALUE.test(v) || (allowed && !allowed.includes(v))) {
+      throw invalidQuery(`Invalid ${name} "${v}"${allowed ? ` (expected ${allowed.join(', ')})` : ''}`);
+    }
+  }
+  return values;
+}
+
+function parseTime(value, name) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(String(value));
+  if (Number.isNaN(date.getTime())) throw invalidQuery(`Invalid ${name} "${value}" (expected an ISO date or timestamp)`);
+  return date;
+}
+
+function parseAmount(value, name) {
+  if (value === undefined || value === '') return null;
+  if (!BASE_UNITS.test(String(value))) throw invalidQuery(`Invalid ${name} "${value}" (expected an integer in base units)`);
+  return String(value);
+}
+
+// Combined snapshot pages continue after a date, so their cursor is the date alone.
+function encodeDateCursor(date) {
+  return Buffer.from(JSON.stringify({ date })).toString('base64url');
+}
+
+function decodeDateCursor(token) {
+  let date = null;
+  try {
+    ({ date } = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8')));
+  } catch {
+    date = null;
+  }
+  if (typeof date !== 'string' || !DATE_ONLY.test(date)) throw invalidQuery('Invalid cursor');
+  return date;
+}
+
+/**
+ * Parses the common list parameters: `limit`, `cursor`, `order` (asc|desc), `from`/`to`,
+ * `status`, `source` and `min_amount`/`max_amount`. A bare date as `to` covers that whole day.
+ * Throws an InvalidQueryError on malformed values.
+ */
+export function parseListQuery(query, { defaultLimit = 100, sources } = {}) {
+  const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw invalidQuery(`Invalid limit "${query.limit}" (expected 1-${MAX_LIMIT})`);
+  }
+  const order = query.order === undefined ? 'desc' : String(query.order).toLowerCase();
+  if (order !== 'asc' && order !== 'desc') throw invalidQuery(`Invalid order "${query.order}" (expected asc or desc)`);
+
+  const from = parseTime(query.from, 'from');
+  let to = parseTime(query.to, 'to');
+  const toExclusive = Boolean(to) && DATE_ONLY.test(String(query.to));
+  if (toExclusive) to = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+  if (from && to && from >= to) throw invalidQuery('from must be before to');
+
+  const minAmount = parseAmount(query.min_amount, 'min_amount');
+  const maxAmount = parseAmount(query.max_amount, 'max_amount');
+  if (minAmount && maxAmount && BigInt(minAmount) > BigInt(maxAmount)) {
+    throw invalidQuery('min_amount must not exceed max_amount');
+  }
+
+  return {
+    limit,
+    order: order === 'asc' ? 1 : -1,
+    cursor: query.cursor ? String(query.cursor) : null,
+    from,
+    to,
+    toExclusive,
+    statuses: parseList(query.status, 'status'),
+    sources: parseList(query.source, 'source', sources),
+    minAmount,
+    maxAmount,
+  };
+}
+
+// The time range of `list` as `{ from, to, toExclusive }` (see the storage filters), or null.
+export function timeRange(list) {
+  if (!list.from && !list.to) return null;
+  return { from: list.from, to: list.to, toExclusive: list.toExclusive };
+}
+
+/**
+ * Fetches one page of `repo` matching `filter`, ordered by the repository's sort field then
+ * `_id`. Returns the documents, the total number of matches and the cursor of the next page
+ * (null on the last page).
+ */
+export async function findPage(repo, filter, list) {
+  const [docs, total] = await Promise.all([
+    repo.find(filter, { order: list.order, limit: list.limit + 1, after: list.cursor }),
+    repo.count(filter),
+  ]).catch((error) => {
+    throw error.name === 'InvalidCursorError' ? invalidQuery(error.message) : error;
+  });
+  const page = docs.slice(0, list.limit);
+  const nextCursor = docs.length > list.limit ? repo.cursorOf(page[page.length - 1]) : null;
+  return { docs: page, total, nextCursor };
+}
+
+/**
+ * Pages through the distinct snapshot dates of the snapshots matching `filter`. Returns the
+ * dates of the page, the total number of dates and the next cursor.
+ */
+export async function findDatePage(snapshots, filter, list) {
+  const values = await snapshots.distinctDates(filter);
+  if (list.order === -1) values.reverse();
+  const after = list.cursor ? decodeDateCursor(list.cursor) : null;
+  const start = after ? values.findIndex(v => (list.order === 1 ? v > after : v < after)) : 0;
+  const page = start === -1 ? [] : values.slice(start, start + list.limit);
+  const last = page[page.length - 1];
+  const more = start !== -1 && start + list.limit < values.length;
+  return { values: page, total: values.length, nextCursor: more ? encodeDateCursor(last) : null };
+}
+
+/**
+ * Iterates over every document of `repo` matching `filter` in (sort field, _id) order, reading
+ * `batchSize` documents at a time so memory stays bounded however many match.
+ */
+export async function* findInBatches(repo, filter, order, batchSize = 500) {
+  let after = null;
+  for (;;) {
+    const docs = await repo.find(filter, { order, limit: batchSize, after });
+    yield* docs;
+    if (docs.length < batchSize) return;
+    after = repo.cursorOf(docs[docs.length - 1]);
+  }
+}
+
+export function setPageHeaders(res, { total, nextCursor }) {
+  res.set('X-Total-Count', String(total));
+  if (nextCursor) res.set('X-Next-Cursor', nextCursor);
+}
@@ -0,0 +1,17 @@
+// Deposits and withdrawals used to be unique per transaction; they are now unique per log
+// (see 003), so the old unique indexes have to go before the new ones are built. Postgres
+// tables are created with their indexes by the SQL migrations.
+
+export const description = 'Drop the per-transaction unique indexes of deposits and withdrawals';
+
+export async function up({ storage }) {
+  if (storage.backend !== 'mongodb') return;
+  for (const col of [storage.collections.deposits, storage.collections.withdrawals]) {
+    const indexes = await col.indexes().catch(() => []);
+    for (const index of indexes) {
+      if (index.name === 'transaction_hash_1' || (index.name === 'transaction_hash_1_chain_1' && index.unique)) {
+        await col.dropIndex(index.name);
+      }
+    }
+  }
+}
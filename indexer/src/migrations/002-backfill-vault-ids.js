@@ -0,0 +1,33 @@
+// Documents written before the indexer handled several vaults have a `vault_address` but no
+// `vault_id` (and the oldest no `chain`). They are matched to the registry by address; an
+// address without a chain is only resolved when a single vault uses it.
+
+export const description = 'Set vault_id (and chain) on documents written before multi-vault indexing';
+
+const REPOSITORIES = ['intents', 'deposits', 'withdrawals', 'snapshots'];
+
+export async function up({ storage, vaults }) {
+  for (const name of REPOSITORIES) {
+    const repo = storage[name];
+    const unmatched = new Map();
+    for await (const doc of repo.scanDocuments({ missing: ['vault_id'] })) {
+      const address = doc.vault_address;
+      if (typeof address !== 'string') continue;
+      const matches = vaults.filter(v => v.address.toLowerCase() === address.toLowerCase());
+      if (doc.chain !== undefined) {
+        const vault = matches.find(v => v.chain === doc.chain);
+        if (vault) {
+          await repo.patchDocument(doc._id, { set: { vault_id: vault.id } });
+          continue;
+        }
+      } else if (matches.length === 1) {
+        await repo.patchDocument(doc._id, { set: { vault_id: matches[0].id, chain: matches[0].chain } });
+        continue;
+      }
+      unmatched.set(address, (unmatched.get(address) || 0) + 1);
+    }
+    for (const [address, left] of unmatched) {
+      console.warn(`[migrations] ${left} ${name} document(s) of ${address} match no single registry vault`);
+    }
+  }
+}
@@ -0,0 +1,51 @@
+// MongoDB only: the Postgres tables get their indexes from the SQL migrations.
+
+export const description = 'Create the collection indexes';
+
+export async function up({ storage }) {
+  if (storage.backend !== 'mongodb') return;
+  const {
+    intents,
+    deposits,
+    withdrawals,
+    snapshots,
+    ratings,
+    ratingHistory,
+    pendingYieldoWithdrawals,
+    backfillJobs,
+  } = storage.collections;
+
+  await Promise.all([
+    intents.createIndex({ intent_hash: 1, chain: 1, vault_id: 1 }, { unique: true }),
+    intents.createIndex({ user_address: 1, created_at: -1 }),
+    intents.createIndex({ chain: 1, vault_id: 1 }),
+    intents.createIndex({ chain: 1, vault_id: 1, executed_tx: 1 }),
+    deposits.createIndex({ user_address: 1, created_at: -1 }),
+    deposits.createIndex({ chain: 1, transaction_hash: 1, log_index: 1 }, { unique: true }),
+    deposits.createIndex({ transaction_hash: 1, chain: 1 }),
+    deposits.createIndex({ chain: 1, vault_id: 1, user_address: 1, request_id: 1 }),
+    deposits.createIndex({ chain: 1, vault_id: 1, created_at: -1 }),
+    deposits.createIndex({ chain: 1, vault_id: 1, block_timestamp: -1 }),
+    deposits.createIndex({ chain: 1, vault_address: 1 }),
+    deposits.createIndex({ source: 1, chain: 1, vault_id: 1 }),
+    withdrawals.createIndex({ chain: 1, transaction_hash: 1, log_index: 1 }, { unique: true }),
+    withdrawals.createIndex({ transaction_hash: 1, chain: 1 }),
+    withdrawals.createIndex({ chain: 1, vault_id: 1, user_address: 1, request_id: 1 }),
+    withdrawals.createIndex({ user_address: 1, created_at: -1 }),
+    withdrawals.createIndex({ chain: 1, vault_id: 1, created_at: -1 }),
+    withdrawals.createIndex({ chain: 1, vault_id: 1, block_timestamp: -1 }),
+    withdrawals.createIndex({ chain: 1, vault_address: 1 }),
+    withdrawals.createIndex({ source: 1, chain: 1, vault_id: 1 }),
+    snapshots.createIndex({ date: 1, vault_id: 1, chain: 1 }, { unique: true }),
+    snapshots.createIndex({ chain: 1, vault_id: 1, date: -1 }),
+    ratings.createIndex({ vault_id: 1, chain: 1 }, { unique: true }),
+    ratings.createIndex({ updated_at: -1 }),
+    ratingHistory.createIndex({ vault_id: 1, chain: 1, snapshot_at: -1 }),
+    ratingHistory.createIndex({ snapshot_at: -1 }),
+    pendingYieldoWithdrawals.createIndex({ user_address: 1, created_at: -1 }),
+    pendingYieldoWithdrawals.createIndex({ transaction_hash: 1, chain: 1 }, { unique: true }),
+    pendingYieldoWithdrawals.createIndex({ created_at: 1 }, { expireAfterSeconds: 3600 }),
+    backfillJobs.createIndex({ status: 1, created_at: 1 }),
+    backfillJobs.createIndex({ vault_id: 1, created_at: -1 }),
+  ]);
+}
@@ -0,0 +1,37 @@
+// Event documents record `block_timestamp` since events are bucketed by on-chain time; older
+// documents get it from their `block_number`, one getBlock call per distinct block. Documents
+// without a block number keep falling back to `created_at`.
+
+export const description = 'Set block_timestamp on event documents indexed before it was recorded';
+
+const REPOSITORIES = ['intents', 'deposits', 'withdrawals'];
+
+export async function up({ storage, vaults, getClient }) {
+  const chains = new Set(vaults.map(v => v.chain));
+  const blockTimes = new Map();
+  const skipped = new Map();
+
+  for (const name of REPOSITORIES) {
+    const repo = storage[name];
+    for await (const doc of repo.scanDocuments({ missing: ['block_timestamp'] })) {
+      if (doc.block_number == null || !chains.has(doc.chain)) continue;
+
+      const client = getClient?.(doc.chain);
+      if (!client) {
+        skipped.set(doc.chain, (skipped.get(doc.chain) || 0) + 1);
+        continue;
+      }
+      const key = `${doc.chain}:${doc.block_number}`;
+      if (!blockTimes.has(key)) {
+        const block = await client.getBlock({ blockNumber: BigInt(doc.block_number) });
+        blockTimes.set(key, new Date(Number(block.timestamp) * 1000));
+      }
+      await repo.patchDocument(doc._id, { set: { block_timestamp: blockTimes.get(key) } });
+    }
+  }
+
+  if (blockTimes.size > 0) console.log(`[migrations] Backfilled block_timestamp from ${blockTimes.size} block(s)`);
+  for (const [chain, count] of skipped) {
+    console.warn(`[${chain}] No RPC client; ${count} event document(s) keep created_at`);
+  }
+}
@@ -0,0 +1,14 @@
+// The API has always reported deposits without `source` as Yieldo deposits and withdrawals
+// without it as direct Lagoon withdrawals; storing that lets the list endpoints filter on it.
+
+export const description = 'Set the default source on deposits and withdrawals indexed without one';
+
+const DEFAULT_SOURCES = [['deposits', 'yieldo'], ['withdrawals', 'lagoon']];
+
+export async function up({ storage }) {
+  for (const [name, source] of DEFAULT_SOURCES) {
+    for await (const doc of storage[name].scanDocuments({ missing: ['source'] })) {
+      await storage[name].patchDocument(doc._id, { set: { source } });
+    }
+  }
+}
@@ -0,0 +1,32 @@
+import { getAddress, isAddress } from 'viem';
+
+// Addresses used to be stored with whatever casing the event, the registry or the API caller
+// used, so equality filters missed documents. They are now written checksummed; this rewrites
+// the existing ones. Values that are not addresses are left as they are.
+
+export const description = 'Store user, vault and asset addresses in checksummed form';
+
+const FIELDS = ['user_address', 'vault_address', 'asset_address'];
+const REPOSITORIES = ['intents', 'deposits', 'withdrawals', 'snapshots', 'pendingYieldoWithdrawals', 'meta', 'ratings', 'ratingHistory'];
+
+export async function up({ storage }) {
+  for (const name of REPOSITORIES) {
+    const repo = storage[name];
+    const updated = Object.fromEntries(FIELDS.map(f => [f, 0]));
+    for await (const doc of repo.scanDocuments()) {
+      const set = {};
+      for (const field of FIELDS) {
+        const value = doc[field];
+        if (typeof value !== 'string' || !isAddress(value, { strict: false })) continue;
+        const checksummed = getAddress(value);
+        if (checksummed === value) continue;
+        set[field] = checksummed;
+        updated[field]++;
+      }
+      if (Object.keys(set).length) await repo.patchDocument(doc._id, { set });
+    }
+    for (const field of FIELDS) {
+      if (updated[field] > 0) console.log(`[migrations] Checksummed ${updated[field]} ${name}.${field} value(s)`);
+    }
+  }
+}
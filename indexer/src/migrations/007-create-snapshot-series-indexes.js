@@ -0,0 +1,12 @@
+// MongoDB only, like 003.
+
+export const description = 'Create the snapshot_series indexes';
+
+export async function up({ storage }) {
+  if (storage.backend !== 'mongodb') return;
+  const { snapshotSeries } = storage.collections;
+  await Promise.all([
+    snapshotSeries.createIndex({ vault_id: 1, chain: 1, interval: 1, bucket: 1 }, { unique: true }),
+    snapshotSeries.createIndex({ interval: 1, bucket: -1 }),
+  ]);
+}
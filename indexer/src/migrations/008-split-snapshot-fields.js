@@ -0,0 +1,37 @@
+// Snapshots used `total_assets` for the Yieldo AUM next to whole-vault `total_supply` and
+// `share_price`. They now record the whole vault (`vault_*`) and the Yieldo share (`yieldo_*`)
+// separately; this derives the new fields of the existing documents. The whole-vault assets
+// of a day are the supply at its share price; the pending queues were never recorded.
+
+export const description = 'Split snapshots into whole-vault and Yieldo fields';
+
+const ONE_SHARE = 10n ** 18n;
+
+function splitFields(doc) {
+  const supply = doc.total_supply || '0';
+  const price = doc.share_price && doc.share_price !== '0' ? doc.share_price : null;
+  return {
+    vault_total_assets: price && BigInt(supply) > 0n ? ((BigInt(supply) * BigInt(price)) / ONE_SHARE).toString() : null,
+    vault_total_supply: supply,
+    vault_share_price: price,
+    vault_pending_deposits: null,
+    vault_pending_redeems: null,
+    yieldo_aum: doc.total_assets || '0',
+    yieldo_shares: doc.reconciliation?.shares ?? null,
+    yieldo_flow_aum: doc.flow_total_assets ?? doc.total_assets ?? null,
+  };
+}
+
+export async function up({ storage }) {
+  for await (const doc of storage.snapshots.scanDocuments({ missing: ['yieldo_aum'] })) {
+    await storage.snapshots.patchDocument(doc._id, { set: splitFields(doc), unset: ['flow_total_assets'] });
+  }
+
+  // Series points written before the split name the whole-vault fields without the prefix.
+  for await (const doc of storage.snapshotSeries.scanDocuments({ missing: ['vault_total_supply'] })) {
+    await storage.snapshotSeries.patchDocument(doc._id, {
+      set: { vault_total_supply: doc.total_supply ?? '0', vault_share_price: doc.share_price ?? null },
+      unset: ['total_supply', 'share_price'],
+    });
+  }
+}
@@ -0,0 +1,97 @@
+import * as m001 from './001-drop-per-transaction-indexes.js';
+import * as m002 from './002-backfill-vault-ids.js';
+import * as m003 from './003-create-indexes.js';
+import * as m004 from './004-backfill-block-timestamps.js';
+import * as m005 from './005-backfill-sources.js';
+import * as m006 from './006-normalize-addresses.js';
+import * as m007 from './007-create-snapshot-series-indexes.js';
+import * as m008 from './008-split-snapshot-fields.js';
+
+// Forward-only schema migrations. Each one runs once, in order, and is recorded in `meta` as
+// { _id: "migration_<id>", type: "migration", applied_at, duration_ms }. Migrations must be
+// safe to re-run: one that fails is not recorded and runs again next time.
+
+export const MIGRATIONS = [
+  { id: '001-drop-per-transaction-indexes', ...m001 },
+  { id: '002-backfill-vault-ids', ...m002 },
+  { id: '003-create-indexes', ...m003 },
+  { id: '004-backfill-block-timestamps', ...m004 },
+  { id: '005-backfill-sources', ...m005 },
+  { id: '006-normalize-addresses', ...m006 },
+  { id: '007-create-snapshot-series-indexes', ...m007 },
+  { id: '008-split-snapshot-fields', ...m008 },
+];
+
+const MIGRATION_PREFIX = 'migration_';
+const LOCK_ID = 'migrations_lock';
+const LOCK_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Lists every known migration with its `applied_at` (null when pending), plus migrations
+ * recorded in `meta` that this version does not know about.
+ */
+export async function getMigrationStatus(colMeta) {
+  const records = await colMeta.listByType('migration');
+  const applied = new Map(records.map(r => [r.migration, r]));
+  const status = MIGRATIONS.map(m => ({
+    id: m.id,
+    description: m.description,
+    applied_at: applied.get(m.id)?.applied_at || null,
+  }));
+  const known = new Set(MIGRATIONS.map(m => m.id));
+  const unknown = records.filter(r => !known.has(r.migration)).map(r => r.migration);
+  return { migrations: status, pending: status.filter(m => !m.applied_at).map(m => m.id), unknown };
+}
+
+async function acquireLock(colMeta) {
+  const now = new Date();
+  const acquired = await colMeta.acquireLock(
+    LOCK_ID,
+    { type: 'lock', locked_at: now, locked_until: new Date(now.getTime() + LOCK_TTL_MS), pid: process.pid },
+    now
+  );
+  if (!acquired) {
+    const lock = await colMeta.get(LOCK_ID);
+    const lockError = new Error(`Migrations are being applied by another process (locked until ${lock?.locked_until?.toISOString()})`);
+    lockError.name = 'MigrationLockedError';
+    throw lockError;
+  }
+}
+
+async function releaseLock(colMeta) {
+  await colMeta.unset(LOCK_ID, ['locked_until']);
+}
+
+/**
+ * Applies the pending migrations in order. `context` is passed to each migration along with
+ * `storage`: `vaults` (the registry) and `getClient(chain)` (an RPC client, for backfills that
+ * need one). Returns the ids applied.
+ */
+export async function runMigrations(storage, context = {}) {
+  const colMeta = storage.meta;
+  const { pending } = await getMigrationStatus(colMeta);
+  if (pending.length === 0) return [];
+
+  await acquireLock(colMeta);
+  const applied = [];
+  try {
+    // Another process may have applied some while we waited for the lock.
+    const { pending: stillPending } = await getMigrationStatus(colMeta);
+    for (const migration of MIGRATIONS.filter(m => stillPending.includes(m.id))) {
+      console.log(`[migrations] Applying ${migration.id}: ${migration.description}`);
+      const started = Date.now();
+      await migration.up({ storage, vaults: [], ...context });
+      await colMeta.set(`${MIGRATION_PREFIX}${migration.id}`, {
+        type: 'migration',
+        migration: migration.id,
+        description: migration.description,
+        applied_at: new Date(),
+        duration_ms: Date.now() - started,
+      });
+      applied.push(migration.id);
+    }
+  } finally {
+    await releaseLock(colMeta);
+  }
+  return applied;
+}
@@ -0,0 +1,101 @@
+// Per-vault position of a user, from the indexed deposits and withdrawals and the on-chain share
+// balance. Cost basis is the average cost of the shares held: a withdrawal realizes the
+// difference between the assets it paid and the cost of the shares it redeemed. Only the shares
+// the indexed deposits account for have a cost; the assets paid for the others (received by
+// transfer, or deposited before indexing) are reported as `unmatched_withdrawn`, not as PnL.
+//
+// A deposit counts once its shares are known (executed or settled) and a withdrawal once its
+// assets are (settled or withdrawn). Requested deposits and pending redemptions are reported
+// separately; pending redemptions are still part of the position, valued at the current price.
+
+const eventTime = doc => doc.block_timestamp || doc.created_at || null;
+
+function toFlows(deposits, withdrawals) {
+  const flows = [];
+  for (const d of deposits) {
+    if (d.status === 'requested' || !d.shares || BigInt(d.shares) === 0n) continue;
+    flows.push({ type: 'deposit', time: d.settled_at || eventTime(d), assets: BigInt(d.amount || '0'), shares: BigInt(d.shares) });
+  }
+  for (const w of withdrawals) {
+    if (w.status === 'pending' || w.assets === null || w.assets === undefined) continue;
+    flows.push({ type: 'withdrawal', time: w.settled_at || w.withdrawn_at || eventTime(w), assets: BigInt(w.assets), shares: BigInt(w.shares || '0') });
+  }
+  return flows.sort((a, b) => (a.time?.getTime() ?? 0) - (b.time?.getTime() ?? 0));
+}
+
+const pricePerShare = (assets, shares) => Number(assets) / Number(shares);
+
+/**
+ * Computes the position of one vault. `onchain` is `{ shares, convertToAssets, oneShare }`
+ * (the wallet's share balance, the vault's share→asset conversion and one share in base units),
+ * or null when the vault state could not be read; the value and unrealized PnL are then null.
+ * Amounts are bigints in base units; `time_weighted_return` is a fraction (0.05 = +5%).
+ */
+export function computePosition(deposits, withdrawals, onchain) {
+  const flows = toFlows(deposits, withdrawals);
+
+  let ledgerShares = 0n;
+  let cost = 0n;
+  let realized = 0n;
+  let unmatched = 0n;
+  let deposited = 0n;
+  let withdrawn = 0n;
+  // Time-weighted return: chain the share price moves over the periods shares were held.
+  let growth = 1;
+  let lastPrice = null;
+  for (const flow of flows) {
+    const price = flow.shares > 0n ? pricePerShare(flow.assets, flow.shares) : null;
+    if (price !== null && lastPrice !== null && ledgerShares > 0n) growth *= price / lastPrice;
+    if (price !== null) lastPrice = price;
+
+    if (flow.type === 'deposit') {
+      ledgerShares += flow.shares;
+      cost += flow.assets;
+      deposited += flow.assets;
+    } else {
+      const redeemed = flow.shares < ledgerShares ? flow.shares : ledgerShares;
+      const redeemedCost = ledgerShares > 0n ? (cost * redeemed) / ledgerShares : 0n;
+      const redeemedAssets = flow.shares > 0n ? (flow.assets * redeemed) / flow.shares : 0n;
+      realized += redeemedAssets - redeemedCost;
+      unmatched += flow.assets - redeemedAssets;
+      cost -= redeemedCost;
+      ledgerShares -= redeemed;
+      withdrawn += flow.assets;
+    }
+  }
+
+  const pendingRedeemShares = withdrawals
+    .filter(w => w.status === 'pending')
+    .reduce((acc, w) => acc + BigInt(w.shares || '0'), 0n);
+  const pendingDepositAssets = deposits
+    .filter(d => d.status === 'requested')
+    .reduce((acc, d) => acc + BigInt(d.amount || '0'), 0n);
+
+  const position = {
+    shares: onchain ? onchain.shares : null,
+    pending_redeem_shares: pendingRedeemShares,
+    pending_deposit_assets: pendingDepositAssets,
+    value: null,
+    cost_basis: null,
+    deposited,
+    withdrawn,
+    realized_pnl: realized,
+    unmatched_withdrawn: unmatched,
+    unrealized_pnl: null,
+    time_weighted_return: null,
+  };
+  if (!onchain) return position;
+
+  // Shares moved in or out by transfer carry the average cost of the indexed ones.
+  const heldShares = onchain.shares + pendingRedeemShares;
+  position.value = heldShares > 0n ? onchain.convertToAssets(heldShares) : 0n;
+  if (heldShares === 0n) position.cost_basis = 0n;
+  else if (ledgerShares > 0n) position.cost_basis = (cost * heldShares) / ledgerShares;
+  if (position.cost_basis !== null) position.unrealized_pnl = position.value - position.cost_basis;
+
+  if (lastPrice !== null) {
+    if (heldShares > 0n) growth *= pricePerShare(onchain.convertToAssets(onchain.oneShare), onchain.oneShare) / lastPrice;
+    position.time_weighted_return = growth - 1;
+  }
+  return position;
+}
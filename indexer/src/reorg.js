@@ -0,0 +1,91 @@
+import { inTransaction } from './transactions.js';
+
+// Reorg handling: every cursor remembers the hashes of the last blocks it advanced to.
+// Before indexing the next range we check that the first new block still builds on the
+// cursor's block; if not, we walk back through the remembered hashes to the newest block
+// that is still canonical and roll the vault's documents back to it.
+
+const REORG_HISTORY = Number(process.env.REORG_HISTORY || '64');
+
+export function rememberBlock(recentBlocks, number, hash) {
+  const kept = (recentBlocks || []).filter(b => BigInt(b.number) < number);
+  kept.push({ number: number.toString(), hash });
+  return kept.slice(-REORG_HISTORY);
+}
+
+/**
+ * Returns null when `nextBlock` extends the cursor, otherwise the common ancestor
+ * `{ number, hash, deep }`. When the reorg is deeper than the remembered history (`deep`), we
+ * fall back to the block before the oldest remembered one and take its current canonical hash,
+ * so the rewound cursor keeps detecting reorgs.
+ */
+export async function detectReorg(client, cursor, nextBlock) {
+  if (!cursor.hash || nextBlock.parentHash === cursor.hash) return null;
+
+  const recent = [...(cursor.recent_blocks || [])].sort((a, b) => (BigInt(b.number) > BigInt(a.number) ? 1 : -1));
+  for (const remembered of recent) {
+    const number = BigInt(remembered.number);
+    const canonical = await client.getBlock({ blockNumber: number });
+    if (canonical.hash === remembered.hash) {
+      return { number, hash: remembered.hash, deep: false };
+    }
+  }
+
+  const oldest = recent.length ? BigInt(recent[recent.length - 1].number) : cursor.block;
+  const number = oldest > 0n ? oldest - 1n : 0n;
+  const canonical = await client.getBlock({ blockNumber: number });
+  return { number, hash: canonical.hash, deep: true };
+}
+
+/**
+ * Undoes everything a vault's events did after `ancestor`: documents created in orphaned
+ * blocks are removed and later status transitions are reverted, so re-indexing from
+ * `ancestor + 1` rebuilds the canonical state. The removed documents that consumed a mark-yieldo
+ * marker (`marker_consumed`) get it written back, so their re-indexed logs are attributed to
+ * Yieldo again. Documents attributed through an intent are matched again from the reopened
+ * intents.
+ *
+ * All of it runs in one transaction together with `onCommit(session)` (the caller's cursor
+ * rewind). `collections` is the one of indexVaultRange.
+ */
+export async function rollbackVault(collections, vaultConfig, ancestor, { onCommit } = {}) {
+  const { colDeposits, colWithdrawals, colIntents, colMeta, colPendingYieldoWithdrawals } = collections;
+  const scope = { vaultId: vaultConfig.id, chain: vaultConfig.chain };
+
+  const summary = await inTransaction(async (session) => {
+    const deposits = await colDeposits.removeAfterBlock(scope, ancestor, session);
+    const depositsUnsettled = await colDeposits.unsettleAfterBlock(scope, ancestor, session);
+
+    const withdrawals = await colWithdrawals.removeAfterBlock(scope, ancestor, session);
+    // A claim goes back to settled when its settlement is still indexed, otherwise to pending.
+    const withdrawalsUnclaimed = await colWithdrawals.unclaimAfterBlock(scope, ancestor, session);
+    const withdrawalsUnsettled = await colWithdrawals.unsettleAfterBlock(scope, ancestor, session);
+
+    const intents = await colIntents.removeAfterBlock(scope, ancestor, session);
+    const intentsReopened = await colIntents.reopenAfterBlock(scope, ancestor, session);
+
+    let markersRestored = 0;
+    for (const doc of deposits.filter(d => d.marker_consumed)) {
+      await colMeta.putDepositMarker(doc.transaction_hash, doc.user_address, session);
+      markersRestored++;
+    }
+    for (const doc of withdrawals.filter(d => d.marker_consumed)) {
+      await colPendingYieldoWithdrawals.put(doc.transaction_hash, doc.user_address, session);
+      markersRestored++;
+    }
+
+    if (onCommit) await onCommit(session);
+    return {
+      deposits_deleted: deposits.length,
+      deposits_unsettled: depositsUnsettled,
+      withdrawals_deleted: withdrawals.length,
+      withdrawals_unclaimed: withdrawalsUnclaimed,
+      withdrawals_unsettled: withdrawalsUnsettled,
+      intents_deleted: intents.length,
+      intents_reopened: intentsReopened,
+      markers_restored: markersRestored,
+    };
+  });
+  console.warn(`[${vaultConfig.id}] Rolled back to block ${ancestor}:`, summary);
+  return summary;
+}
@@ -0,0 +1,393 @@
+import { createChainClient } from './chains.js';
+
+// One pool of RPC endpoints per chain. Every call goes to the healthiest endpoint, scored on
+// latency, recent error rate and how far its head lags the others; endpoints that rate limit
+// or fail are cooled down (Retry-After when given, exponential otherwise) and the call moves on
+// to the next endpoint.
+
+const BASE_COOLDOWN_MS = Number(process.env.RPC_BASE_COOLDOWN_MS || '5000');
+const MAX_COOLDOWN_MS = Number(process.env.RPC_MAX_COOLDOWN_MS || '120000');
+const MAX_HEAD_LAG = BigInt(process.env.RPC_MAX_HEAD_LAG || '10');
+const EWMA_WEIGHT = 0.2;
+const LOG_METHODS = new Set(['getLogs', 'eth_getLogs', 'getContractEvents']);
+// Client members that do not hit the endpoint.
+const LOCAL_MEMBERS = new Set(['extend']);
+
+const pools = {};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function causes(error) {
+  const list = [];
+  for (let e = error; e && list.length < 10; e = e.cause) list.push(e);
+  return list;
+}
+
+function retryAfterMs(error) {
+  for (const e of causes(error)) {
+    const value = e.headers?.get?.('retry-after');
+    if (value && !Number.isNaN(Number(value))) return Number(value) * 1000;
+  }
+  return null;
+}
+
+function isRateLimit(error) {
+  return causes(error).some(e =>
+    e.status === 429 ||
+    e.code === 429 ||
+    e.code === -32005 ||
+    e.name === 'LimitExceededRpcError' ||
+    /rate.?limit|too many requests|Error 1015/i.test(e.message || '') ||
+    Boolean(e.headers?.get?.('retry-after'))
+  );
+}
+
+function isUnsupportedMethod(error) {
+  return causes(error).some(e =>
+    e.code === -32601 ||
+    e.name === 'MethodNotFoundRpcError' ||
+    e.name === 'MethodNotSupportedRpcError' ||
+    /method .*(not found|not supported|not available|does not exist)/i.test(e.message || '')
+  );
+}
+
+// Transport-level failures are the endpoint's fault; anything else (reverts, invalid params,
+// blocks past the head) is the caller's and is rethrown without penalizing the endpoint.
+function isEndpointFailure(error) {
+  return causes(error).some(e =>
+    ['HttpRequestError', 'TimeoutError', 'WebSocketRequestError', 'InternalRpcError', 'ResourceUnavailableRpcError'].includes(e.name) ||
+    (typeof e.status === 'number' && e.status >= 500)
+  );
+}
+
+// Providers reject eth_getLogs over too many blocks (range limits) or too many matching logs
+// (result limits). Both are answered by splitting the range, never by cooling the endpoint down.
+const RANGE_LIMIT_PATTERN = /block range|range (is )?too (large|wide|big)|range (limit|exceed)|exceeds? (the )?(max(imum)? )?(block )?range|too many blocks|limited to a \d+ block range/i;
+const RESULT_LIMIT_PATTERN = /more than \d+ (results|logs)|too many (results|logs)|response size|result(s)? limit|log response size exceeded|query timeout|query returned more than/i;
+
+function isRangeLimit(error) {
+  return causes(error).some(e => RANGE_LIMIT_PATTERN.test(e.details || '') || RANGE_LIMIT_PATTERN.test(e.message || ''));
+}
+
+function isResultLimit(error) {
+  return causes(error).some(e => RESULT_LIMIT_PATTERN.test(e.details || '') || RESULT_LIMIT_PATTERN.test(e.message || ''));
+}
+
+// Some providers say what they accept: "max block range 2048", "up to a 500 block range",
+// or (Alchemy) "this block range should work: [0x1, 0x7d0]".
+function suggestedRange(error) {
+  for (const e of causes(error)) {
+    const text = `${e.details || ''} ${e.message || ''}`;
+    const hint = text.match(/\[(0x[0-9a-f]+),\s*(0x[0-9a-f]+)\]/i);
+    if (hint) return BigInt(hint[2]) - BigInt(hint[1]) + 1n;
+    const limit = text.match(/(?:max(?:imum)?(?: block)? range(?: is| of)?:?|up to an?|limited to an?|exceed(?:s|ed)?(?: the)?(?: max(?:imum)?)?(?: block range(?: of)?)?)\s*(\d{2,})/i);
+    if (limit) return BigInt(limit[1]);
+  }
+  return null;
+}
+
+function blockRangeOf(params) {
+  if (typeof params?.fromBlock === 'bigint' && typeof params?.toBlock === 'bigint') {
+    return params.toBlock - params.fromBlock + 1n;
+  }
+  return null;
+}
+
+function maskUrl(url) {
+  return url.replace(/[A-Za-z0-9_-]{16,}/g, '***');
+}
+
+export function registerRpcPool({ chain, chainId, rpcUrls, maxBlockRanges = {}, probeAddress = null }) {
+  if (pools[chain]) return pools[chain];
+
+  const endpoints = [];
+  rpcUrls.forEach((url, priority) => {
+    try {
+      endpoints.push({
+        url,
+        priority,
+        client: createChainClient(chainId, url),
+        latencyMs: null,
+        requests: 0,
+        errors: 0,
+        errorRate: 0,
+        consecutiveErrors: 0,
+        cooldownUntil: 0,
+        lastError: null,
+        lastErrorAt: null,
+        headBlock: null,
+        headUpdatedAt: null,
+        getLogsSupported: null,
+        maxLogsRange: maxBlockRanges[url] ?? null,
+      });
+    } catch (error) {
+      console.error(`[${chain}] Skipping RPC ${maskUrl(url)}:`, error.message);
+    }
+  });
+  if (endpoints.length === 0) {
+    throw new Error(`[${chain}] All RPC endpoints failed for ${chain}`);
+  }
+
+  pools[chain] = { chain, chainId, endpoints, probeAddress, pooledClient: null };
+  console.log(`[${chain}] RPC pool: ${endpoints.map(e => maskUrl(e.url)).join(', ')}`);
+  return pools[chain];
+}
+
+function getPool(chain) {
+  const pool = pools[chain];
+  if (!pool) throw new Error(`No RPC pool registered for chain ${chain}`);
+  return pool;
+}
+
+function score(endpoint, maxHead) {
+  const latency = endpoint.latencyMs ?? 500;
+  let lagPenalty = 0;
+  if (maxHead !== null && endpoint.headBlock !== null && maxHead > endpoint.headBlock) {
+    const lag = maxHead - endpoint.headBlock;
+    lagPenalty = lag > MAX_HEAD_LAG ? 10000 : Number(lag) * 100;
+  }
+  return latency * (1 + 4 * endpoint.errorRate) + lagPenalty + endpoint.priority;
+}
+
+/**
+ * Returns the best endpoint for a call, skipping `exclude`, endpoints cooling down, endpoints
+ * known not to serve eth_getLogs (for log calls) and endpoints whose max range is too small
+ * (so an over-wide range fails fast and the caller splits it).
+ * When every candidate is cooling down, returns the one that recovers first with `waitMs`.
+ */
+function pickEndpoint(pool, { method, blockRange, exclude }) {
+  const isLogs = LOG_METHODS.has(method);
+  let candidates = pool.endpoints.filter(e => !exclude.has(e) && !(isLogs && e.getLogsSupported === false));
+  if (isLogs && blockRange !== null) {
+    candidates = candidates.filter(e => e.maxLogsRange === null || e.maxLogsRange >= blockRange);
+  }
+  if (candidates.length === 0) return null;
+
+  const heads = pool.endpoints.map(e => e.headBlock).filter(h => h !== null);
+  const maxHead = heads.length ? heads.reduce((a, b) => (a > b ? a : b)) : null;
+  const now = Date.now();
+  const ready = candidates.filter(e => e.cooldownUntil <= now);
+  if (ready.length > 0) {
+    ready.sort((a, b) => score(a, maxHead) - score(b, maxHead));
+    return { endpoint: ready[0], waitMs: 0 };
+  }
+  const soonest = candidates.reduce((a, b) => (a.cooldownUntil <= b.cooldownUntil ? a : b));
+  return { endpoint: soonest, waitMs: Math.min(soonest.cooldownUntil - now, MAX_COOLDOWN_MS) };
+}
+
+function recordSuccess(endpoint, method, startedAt) {
+  const elapsed = Date.now() - startedAt;
+  endpoint.requests++;
+  endpoint.latencyMs = endpoint.latencyMs === null ? elapsed : endpoint.latencyMs * (1 - EWMA_WEIGHT) + elapsed * EWMA_WEIGHT;
+  endpoint.errorRate *= 1 - EWMA_WEIGHT;
+  endpoint.consecutiveErrors = 0;
+  if (LOG_METHODS.has(method)) endpoint.getLogsSupported = true;
+}
+
+function recordFailure(endpoint, error) {
+  endpoint.requests++;
+  endpoint.errors++;
+  endpoint.errorRate = endpoint.errorRate * (1 - EWMA_WEIGHT) + EWMA_WEIGHT;
+  endpoint.consecutiveErrors++;
+  const cooldown = retryAfterMs(error) ?? Math.min(BASE_COOLDOWN_MS * 2 ** (endpoint.consecutiveErrors - 1), MAX_COOLDOWN_MS);
+  endpoint.cooldownUntil = Date.now() + cooldown;
+  endpoint.lastError = error.shortMessage || error.message || String(error);
+  endpoint.lastErrorAt = new Date();
+  return cooldown;
+}
+
+function learnMaxRange(pool, endpoint, blockRange, error) {
+  const suggested = suggestedRange(error);
+  let learned = suggested !== null && suggested > 0n && suggested < blockRange ? suggested : blockRange / 2n;
+  if (learned < 1n) learned = 1n;
+  if (endpoint.maxLogsRange === null || learned < endpoint.maxLogsRange) {
+    endpoint.maxLogsRange = learned;
+    console.warn(`[${pool.chain}] RPC ${maskUrl(endpoint.url)} rejected a ${blockRange}-block eth_getLogs, limiting it to ${learned} blocks`);
+  }
+}
+
+/**
+ * Runs `operation(client)` against the pool of `chain`, retrying on the next best endpoint
+ * when an endpoint rate limits, fails at the transport level or does not support the method.
+ */
+export async function withRpc(chain, operation, { method = null, blockRange = null } = {}) {
+  const pool = getPool(chain);
+  const tried = new Set();
+  let lastError = null;
+
+  while (tried.size < pool.endpoints.length) {
+    const picked = pickEndpoint(pool, { method, blockRange, exclude: tried });
+    if (!picked) break;
+    const { endpoint, waitMs } = picked;
+    if (waitMs > 0) {
+      console.log(`[${chain}] All RPC endpoints cooling down, waiting ${Math.ceil(waitMs / 1000)}s for ${maskUrl(endpoint.url)}`);
+      await sleep(waitMs);
+    }
+    tried.add(endpoint);
+
+    const startedAt = Date.now();
+    try {
+      const result = await operation(endpoint.client, endpoint);
+      recordSuccess(endpoint, method, startedAt);
+      return result;
+    } catch (error) {
+      lastError = error;
+      if (LOG_METHODS.has(method) && isUnsupportedMethod(error)) {
+        endpoint.getLogsSupported = false;
+        console.warn(`[${chain}] RPC ${maskUrl(endpoint.url)} does not support eth_getLogs`);
+        continue;
+      }
+      if (LOG_METHODS.has(method) && blockRange !== null && isRangeLimit(error)) {
+        learnMaxRange(pool, endpoint, blockRange, error);
+        continue;
+      }
+      if (LOG_METHODS.has(method) && isResultLimit(error)) {
+        recordSuccess(endpoint, method, startedAt);
+        throw error;
+      }
+      if (isRateLimit(error) || isEndpointFailure(error)) {
+        const cooldown = recordFailure(endpoint, error);
+        console.warn(`[${chain}] RPC ${maskUrl(endpoint.url)} ${isRateLimit(error) ? 'rate limited' : 'failed'} (${endpoint.lastError}), cooling down ${Math.round(cooldown / 1000)}s`);
+        continue;
+      }
+      recordSuccess(endpoint, method, startedAt);
+      throw error;
+    }
+  }
+
+  if (lastError) throw lastError;
+  if (LOG_METHODS.has(method) && blockRange !== null) {
+    throw new Error(`[${chain}] eth_getLogs block range of ${blockRange} is wider than any endpoint accepts`);
+  }
+  throw new Error(`[${chain}] No usable RPC endpoint for ${method || 'request'}`);
+}
+
+function largestLogsRange(pool) {
+  const usable = pool.endpoints.filter(e => e.getLogsSupported !== false);
+  if (usable.length === 0 || usable.some(e => e.maxLogsRange === null)) return null;
+  return usable.reduce((max, e) => (e.maxLogsRange > max ? e.maxLogsRange : max), 0n);
+}
+
+function splitRange(fromBlock, toBlock, size) {
+  const ranges = [];
+  for (let start = fromBlock; start <= toBlock; start += size) {
+    const end = start + size - 1n;
+    ranges.push([start, end < toBlock ? end : toBlock]);
+  }
+  return ranges;
+}
+
+/**
+ * eth_getLogs over any range: ranges wider than every endpoint accepts are pre-split by the
+ * largest learned limit, and a range that still fails with a range or result limit is
+ * bisected until each half succeeds (or a single block still fails).
+ */
+export async function getLogsAdaptive(chain, params) {
+  const blockRange = blockRangeOf(params);
+  const run = (p) => withRpc(chain, (client) => client.getLogs(p), { method: 'eth_getLogs', blockRange: blockRangeOf(p) });
+  if (blockRange === null) return run(params);
+
+  const maxRange = largestLogsRange(getPool(chain));
+  if (maxRange !== null && maxRange > 0n && blockRange > maxRange) {
+    const logs = [];
+    for (const [fromBlock, toBlock] of splitRange(params.fromBlock, params.toBlock, maxRange)) {
+      logs.push(...await getLogsAdaptive(chain, { ...params, fromBlock, toBlock }));
+    }
+    return logs;
+  }
+
+  try {
+    return await run(params);
+  } catch (error) {
+    if (blockRange <= 1n || !(isRangeLimit(error) || isResultLimit(error))) throw error;
+    const middle = params.fromBlock + blockRange / 2n - 1n;
+    const left = await getLogsAdaptive(chain, { ...params, toBlock: middle });
+    const right = await getLogsAdaptive(chain, { ...params, fromBlock: middle + 1n });
+    return [...left, ...right];
+  }
+}
+
+/**
+ * A viem client for `chain` whose actions all go through `withRpc`, so existing code (and
+ * libraries that take a client) use the pool transparently. `getLogs` splits ranges as
+ * `getLogsAdaptive` does.
+ */
+export function getPooledClient(chain) {
+  const pool = getPool(chain);
+  if (!pool.pooledClient) {
+    pool.pooledClient = new Proxy(pool.endpoints[0].client, {
+      get(target, prop) {
+        const value = target[prop];
+        if (typeof value !== 'function' || LOCAL_MEMBERS.has(prop)) return value;
+        if (prop === 'getLogs') return (params) => getLogsAdaptive(chain, params);
+        return (...args) => withRpc(
+          chain,
+          (client) => client[prop](...args),
+          { method: prop === 'request' ? args[0]?.method : prop, blockRange: blockRangeOf(args[0]) }
+        );
+      },
+    });
+  }
+  return pool.pooledClient;
+}
+
+async function checkEndpoint(pool, endpoint) {
+  const startedAt = Date.now();
+  try {
+    const head = await endpoint.client.getBlockNumber();
+    recordSuccess(endpoint, 'getBlockNumber', startedAt);
+    endpoint.headBlock = head;
+    endpoint.headUpdatedAt = new Date();
+    if (endpoint.getLogsSupported === null && pool.probeAddress) {
+      try {
+        await endpoint.client.getLogs({ address: pool.probeAddress, fromBlock: head > 10n ? head - 10n : 0n, toBlock: head });
+        endpoint.getLogsSupported = true;
+      } catch (error) {
+        if (isUnsupportedMethod(error)) endpoint.getLogsSupported = false;
+      }
+    }
+  } catch (error) {
+    recordFailure(endpoint, error);
+  }
+}
+
+export async function refreshRpcHealth() {
+  await Promise.allSettled(
+    Object.values(pools).flatMap(pool => pool.endpoints.map(endpoint => checkEndpoint(pool, endpoint)))
+  );
+}
+
+export function startRpcHealthChecks(intervalMs = Number(process.env.RPC_HEALTH_INTERVAL_MS || '60000')) {
+  refreshRpcHealth();
+  setInterval(refreshRpcHealth, intervalMs);
+}
+
+export function getRpcStatus() {
+  const now = Date.now();
+  return Object.values(pools).map((pool) => {
+    const heads = pool.endpoints.map(e => e.headBlock).filter(h => h !== null);
+    const maxHead = heads.length ? heads.reduce((a, b) => (a > b ? a : b)) : null;
+    return {
+      chain: pool.chain,
+      chainId: pool.chainId,
+      endpoints: pool.endpoints
+        .map(e => ({
+          url: maskUrl(e.url),
+          score: Math.round(score(e, maxHead)),
+          latencyMs: e.latencyMs === null ? null : Math.round(e.latencyMs),
+          requests: e.requests,
+          errors: e.errors,
+          errorRate: Number(e.errorRate.toFixed(3)),
+          coolingDownForMs: Math.max(e.cooldownUntil - now, 0),
+          headBlock: e.headBlock?.toString() ?? null,
+          headLag: maxHead !== null && e.headBlock !== null ? (maxHead - e.headBlock).toString() : null,
+          headUpdatedAt: e.headUpdatedAt?.toISOString() ?? null,
+          getLogsSupported: e.getLogsSupported,
+          maxLogsRange: e.maxLogsRange?.toString() ?? null,
+          lastError: e.lastError,
+          lastErrorAt: e.lastErrorAt?.toISOString() ?? null,
+        }))
+        .sort((a, b) => a.score - b.score),
+    };
+  });
+}
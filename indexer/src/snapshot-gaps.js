@@ -0,0 +1,68 @@
+// Daily snapshots missing for a vault: every date from its inception (its first snapshot or
+// first indexed event, whichever is earlier) to yesterday without a `snapshots` document, e.g.
+// because the indexer was down at midnight. Repairs backfill them at their closing block.
+// Today is never missing: its snapshot is taken once it is over.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const toDateKey = time => time.toISOString().slice(0, 10);
+
+async function inceptionDate({ colSnapshots, colDeposits, colWithdrawals }, vaultConfig) {
+  const scope = { vaultId: vaultConfig.id, chain: vaultConfig.chain };
+  const [snapshotDate, depositTime, withdrawalTime] = await Promise.all([
+    colSnapshots.firstDate(scope),
+    colDeposits.firstEventTime(scope),
+    colWithdrawals.firstEventTime(scope),
+  ]);
+  const dates = [
+    snapshotDate,
+    depositTime && toDateKey(depositTime),
+    withdrawalTime && toDateKey(withdrawalTime),
+  ].filter(Boolean);
+  return dates.length ? dates.sort()[0] : null;
+}
+
+/**
+ * Lists the missing snapshot dates of each vault before `today`, as
+ * `{ vault_id, chain, since, missing }` (`since` is null for a vault with no data yet).
+ */
+export async function findSnapshotGaps(cols, vaults, today = new Date()) {
+  const end = Date.parse(`${toDateKey(today)}T00:00:00Z`);
+  return Promise.all(vaults.map(async (vaultConfig) => {
+    const since = await inceptionDate(cols, vaultConfig);
+    const missing = [];
+    if (since) {
+      const existing = new Set(await cols.colSnapshots.distinctDates({ vaultId: vaultConfig.id, chain: vaultConfig.chain }));
+      for (let time = Date.parse(`${since}T00:00:00Z`); time < end; time += DAY) {
+        const date = toDateKey(new Date(time));
+        if (!existing.has(date)) missing.push(date);
+      }
+    }
+    return { vault_id: vaultConfig.id, chain: vaultConfig.chain, since, missing };
+  }));
+}
+
+/**
+ * Backfills missing snapshots oldest first (flow-based AUM builds on the previous day), at most
+ * `limit` dates per run. `createSnapshot(date, vaults)` writes the snapshots of `vaults` for
+ * `date`. Returns the dates repaired and the number of gaps left.
+ */
+export async function repairSnapshotGaps(cols, vaults, createSnapshot, { limit }) {
+  const gaps = await findSnapshotGaps(cols, vaults);
+  const vaultsByDate = new Map();
+  for (const gap of gaps) {
+    const vaultConfig = vaults.find(v => v.id === gap.vault_id && v.chain === gap.chain);
+    for (const date of gap.missing) {
+      if (!vaultsByDate.has(date)) vaultsByDate.set(date, []);
+      vaultsByDate.get(date).push(vaultConfig);
+    }
+  }
+
+  const dates = [...vaultsByDate.keys()].sort().slice(0, limit);
+  for (const date of dates) {
+    console.log(`[snapshots] Backfilling ${date} for ${vaultsByDate.get(date).map(v => v.id).join(', ')}`);
+    await createSnapshot(date, vaultsByDate.get(date));
+  }
+  const remaining = (await findSnapshotGaps(cols, vaults)).reduce((acc, gap) => acc + gap.missing.length, 0);
+  return { repaired: dates, remaining };
+}
@@ -0,0 +1,149 @@
+import { findBlockByTimestamp } from './block-time.js';
+import { readVaultState } from './vault-state.js';
+
+// Intraday snapshot series, kept apart from the daily `snapshots` documents. Every
+// SNAPSHOT_INTERVAL (1h by default) each vault gets a point with its state at the closing block
+// of the interval and the Yieldo flows during it; points are rolled up into every coarser
+// interval (4h, 1d) as those close. Points at the base interval are kept for
+// SNAPSHOT_SERIES_RETENTION_DAYS (90 by default), rollups indefinitely.
+
+const HOUR = 60 * 60 * 1000;
+
+export const INTERVALS = {
+  '1h': HOUR,
+  '4h': 4 * HOUR,
+  '1d': 24 * HOUR,
+};
+
+const CRON_SCHEDULES = {
+  '1h': '0 * * * *',
+  '4h': '0 */4 * * *',
+  '1d': '0 0 * * *',
+};
+
+const DEFAULT_RETENTION_DAYS = 90;
+
+export function getSeriesInterval() {
+  const interval = process.env.SNAPSHOT_INTERVAL || '1h';
+  if (!INTERVALS[interval]) {
+    throw new Error(`Invalid SNAPSHOT_INTERVAL "${interval}" (expected ${Object.keys(INTERVALS).join(', ')})`);
+  }
+  return interval;
+}
+
+export function seriesCronSchedule(interval) {
+  return CRON_SCHEDULES[interval];
+}
+
+// Start of the interval bucket containing `time` (buckets are aligned on UTC midnight).
+export function bucketStart(time, interval) {
+  const ms = INTERVALS[interval];
+  return new Date(Math.floor(time.getTime() / ms) * ms);
+}
+
+const sumAmounts = (docs, field) => docs.reduce((acc, d) => acc + BigInt(d[field] || '0'), 0n);
+
+async function capturePoint({ colSeries, colDeposits, colWithdrawals }, vaultConfig, client, block, interval, start, end) {
+  const state = await readVaultState(client, vaultConfig, block.number);
+  const { vault } = state;
+  const scope = {
+    vaultId: vaultConfig.id,
+    chain: vaultConfig.chain,
+    sources: ['yieldo'],
+    time: { from: start, to: end, toExclusive: true },
+  };
+  const [deposits, withdrawals] = await Promise.all([
+    colDeposits.find({ ...scope, statuses: ['executed', 'settled'] }),
+    colWithdrawals.find({ ...scope, statuses: ['pending', 'settled', 'withdrawn'] }),
+  ]);
+  let withdrawnAssets = 0n;
+  for (const w of withdrawals) {
+    if (w.assets) withdrawnAssets += BigInt(w.assets);
+    else if (w.shares && vault.totalSupply > 0n) withdrawnAssets += vault.convertToAssets(BigInt(w.shares));
+  }
+
+  await colSeries.upsertPoint(
+    { vaultId: vaultConfig.id, chain: vaultConfig.chain, interval, bucket: start },
+    {
+      block_number: block.number.toString(),
+      block_timestamp: new Date(Number(block.timestamp) * 1000),
+      vault_total_assets: state.totalAssets?.toString() ?? null,
+      vault_total_supply: state.totalSupply.toString(),
+      vault_share_price: state.sharePrice?.toString() ?? null,
+      vault_pending_deposits: state.pendingDeposits?.toString() ?? null,
+      vault_pending_redeems: state.pendingRedeems?.toString() ?? null,
+      yieldo_deposits: sumAmounts(deposits, 'amount').toString(),
+      yieldo_withdrawals: withdrawnAssets.toString(),
+      points: 1,
+      updated_at: new Date(),
+    }
+  );
+}
+
+/**
+ * Records the points of the `interval` bucket that ends at `end` for every vault, reading vault
+ * state at the bucket's closing block. `getClient(vaultConfig)` returns the RPC client of a vault.
+ */
+export async function captureSeriesPoints(cols, vaults, getClient, interval, end) {
+  const start = new Date(end.getTime() - INTERVALS[interval]);
+  const closingBlocks = new Map();
+  await Promise.allSettled(vaults.map(async (vaultConfig) => {
+    try {
+      const client = getClient(vaultConfig);
+      if (!closingBlocks.has(vaultConfig.chain)) {
+        closingBlocks.set(vaultConfig.chain, findBlockByTimestamp(client, new Date(end.getTime() - 1000)));
+      }
+      const block = await closingBlocks.get(vaultConfig.chain);
+      if (!block) return;
+      await capturePoint(cols, vaultConfig, client, block, interval, start, end);
+    } catch (error) {
+      console.error(`[${vaultConfig.id}] Error capturing ${interval} snapshot at ${start.toISOString()}:`, error.message);
+    }
+  }));
+}
+
+/**
+ * Rolls the `baseInterval` points up into each coarser interval whose bucket ends at `end`: a
+ * rollup keeps the state of the last point and the sum of the flows.
+ */
+export async function rollUpSeries(colSeries, vaults, baseInterval, end) {
+  const coarser = Object.keys(INTERVALS)
+    .filter(i => INTERVALS[i] > INTERVALS[baseInterval] && end.getTime() % INTERVALS[i] === 0);
+  for (const interval of coarser) {
+    const start = new Date(end.getTime() - INTERVALS[interval]);
+    for (const vaultConfig of vaults) {
+      const points = await colSeries.find({
+        vaultId: vaultConfig.id,
+        chain: vaultConfig.chain,
+        interval: baseInterval,
+        bucketRange: { from: start, to: end, toExclusive: true },
+      }, { order: 1 });
+      if (points.length === 0) continue;
+      const last = points[points.length - 1];
+      await colSeries.upsertPoint(
+        { vaultId: vaultConfig.id, chain: vaultConfig.chain, interval, bucket: start },
+        {
+          block_number: last.block_number,
+          block_timestamp: last.block_timestamp,
+          vault_total_assets: last.vault_total_assets,
+          vault_total_supply: last.vault_total_supply,
+          vault_share_price: last.vault_share_price,
+          vault_pending_deposits: last.vault_pending_deposits,
+          vault_pending_redeems: last.vault_pending_redeems,
+          yieldo_deposits: sumAmounts(points, 'yieldo_deposits').toString(),
+          yieldo_withdrawals: sumAmounts(points, 'yieldo_withdrawals').toString(),
+          points: points.length,
+          updated_at: new Date(),
+        }
+      );
+    }
+  }
+}
+
+// Deletes base-interval points past the retention period once they have been rolled up.
+export async function pruneSeries(colSeries, baseInterval, now = new Date()) {
+  if (baseInterval === '1d') return 0;
+  const days = Number(process.env.SNAPSHOT_SERIES_RETENTION_DAYS || DEFAULT_RETENTION_DAYS);
+  const cutoff = bucketStart(new Date(now.getTime() - days * INTERVALS['1d']), '1d');
+  return colSeries.removeBefore(baseInterval, cutoff);
+}
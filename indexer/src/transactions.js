@@ -0,0 +1,20 @@
+// Indexed ranges are written in a transaction together with the cursor (or backfill job
+// progress) that records them, so a crash never leaves a range half applied. The storage
+// backend decides how (see yieldo-storage); without one, writes run without a transaction,
+// which is still safe because every handler can be replayed.
+
+let storage = null;
+
+export function setTransactionStorage(value) {
+  storage = value;
+}
+
+/**
+ * Runs `fn(session)` inside a transaction and returns its result. `fn` may run more than once
+ * (transient errors are retried), and runs with `session` undefined when transactions are
+ * unavailable.
+ */
+export async function inTransaction(fn) {
+  if (!storage) return fn(undefined);
+  return storage.withTransaction(fn);
+}
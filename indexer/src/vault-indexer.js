@@ -1,894 +1,634 @@
-import { parseAbiItem } from 'viem';
-import { Vault } from '@lagoon-protocol/v0-viem';
+import { parseAbi } from 'viem';
+import { initialStatus, sourceStatuses, transition } from './document-status.js';
+import { inTransaction } from './transactions.js';
+import { normalizeAddress } from './addresses.js';
 
-let rateLimitHandler = null;
+let getLogsHandler = null;
 
-export function setRateLimitHandler(handler) {
-  rateLimitHandler = handler;
+// Lets the indexer route getLogs through its RPC pool (which splits ranges the provider
+// rejects); `client` is used directly otherwise.
+export function setGetLogsHandler(handler) {
+  getLogsHandler = handler;
 }
 
 async function safeGetLogs(vaultConfig, client, params) {
-  if (rateLimitHandler) {
-    return await rateLimitHandler(vaultConfig, async (c) => {
-      return await c.getLogs(params);
-    });
+  if (getLogsHandler) {
+    return await getLogsHandler(vaultConfig, params);
   }
   return await client.getLogs(params);
 }
 
-export async function indexDepositRouterEventsForVault(
-  vaultConfig,
-  client,
-  colIntents,
-  colDeposits,
-  fromBlock,
-  toBlock
-) {
-  if (!vaultConfig.depositRouter) return;
-
-  try {
-    if (fromBlock > toBlock) {
-      console.warn(`[${vaultConfig.id}] Invalid block range: fromBlock ${fromBlock} > toBlock ${toBlock}`);
-      return;
-    }
-
-    const intentCreatedLogs = await safeGetLogs(vaultConfig, client, {
-      address: vaultConfig.depositRouter,
-      event: parseAbiItem('event DepositIntentCreated(bytes32 indexed intentHash, address indexed user, address indexed vault, address asset, uint256 amount, uint256 nonce, uint256 deadline)'),
-      fromBlock,
-      toBlock,
-    });
+// Every deposit and withdrawal document is created by exactly one vault log and is keyed by
+// it. Later events (settle, claim) find their documents through the request id, never through
+// "the latest pending document of this user".
+function logIdentity(vaultConfig, log) {
+  return {
+    chain: vaultConfig.chain,
+    transactionHash: log.transactionHash,
+    logIndex: Number(log.logIndex),
+  };
+}
 
-    for (const log of intentCreatedLogs) {
-      const { intentHash, user, vault, asset, amount, nonce, deadline } = log.args;
-
-      if (vault.toLowerCase() !== vaultConfig.address.toLowerCase()) continue;
-
-      await colIntents.updateOne(
-        { intent_hash: intentHash, chain: vaultConfig.chain, vault_id: vaultConfig.id },
-        {
-          $setOnInsert: {
-            intent_hash: intentHash,
-            user_address: user,
-            vault_address: vault,
-            vault_id: vaultConfig.id,
-            chain: vaultConfig.chain,
-            asset_address: asset,
-            asset_symbol: vaultConfig.asset.symbol,
-            asset_decimals: vaultConfig.asset.decimals,
-            amount: amount.toString(),
-            nonce: nonce.toString(),
-            deadline: Number(deadline),
-            status: 'pending',
-            created_at: new Date(),
-          },
-        },
-        { upsert: true }
-      );
-    }
+function compareLogPosition(a, b) {
+  const blockA = BigInt(a.block_number || '0');
+  const blockB = BigInt(b.block_number || '0');
+  if (blockA !== blockB) return blockA < blockB ? -1 : 1;
+  return (a.log_index ?? 0) - (b.log_index ?? 0);
+}
 
-    const depositExecutedLogs = await safeGetLogs(vaultConfig, client, {
-      address: vaultConfig.depositRouter,
-      event: parseAbiItem('event DepositExecuted(bytes32 indexed intentHash, address indexed user, address indexed vault, uint256 amount)'),
-      fromBlock,
-      toBlock,
-    });
+// Splits `total` across `weights` proportionally; the last part absorbs the rounding.
+function splitProRata(total, weights) {
+  const sum = weights.reduce((acc, w) => acc + w, 0n);
+  let allocated = 0n;
+  return weights.map((w, i) => {
+    if (i === weights.length - 1) return total - allocated;
+    const part = sum > 0n ? (total * w) / sum : 0n;
+    allocated += part;
+    return part;
+  });
+}
 
-    for (const log of depositExecutedLogs) {
-      const { intentHash, user, vault, amount } = log.args;
+/**
+ * Applies the settlement `log` (of `kind` documents) to every request of `user` with
+ * `requestId`, setting `valueField` to its pro-rata part of `value` (a user can have several
+ * requests in one epoch).
+ */
+async function settleRequests(col, kind, vaultConfig, log, { user, requestId, weightField, valueField, value }, session) {
+  const docs = await col.findOpenRequests({
+    chain: vaultConfig.chain,
+    vaultId: vaultConfig.id,
+    user: normalizeAddress(user),
+    requestId,
+    statuses: sourceStatuses(kind, log.eventName),
+  }, session);
+  docs.sort(compareLogPosition);
+
+  const parts = splitProRata(value, docs.map(d => BigInt(d[weightField] || '0')));
+  let settled = 0;
+  for (let i = 0; i < docs.length; i++) {
+    settled += await transition(col, kind, log.eventName, { ids: [docs[i]._id] }, {
+      [valueField]: parts[i].toString(),
+      settled_at: log.blockTime,
+      settled_tx: log.transactionHash,
+      settled_log_index: Number(log.logIndex),
+      settled_block_number: log.blockNumber.toString(),
+      settled_block_hash: log.blockHash,
+      vault_name: vaultConfig.name,
+    }, session);
+  }
+  return settled;
+}
 
-      if (vault.toLowerCase() !== vaultConfig.address.toLowerCase()) continue;
+/**
+ * Decides whether a vault deposit log belongs to Yieldo. The router being the caller, an intent
+ * executed in the same transaction, a mark-yieldo marker or an earlier attribution of the same
+ * log all count; anything else is a direct Lagoon deposit.
+ */
+async function resolveYieldoDeposit(vaultConfig, log, { colDeposits, colIntents, colMeta, session }, { viaRouter, user }) {
+  const intent = await colIntents.findExecutedInTransaction({
+    chain: vaultConfig.chain,
+    vaultId: vaultConfig.id,
+    transactionHash: log.transactionHash,
+  }, session);
+  if (intent) {
+    return { user: intent.user_address, intentHash: intent.intent_hash, reason: 'intent' };
+  }
+  if (viaRouter) {
+    return { user, intentHash: null, reason: 'router caller' };
+  }
 
-      await colIntents.updateOne(
-        { intent_hash: intentHash, chain: vaultConfig.chain, vault_id: vaultConfig.id },
-        { $set: { status: 'executed', executed_at: new Date() } }
-      );
+  const marker = await colMeta.findDepositMarker(log.transactionHash, session);
+  if (marker) {
+    return { user, intentHash: null, reason: 'marker', marker: log.transactionHash };
+  }
 
-      await colDeposits.updateOne(
-        { transaction_hash: log.transactionHash, chain: vaultConfig.chain, vault_id: vaultConfig.id },
-        {
-          $set: {
-            intent_hash: intentHash,
-            user_address: user,
-            vault_address: vault,
-            vault_id: vaultConfig.id,
-            chain: vaultConfig.chain,
-            vault_name: vaultConfig.name,
-            asset_address: vaultConfig.asset.address,
-            asset_symbol: vaultConfig.asset.symbol,
-            asset_decimals: vaultConfig.asset.decimals,
-            amount: amount.toString(),
-            status: 'executed',
-            block_number: log.blockNumber.toString(),
-            transaction_hash: log.transactionHash,
-            executed_at: new Date(),
-            source: 'yieldo',
-          },
-          $setOnInsert: {
-            shares: null,
-            epoch_id: null,
-            created_at: new Date(),
-          },
-        },
-        { upsert: true }
-      );
-      
-      console.log(`[${vaultConfig.id}] Deposit executed: ${intentHash} for user ${user}, amount: ${amount.toString()}, tx: ${log.transactionHash}`);
-    }
+  const existing = await colDeposits.findByLog(logIdentity(vaultConfig, log), session);
+  if (existing?.source === 'yieldo') {
+    return { user: existing.user_address, intentHash: existing.intent_hash ?? null, reason: 'existing' };
+  }
+  return null;
+}
 
-    const depositRequestSubmittedLogs = await safeGetLogs(vaultConfig, client, {
-      address: vaultConfig.depositRouter,
-      event: parseAbiItem('event DepositRequestSubmitted(bytes32 indexed intentHash, address indexed user, address indexed vault, uint256 amount, uint256 requestId)'),
-      fromBlock,
-      toBlock,
-    });
+async function clearDepositMarkers(colMeta, txHashes, session) {
+  for (const txHash of txHashes) {
+    await colMeta.clearDepositMarkers(txHash, session);
+  }
+}
 
-    for (const log of depositRequestSubmittedLogs) {
-      const { intentHash, user, vault, amount, requestId } = log.args;
+// Router events only link intents to the vault's own documents; the vault's logs own the
+// deposit and withdrawal documents.
+const ROUTER_EVENTS = parseAbi([
+  'event DepositIntentCreated(bytes32 indexed intentHash, address indexed user, address indexed vault, address asset, uint256 amount, uint256 nonce, uint256 deadline)',
+  'event DepositExecuted(bytes32 indexed intentHash, address indexed user, address indexed vault, uint256 amount)',
+  'event DepositRequestSubmitted(bytes32 indexed intentHash, address indexed user, address indexed vault, uint256 amount, uint256 requestId)',
+]);
+
+// ERC-7540 events and their older Lagoon counterparts (DepositRequested, RedeemRequested and
+// the three-argument RedeemSettled).
+const VAULT_EVENTS = parseAbi([
+  'event DepositRequest(address indexed controller, address indexed owner, uint256 indexed requestId, address sender, uint256 assets)',
+  'event DepositRequested(address indexed user, uint256 indexed epochId, uint256 amount)',
+  'event Deposit(address indexed sender, address indexed owner, uint256 assets, uint256 shares)',
+  'event DepositSettled(address indexed user, uint256 indexed epochId, uint256 shares)',
+  'event RedeemRequest(address indexed controller, address indexed owner, uint256 indexed requestId, address sender, uint256 shares)',
+  'event RedeemRequested(address indexed user, uint256 indexed epochId, uint256 shares)',
+  'event RedeemSettled(address indexed controller, address indexed owner, uint256 indexed requestId, address receiver, uint256 assets)',
+  'event RedeemSettled(address indexed user, uint256 indexed epochId, uint256 assets)',
+  'event Withdraw(address indexed sender, address indexed receiver, address indexed owner, uint256 assets, uint256 shares)',
+]);
+
+// The Lagoon variants are counted under their ERC-7540 name.
+const COUNT_KEYS = {
+  DepositRequested: 'DepositRequest',
+  RedeemRequested: 'RedeemRequest',
+};
+
+async function handleDepositIntentCreated(ctx, log) {
+  const { vaultConfig, colIntents, session } = ctx;
+  const { intentHash, user, vault, asset, amount, nonce, deadline } = log.args;
+
+  await colIntents.insertIfAbsent(
+    { intentHash, chain: vaultConfig.chain, vaultId: vaultConfig.id },
+    {
+      intent_hash: intentHash,
+      user_address: normalizeAddress(user),
+      vault_address: normalizeAddress(vault),
+      vault_id: vaultConfig.id,
+      chain: vaultConfig.chain,
+      asset_address: normalizeAddress(asset),
+      asset_symbol: vaultConfig.asset.symbol,
+      asset_decimals: vaultConfig.asset.decimals,
+      amount: amount.toString(),
+      nonce: nonce.toString(),
+      deadline: Number(deadline),
+      status: initialStatus('intent', log.eventName),
+      block_number: log.blockNumber.toString(),
+      block_hash: log.blockHash,
+      block_timestamp: log.blockTime,
+      created_at: new Date(),
+    },
+    session
+  );
+}
 
-      if (vault.toLowerCase() !== vaultConfig.address.toLowerCase()) continue;
+// The deposit documents themselves are created from the vault's own events (same
+// transaction); router events only link them to their intent, whichever is indexed first.
+async function handleDepositExecuted(ctx, log) {
+  const { vaultConfig, colIntents, colDeposits, session } = ctx;
+  const { intentHash, user, amount } = log.args;
+
+  await transition(
+    colIntents,
+    'intent',
+    log.eventName,
+    { intentHash, chain: vaultConfig.chain, vaultId: vaultConfig.id },
+    {
+      executed_at: log.blockTime,
+      executed_tx: log.transactionHash,
+      executed_block_number: log.blockNumber.toString(),
+    },
+    session
+  );
+
+  await colDeposits.linkIntent(
+    { chain: vaultConfig.chain, vaultId: vaultConfig.id, transactionHash: log.transactionHash },
+    { intentHash, userAddress: normalizeAddress(user) },
+    session
+  );
+
+  console.log(`[${vaultConfig.id}] Deposit executed: ${intentHash} for user ${user}, amount: ${amount.toString()}, tx: ${log.transactionHash}`);
+}
 
-      await colIntents.updateOne(
-        { intent_hash: intentHash, chain: vaultConfig.chain, vault_id: vaultConfig.id },
-        { $set: { status: 'executed', executed_at: new Date() } }
-      );
+async function handleDepositRequestSubmitted(ctx, log) {
+  const { vaultConfig, colIntents, colDeposits, session } = ctx;
+  const { intentHash, user, amount, requestId } = log.args;
+
+  await transition(
+    colIntents,
+    'intent',
+    log.eventName,
+    { intentHash, chain: vaultConfig.chain, vaultId: vaultConfig.id },
+    {
+      executed_at: log.blockTime,
+      executed_tx: log.transactionHash,
+      executed_block_number: log.blockNumber.toString(),
+      request_id: requestId.toString(),
+    },
+    session
+  );
+
+  await colDeposits.linkIntent(
+    {
+      chain: vaultConfig.chain,
+      vaultId: vaultConfig.id,
+      transactionHash: log.transactionHash,
+      requestId: requestId.toString(),
+    },
+    { intentHash, userAddress: normalizeAddress(user) },
+    session
+  );
+
+  console.log(`[${vaultConfig.id}] DepositRequestSubmitted indexed: requestId ${requestId} for user ${user}, amount: ${amount.toString()}, tx: ${log.transactionHash}`);
+}
 
-      await colDeposits.updateOne(
-        { transaction_hash: log.transactionHash, chain: vaultConfig.chain, vault_id: vaultConfig.id },
-        {
-          $set: {
-            intent_hash: intentHash,
-            user_address: user,
-            vault_address: vault,
-            vault_id: vaultConfig.id,
-            chain: vaultConfig.chain,
-            vault_name: vaultConfig.name,
-            asset_address: vaultConfig.asset.address,
-            asset_symbol: vaultConfig.asset.symbol,
-            asset_decimals: vaultConfig.asset.decimals,
-            amount: amount.toString(),
-            requested_amount: amount.toString(),
-            epoch_id: Number(requestId),
-            status: 'requested',
-            block_number: log.blockNumber.toString(),
-            transaction_hash: log.transactionHash,
-            executed_at: new Date(),
-            source: 'yieldo',
-          },
-          $setOnInsert: {
-            shares: null,
-            created_at: new Date(),
-          },
-        },
-        { upsert: true }
-      );
+async function handleDepositRequest(ctx, log) {
+  const { vaultConfig, colDeposits, routerLower, session } = ctx;
+  let user;
+  let requestId;
+  let assets;
+  let viaRouter = false;
+  if (log.eventName === 'DepositRequested') {
+    ({ user, epochId: requestId, amount: assets } = log.args);
+  } else {
+    const { controller, owner, sender } = log.args;
+    ({ requestId, assets } = log.args);
+    viaRouter = Boolean(routerLower) && (String(sender).toLowerCase() === routerLower || String(owner).toLowerCase() === routerLower);
+    user = viaRouter ? controller : owner;
+  }
 
-      console.log(`[${vaultConfig.id}] DepositRequestSubmitted indexed: requestId ${requestId} for user ${user}, amount: ${amount.toString()}, tx: ${log.transactionHash}`);
-    }
-  } catch (error) {
-    if (error.message && (error.message.includes('after last accepted block') || error.message.includes('requested from block'))) {
-      const finalityError = new Error(`[${vaultConfig.id}] Block range ${fromBlock}-${toBlock} not yet finalized`);
-      finalityError.name = 'BlockNotFinalizedError';
-      throw finalityError;
-    }
-    console.error(`[${vaultConfig.id}] Error indexing DepositRouter events:`, error);
-    throw error;
+  const yieldo = await resolveYieldoDeposit(vaultConfig, log, ctx, { viaRouter, user });
+  if (!yieldo) {
+    console.log(`[${vaultConfig.id}] Skipping non-Yieldo DepositRequest: requestId ${requestId} for user ${user}, tx: ${log.transactionHash}`);
+    return;
   }
+  if (yieldo.marker) ctx.usedMarkers.add(yieldo.marker);
+
+  await colDeposits.adoptLegacy(logIdentity(vaultConfig, log), session);
+  await colDeposits.upsertByLog(
+    logIdentity(vaultConfig, log),
+    {
+      user_address: normalizeAddress(yieldo.user),
+      vault_address: normalizeAddress(vaultConfig.address),
+      request_id: requestId.toString(),
+      epoch_id: Number(requestId),
+      amount: assets.toString(),
+      requested_amount: assets.toString(),
+      source: 'yieldo',
+      vault_id: vaultConfig.id,
+      vault_name: vaultConfig.name,
+      asset_address: normalizeAddress(vaultConfig.asset.address),
+      asset_symbol: vaultConfig.asset.symbol,
+      asset_decimals: vaultConfig.asset.decimals,
+      block_number: log.blockNumber.toString(),
+      block_hash: log.blockHash,
+      block_timestamp: log.blockTime,
+      ...(yieldo.intentHash ? { intent_hash: yieldo.intentHash } : {}),
+      ...(yieldo.marker ? { marker_consumed: true } : {}),
+    },
+    {
+      status: initialStatus('deposit', 'DepositRequest'),
+      shares: null,
+      executed_at: null,
+      settled_at: null,
+      created_at: new Date(),
+    },
+    session
+  );
+
+  console.log(`[${vaultConfig.id}] Yieldo DepositRequest indexed (${yieldo.reason}): requestId ${requestId} for user ${yieldo.user}, amount: ${assets.toString()}, tx: ${log.transactionHash}`);
 }
 
-export async function indexVaultEventsForVault(
-  vaultConfig,
-  client,
-  colDeposits,
-  colWithdrawals,
-  colPendingYieldoWithdrawals,
-  colIntents,
-  colMeta,
-  fromBlock,
-  toBlock
-) {
-  try {
-    if (fromBlock > toBlock) {
-      console.warn(`[${vaultConfig.id}] Invalid block range: fromBlock ${fromBlock} > toBlock ${toBlock}`);
-      return;
-    }
-
-    let depositRequestedLogs = [];
-    try {
-      depositRequestedLogs = await safeGetLogs(vaultConfig, client, {
-        address: vaultConfig.address,
-        event: parseAbiItem('event DepositRequest(address indexed controller, address indexed owner, uint256 indexed requestId, address sender, uint256 assets)'),
-        fromBlock,
-        toBlock,
-      });
-    } catch (e) {
-      console.log(`[${vaultConfig.id}] ERC-7540 DepositRequest event not found, trying Lagoon-specific format`);
-    }
-    
-    let lagoonDepositRequestedLogs = [];
-    if (depositRequestedLogs.length === 0) {
-      try {
-        lagoonDepositRequestedLogs = await safeGetLogs(vaultConfig, client, {
-          address: vaultConfig.address,
-          event: parseAbiItem('event DepositRequested(address indexed user, uint256 indexed epochId, uint256 amount)'),
-          fromBlock,
-          toBlock,
-        });
-      } catch (e) {
-        console.log(`[${vaultConfig.id}] Lagoon DepositRequested event not found`);
-      }
-    }
+async function handleDeposit(ctx, log) {
+  const { vaultConfig, colDeposits, routerLower, session } = ctx;
+  const { sender, owner, assets, shares } = log.args;
+
+  // On async vaults Deposit is the claim of an already settled request, which is tracked
+  // through its DepositRequest document.
+  if (vaultConfig.hasSettlement) return;
+
+  const viaRouter = Boolean(routerLower) && String(sender).toLowerCase() === routerLower;
+  const yieldo = await resolveYieldoDeposit(vaultConfig, log, ctx, { viaRouter, user: owner });
+  if (!yieldo) return;
+  if (yieldo.marker) ctx.usedMarkers.add(yieldo.marker);
+
+  await colDeposits.adoptLegacy(logIdentity(vaultConfig, log), session);
+  await colDeposits.upsertByLog(
+    logIdentity(vaultConfig, log),
+    {
+      user_address: normalizeAddress(yieldo.user),
+      vault_address: normalizeAddress(vaultConfig.address),
+      amount: assets.toString(),
+      shares: shares.toString(),
+      status: initialStatus('deposit', 'Deposit'),
+      source: 'yieldo',
+      vault_id: vaultConfig.id,
+      vault_name: vaultConfig.name,
+      asset_address: normalizeAddress(vaultConfig.asset.address),
+      asset_symbol: vaultConfig.asset.symbol,
+      asset_decimals: vaultConfig.asset.decimals,
+      block_number: log.blockNumber.toString(),
+      block_hash: log.blockHash,
+      block_timestamp: log.blockTime,
+      ...(yieldo.intentHash ? { intent_hash: yieldo.intentHash } : {}),
+      ...(yieldo.marker ? { marker_consumed: true } : {}),
+    },
+    {
+      request_id: null,
+      epoch_id: null,
+      requested_amount: null,
+      settled_at: null,
+      executed_at: log.blockTime,
+      created_at: new Date(),
+    },
+    session
+  );
+
+  console.log(`[${vaultConfig.id}] Yieldo Deposit indexed (${yieldo.reason}): user ${yieldo.user}, assets: ${assets.toString()}, shares: ${shares.toString()}, tx: ${log.transactionHash}`);
+}
 
-    const routerLower = vaultConfig.depositRouter ? String(vaultConfig.depositRouter).toLowerCase() : null;
-
-    for (const log of depositRequestedLogs) {
-      const { controller, owner, requestId, sender, assets } = log.args;
-      const senderLower = String(sender).toLowerCase();
-      const ownerLower = String(owner).toLowerCase();
-
-      const fromRouter = routerLower && (senderLower === routerLower || ownerLower === routerLower);
-      if (fromRouter) {
-        const existingByTx = await colDeposits.findOne({
-          transaction_hash: log.transactionHash,
-          chain: vaultConfig.chain,
-        });
-        await colDeposits.updateOne(
-          {
-            transaction_hash: log.transactionHash,
-            chain: vaultConfig.chain,
-            vault_id: vaultConfig.id,
-          },
-          {
-            $set: {
-              user_address: controller,
-              vault_address: vaultConfig.address,
-              epoch_id: Number(requestId),
-              status: 'requested',
-              amount: assets.toString(),
-              requested_amount: assets.toString(),
-              source: 'yieldo',
-              vault_id: vaultConfig.id,
-              vault_name: vaultConfig.name,
-              chain: vaultConfig.chain,
-              asset_address: vaultConfig.asset.address,
-              asset_symbol: vaultConfig.asset.symbol,
-              asset_decimals: vaultConfig.asset.decimals,
-              block_number: log.blockNumber.toString(),
-              transaction_hash: log.transactionHash,
-              created_at: existingByTx?.created_at || new Date(),
-            },
-            $setOnInsert: {
-              shares: null,
-              executed_at: null,
-              settled_at: null,
-            },
-          },
-          { upsert: true }
-        );
-        console.log(`[${vaultConfig.id}] Yieldo DepositRequest indexed (router caller): requestId ${requestId} for user ${controller}, amount: ${assets.toString()}, tx: ${log.transactionHash}`);
-        continue;
-      }
+async function handleDepositSettled(ctx, log) {
+  const { vaultConfig, colDeposits, session } = ctx;
+  const { user, epochId, shares } = log.args;
+  const settled = await settleRequests(colDeposits, 'deposit', vaultConfig, log, {
+    user,
+    requestId: epochId,
+    weightField: 'requested_amount',
+    valueField: 'shares',
+    value: shares,
+  }, session);
+  if (settled > 0) {
+    console.log(`[${vaultConfig.id}] DepositSettled requestId ${epochId} for user ${user}: ${settled} deposit(s), shares: ${shares.toString()}, tx: ${log.transactionHash}`);
+  }
+}
 
-      const existingDeposit = await colDeposits.findOne({
-        $or: [
-          { user_address: owner, vault_address: vaultConfig.address, chain: vaultConfig.chain, status: 'pending' },
-          { user_address: controller, vault_address: vaultConfig.address, chain: vaultConfig.chain, status: 'pending' },
-          { transaction_hash: log.transactionHash, chain: vaultConfig.chain },
-        ],
-      }, { sort: { created_at: -1 } });
-
-      let isYieldoDeposit = false;
-      let source = 'lagoon';
-      let userForDeposit = owner;
-
-      if (existingDeposit) {
-        if (existingDeposit.source === 'yieldo' || existingDeposit.intent_hash) {
-          isYieldoDeposit = true;
-          source = 'yieldo';
-          userForDeposit = existingDeposit.user_address;
-        }
-      } else {
-        const matchingIntent = await colIntents.findOne({
-          $or: [
-            { user_address: owner, vault_address: vaultConfig.address, chain: vaultConfig.chain, status: 'pending' },
-            { user_address: controller, vault_address: vaultConfig.address, chain: vaultConfig.chain, status: 'pending' },
-          ],
-        }, { sort: { created_at: -1 } });
-
-        if (matchingIntent) {
-          isYieldoDeposit = true;
-          source = 'yieldo';
-          userForDeposit = matchingIntent.user_address;
-        } else {
-          const markerId = `pending_yieldo_deposit_${log.transactionHash}`;
-          const pendingMarker = await colMeta.findOne({
-            $or: [
-              { _id: markerId },
-              { _id: log.transactionHash },
-              { transaction_hash: log.transactionHash },
-            ],
-          });
-
-          if (pendingMarker) {
-            console.log(`[${vaultConfig.id}] Found pending Yieldo marker for tx ${log.transactionHash}`);
-            isYieldoDeposit = true;
-            source = 'yieldo';
-            userForDeposit = owner;
-            await colMeta.deleteOne({ _id: markerId });
-            await colMeta.deleteOne({ _id: log.transactionHash });
-            await colMeta.deleteOne({ transaction_hash: log.transactionHash });
-          } else {
-            const existingYieldoDeposit = await colDeposits.findOne({
-              transaction_hash: log.transactionHash,
-              source: 'yieldo',
-            });
-            if (existingYieldoDeposit) {
-              console.log(`[${vaultConfig.id}] Found existing Yieldo deposit for tx ${log.transactionHash}`);
-              isYieldoDeposit = true;
-              source = 'yieldo';
-              userForDeposit = existingYieldoDeposit.user_address;
-            } else {
-              const delayedMarker = await colMeta.findOne({
-                $or: [
-                  { _id: `pending_yieldo_deposit_${log.transactionHash}` },
-                  { _id: log.transactionHash },
-                  { transaction_hash: log.transactionHash },
-                ],
-              });
-              if (delayedMarker) {
-                console.log(`[${vaultConfig.id}] Found delayed Yieldo marker for tx ${log.transactionHash}`);
-                isYieldoDeposit = true;
-                source = 'yieldo';
-                userForDeposit = owner;
-                await colMeta.deleteOne({ _id: `pending_yieldo_deposit_${log.transactionHash}` });
-                await colMeta.deleteOne({ _id: log.transactionHash });
-              }
-            }
-          }
-        }
-      }
+async function handleRedeemRequest(ctx, log) {
+  const { vaultConfig, colWithdrawals, colPendingYieldoWithdrawals, session } = ctx;
+  const user = log.eventName === 'RedeemRequested' ? log.args.user : log.args.owner;
+  const requestId = log.eventName === 'RedeemRequested' ? log.args.epochId : log.args.requestId;
+  const { shares } = log.args;
+
+  const pendingMarker = await colPendingYieldoWithdrawals.find(log.transactionHash, session);
+
+  const source = pendingMarker ? 'yieldo' : 'lagoon';
+
+  await colWithdrawals.adoptLegacy(logIdentity(vaultConfig, log), session);
+  await colWithdrawals.upsertByLog(
+    logIdentity(vaultConfig, log),
+    {
+      request_id: requestId.toString(),
+      block_hash: log.blockHash,
+      block_timestamp: log.blockTime,
+    },
+    {
+      user_address: normalizeAddress(user),
+      vault_address: normalizeAddress(vaultConfig.address),
+      vault_id: vaultConfig.id,
+      vault_name: vaultConfig.name,
+      asset_symbol: vaultConfig.asset.symbol,
+      asset_decimals: vaultConfig.asset.decimals,
+      shares: shares.toString(),
+      assets: null,
+      epoch_id: Number(requestId),
+      status: initialStatus('withdrawal', 'RedeemRequest'),
+      block_number: log.blockNumber.toString(),
+      source: source,
+      ...(pendingMarker ? { marker_consumed: true } : {}),
+      created_at: new Date(),
+    },
+    session
+  );
+
+  if (pendingMarker) {
+    await colPendingYieldoWithdrawals.remove(log.transactionHash, session);
+  }
+}
 
-      if (!isYieldoDeposit) {
-        console.log(`[${vaultConfig.id}] Skipping non-Yieldo DepositRequest: requestId ${requestId} for user ${owner}, tx: ${log.transactionHash}`);
-        continue;
-      }
+async function handleRedeemSettled(ctx, log) {
+  const { vaultConfig, colWithdrawals, session } = ctx;
+  const lagoon = log.args.epochId !== undefined;
+  await settleRequests(colWithdrawals, 'withdrawal', vaultConfig, log, {
+    user: lagoon ? log.args.user : log.args.owner,
+    requestId: lagoon ? log.args.epochId : log.args.requestId,
+    weightField: 'shares',
+    valueField: 'assets',
+    value: log.args.assets,
+  }, session);
+}
 
-      await colDeposits.updateOne(
-        {
-          transaction_hash: log.transactionHash,
-          chain: vaultConfig.chain,
-          vault_id: vaultConfig.id,
-        },
-        {
-          $set: {
-            user_address: userForDeposit,
-            vault_address: vaultConfig.address,
-            epoch_id: Number(requestId),
-            status: 'requested',
-            amount: assets.toString(),
-            requested_amount: assets.toString(),
-            source: source,
-            vault_id: vaultConfig.id,
-            vault_name: vaultConfig.name,
-            chain: vaultConfig.chain,
-            asset_address: vaultConfig.asset.address,
-            asset_symbol: vaultConfig.asset.symbol,
-            asset_decimals: vaultConfig.asset.decimals,
-            block_number: log.blockNumber.toString(),
-            transaction_hash: log.transactionHash,
-            created_at: existingDeposit?.created_at || new Date(),
-          },
-          $setOnInsert: {
-            shares: null,
-            executed_at: null,
-            settled_at: null,
-          },
-        },
-        { upsert: true }
-      );
+// ERC4626 Withdraw: user claimed assets after settlement -> mark withdrawal as withdrawn
+async function handleWithdraw(ctx, log) {
+  const { vaultConfig, colWithdrawals, session } = ctx;
+  const { owner, assets, shares } = log.args;
+  const assetsStr = assets.toString();
+  const sharesStr = shares.toString();
+  const ownerAddress = normalizeAddress(owner);
+  const vaultAddress = normalizeAddress(vaultConfig.address);
+  const withdrawAssets = BigInt(assetsStr);
+  const withdrawShares = BigInt(sharesStr);
+  const logIndex = Number(log.logIndex);
+
+  // Claims recorded before withdrawn_log_index existed count as this log.
+  const alreadyRecorded = await colWithdrawals.findClaim({ ...logIdentity(vaultConfig, log), vaultId: vaultConfig.id }, session);
+  if (alreadyRecorded) {
+    console.log(`[${vaultConfig.id}] Withdraw tx=${log.transactionHash} log=${logIndex} already recorded, skipping`);
+    return;
+  }
 
-      console.log(`[${vaultConfig.id}] Yieldo DepositRequest indexed: requestId ${requestId} for user ${userForDeposit}, amount: ${assets.toString()}, tx: ${log.transactionHash}`);
-    }
-    
-    for (const log of lagoonDepositRequestedLogs) {
-      const { user, epochId, amount } = log.args;
-      const existingDeposit = await colDeposits.findOne(
-        { user_address: user, vault_address: vaultConfig.address, chain: vaultConfig.chain, status: 'pending' },
-        { sort: { created_at: -1 } }
-      );
-      
-      let isYieldoDeposit = false;
-      let source = 'lagoon';
-      
-      if (existingDeposit) {
-        if (existingDeposit.source === 'yieldo' || existingDeposit.intent_hash) {
-          isYieldoDeposit = true;
-          source = 'yieldo';
-        }
-      } else {
-        const matchingIntent = await colIntents.findOne({
-          user_address: user,
-          vault_address: vaultConfig.address,
-          chain: vaultConfig.chain,
-          status: 'pending'
-        }, { sort: { created_at: -1 } });
-        
-        if (matchingIntent) {
-          isYieldoDeposit = true;
-          source = 'yieldo';
-        }
-      }
-      
-      if (!isYieldoDeposit) {
-        console.log(`[${vaultConfig.id}] Skipping non-Yieldo DepositRequested: epochId ${epochId} for user ${user}`);
-        continue;
-      }
-      
-      await colDeposits.updateOne(
-        { user_address: user, vault_address: vaultConfig.address, chain: vaultConfig.chain, status: 'pending' },
-        { 
-          $set: { 
-            epoch_id: Number(epochId), 
-            status: 'requested', 
-            requested_amount: amount.toString(),
-            source: source,
-            vault_id: vaultConfig.id,
-            vault_name: vaultConfig.name,
-            chain: vaultConfig.chain,
-            asset_symbol: vaultConfig.asset.symbol,
-            asset_decimals: vaultConfig.asset.decimals,
-          } 
-        },
-        { sort: { created_at: -1 } }
+  // One redeem() call can claim multiple requests → one Withdraw event with total assets/shares.
+  // Claim settled requests first, in the order they were settled, then unsettled ones in request
+  // order, until their combined shares (or assets) cover the Withdraw event total.
+  const candidates = await colWithdrawals.find({
+    chain: vaultConfig.chain,
+    vaultId: vaultConfig.id,
+    user: ownerAddress,
+    statuses: sourceStatuses('withdrawal', 'Withdraw'),
+  }, {}, session);
+  candidates.sort((a, b) => {
+    if (a.status !== b.status) return a.status === 'settled' ? -1 : 1;
+    if (a.status === 'settled' && a.settled_block_number && b.settled_block_number) {
+      const bySettle = compareLogPosition(
+        { block_number: a.settled_block_number, log_index: a.settled_log_index },
+        { block_number: b.settled_block_number, log_index: b.settled_log_index }
       );
-      
-      console.log(`[${vaultConfig.id}] Yieldo DepositRequested indexed: epochId ${epochId} for user ${user}, amount: ${amount.toString()}`);
+      if (bySettle !== 0) return bySettle;
     }
+    return compareLogPosition(a, b);
+  });
+
+  let sumShares = 0n;
+  let sumAssets = 0n;
+  const toMark = [];
+  for (const w of candidates) {
+    const wShares = BigInt(w.shares || '0');
+    const wAssets = BigInt(w.assets || '0');
+    sumShares += wShares;
+    sumAssets += wAssets;
+    toMark.push(w);
+    // Stop once we've covered the Withdraw amount (allow >= for rounding)
+    if (sumShares >= withdrawShares || sumAssets >= withdrawAssets) break;
+  }
 
-    const depositLogs = await safeGetLogs(vaultConfig, client, {
-      address: vaultConfig.address,
-      event: parseAbiItem('event Deposit(address indexed sender, address indexed owner, uint256 assets, uint256 shares)'),
-      fromBlock,
-      toBlock,
-    });
+  if (toMark.length > 0) {
+    const ids = toMark.map((w) => w._id);
+    await transition(colWithdrawals, 'withdrawal', 'Withdraw', { ids }, {
+      withdrawn_at: log.blockTime,
+      withdrawn_tx: log.transactionHash,
+      withdrawn_log_index: logIndex,
+      withdrawn_block_number: log.blockNumber.toString(),
+      withdrawn_block_hash: log.blockHash,
+    }, session);
+    console.log(`[${vaultConfig.id}] Withdraw tx=${log.transactionHash} -> marked ${toMark.length} withdrawal(s) as withdrawn (shares sum=${sumShares}, assets sum=${sumAssets})`);
+    return;
+  }
 
-    for (const log of depositLogs) {
-      const { sender, owner, assets, shares } = log.args;
-      const senderLower = String(sender).toLowerCase();
-      const ownerLower = String(owner).toLowerCase();
-
-      const fromRouter = routerLower && senderLower === routerLower;
-      const existingDeposit = await colDeposits.findOne({
-        $or: [
-          { transaction_hash: log.transactionHash, chain: vaultConfig.chain },
-          { user_address: owner, vault_address: vaultConfig.address, chain: vaultConfig.chain, status: 'pending' },
-        ],
-      }, { sort: { created_at: -1 } });
-
-      let isYieldoDeposit = false;
-      let source = 'lagoon';
-      let userForDeposit = owner;
-      let matchedIntentHash = null;
-
-      if (existingDeposit) {
-        if (existingDeposit.source === 'yieldo' || existingDeposit.intent_hash) {
-          isYieldoDeposit = true;
-          source = 'yieldo';
-          userForDeposit = existingDeposit.user_address;
-          matchedIntentHash = existingDeposit.intent_hash;
-        }
-      } else if (fromRouter) {
-        isYieldoDeposit = true;
-        source = 'yieldo';
-        userForDeposit = owner;
-      } else {
-        const matchingIntent = await colIntents.findOne({
-          $or: [
-            { user_address: owner, vault_address: vaultConfig.address, chain: vaultConfig.chain, status: 'pending' },
-            { user_address: sender, vault_address: vaultConfig.address, chain: vaultConfig.chain, status: 'pending' },
-          ],
-        }, { sort: { created_at: -1 } });
-
-        if (matchingIntent) {
-          isYieldoDeposit = true;
-          source = 'yieldo';
-          userForDeposit = matchingIntent.user_address;
-          matchedIntentHash = matchingIntent.intent_hash;
-        } else {
-          const markerId = `pending_yieldo_deposit_${log.transactionHash}`;
-          const pendingMarker = await colMeta.findOne({
-            $or: [
-              { _id: markerId },
-              { _id: log.transactionHash },
-              { transaction_hash: log.transactionHash },
-            ],
-          });
-          if (pendingMarker) {
-            isYieldoDeposit = true;
-            source = 'yieldo';
-            userForDeposit = owner;
-            await colMeta.deleteOne({ _id: markerId }).catch(() => {});
-            await colMeta.deleteOne({ _id: log.transactionHash }).catch(() => {});
-            await colMeta.deleteOne({ transaction_hash: log.transactionHash }).catch(() => {});
-          }
-        }
-      }
+  // No matching withdrawals (e.g. RedeemRequest was before indexer start) -> record the claim itself
+  const anyForOwner = await colWithdrawals.count({
+    chain: vaultConfig.chain,
+    vaultId: vaultConfig.id,
+    user: ownerAddress,
+  }, session);
+  console.log(`[${vaultConfig.id}] Withdraw tx=${log.transactionHash} owner=${owner} assets=${assetsStr} shares=${sharesStr} - no matching withdrawal (total for owner/vault: ${anyForOwner}). Inserting withdrawn record.`);
+  await colWithdrawals.upsertByLog(
+    logIdentity(vaultConfig, log),
+    {},
+    {
+      user_address: ownerAddress,
+      vault_address: vaultAddress,
+      vault_id: vaultConfig.id,
+      vault_name: vaultConfig.name,
+      asset_symbol: vaultConfig.asset.symbol,
+      asset_decimals: vaultConfig.asset.decimals,
+      shares: sharesStr,
+      assets: assetsStr,
+      request_id: null,
+      epoch_id: null,
+      status: initialStatus('withdrawal', 'Withdraw'),
+      source: 'lagoon',
+      created_at: new Date(),
+      settled_at: null,
+      withdrawn_at: log.blockTime,
+      withdrawn_tx: log.transactionHash,
+      withdrawn_log_index: logIndex,
+      withdrawn_block_number: log.blockNumber.toString(),
+      withdrawn_block_hash: log.blockHash,
+      block_number: log.blockNumber.toString(),
+      block_hash: log.blockHash,
+      block_timestamp: log.blockTime,
+    },
+    session
+  );
+}
 
-      if (!isYieldoDeposit) {
-        continue;
-      }
+const HANDLERS = {
+  router: {
+    DepositIntentCreated: handleDepositIntentCreated,
+    DepositExecuted: handleDepositExecuted,
+    DepositRequestSubmitted: handleDepositRequestSubmitted,
+  },
+  vault: {
+    DepositRequest: handleDepositRequest,
+    DepositRequested: handleDepositRequest,
+    Deposit: handleDeposit,
+    DepositSettled: handleDepositSettled,
+    RedeemRequest: handleRedeemRequest,
+    RedeemRequested: handleRedeemRequest,
+    RedeemSettled: handleRedeemSettled,
+    Withdraw: handleWithdraw,
+  },
+};
+
+// Block timestamps of `logs`, one getBlock per distinct block (none when the node already
+// returns `blockTimestamp` on logs).
+async function getBlockTimes(client, logs) {
+  const times = new Map();
+  for (const log of logs) {
+    if (times.has(log.blockNumber)) continue;
+    const timestamp = log.blockTimestamp ?? (await client.getBlock({ blockNumber: log.blockNumber })).timestamp;
+    times.set(log.blockNumber, new Date(Number(timestamp) * 1000));
+  }
+  return times;
+}
 
-      await colDeposits.updateOne(
-        {
-          transaction_hash: log.transactionHash,
-          chain: vaultConfig.chain,
-          vault_id: vaultConfig.id,
-        },
-        {
-          $set: {
-            user_address: userForDeposit,
-            vault_address: vaultConfig.address,
-            amount: assets.toString(),
-            shares: shares.toString(),
-            status: 'executed',
-            source: source,
-            vault_id: vaultConfig.id,
-            vault_name: vaultConfig.name,
-            chain: vaultConfig.chain,
-            asset_address: vaultConfig.asset.address,
-            asset_symbol: vaultConfig.asset.symbol,
-            asset_decimals: vaultConfig.asset.decimals,
-            block_number: log.blockNumber.toString(),
-            transaction_hash: log.transactionHash,
-            executed_at: existingDeposit?.executed_at || new Date(),
-            created_at: existingDeposit?.created_at || new Date(),
-          },
-          $setOnInsert: {
-            epoch_id: null,
-            requested_amount: null,
-            settled_at: null,
-            intent_hash: matchedIntentHash ?? existingDeposit?.intent_hash,
-          },
-        },
-        { upsert: true }
-      );
+function contractAddresses(vaultConfig) {
+  const addresses = { vault: vaultConfig.address };
+  if (vaultConfig.depositRouter) addresses.router = vaultConfig.depositRouter;
+  return addresses;
+}
 
-      if (fromRouter && !existingDeposit) {
-        console.log(`[${vaultConfig.id}] Yieldo Deposit indexed (router caller): user ${userForDeposit}, assets: ${assets.toString()}, shares: ${shares.toString()}, tx: ${log.transactionHash}`);
-      } else if (existingDeposit) {
-        console.log(`[${vaultConfig.id}] Deposit shares updated: ${shares.toString()}, tx: ${log.transactionHash}`);
-      } else {
-        console.log(`[${vaultConfig.id}] Yieldo Deposit indexed (intent match): user ${userForDeposit}, assets: ${assets.toString()}, shares: ${shares.toString()}, tx: ${log.transactionHash}`);
-      }
-    }
+/**
+ * Indexes the router and vault events of one vault over [fromBlock, toBlock] with a single
+ * eth_getLogs call, applying them in (blockNumber, logIndex) order. `contracts` limits the
+ * contracts indexed (default: all of the vault's); logs of a contract at or below
+ * `after[contract]` are skipped, so contracts whose cursors differ can share one call.
+ * Returns the number of logs applied per event.
+ *
+ * The logs are fetched first; their writes then run in one transaction, together with
+ * `onCommit(session)` (the caller's cursor update), and are safe to replay.
+ *
+ * `collections` holds the colDeposits, colWithdrawals, colPendingYieldoWithdrawals, colIntents
+ * and colMeta repositories.
+ */
+export async function indexVaultRange(vaultConfig, client, collections, fromBlock, toBlock, { contracts, after = {}, onCommit } = {}) {
+  const addresses = contractAddresses(vaultConfig);
+  const selected = (contracts || Object.keys(addresses)).filter(c => addresses[c]);
+  if (selected.length === 0) {
+    if (onCommit) await inTransaction(onCommit);
+    return {};
+  }
+  if (fromBlock > toBlock) {
+    console.warn(`[${vaultConfig.id}] Invalid block range: fromBlock ${fromBlock} > toBlock ${toBlock}`);
+    return {};
+  }
 
-    const depositSettledLogs = await safeGetLogs(vaultConfig, client, {
-      address: vaultConfig.address,
-      event: parseAbiItem('event DepositSettled(address indexed user, uint256 indexed epochId, uint256 shares)'),
+  try {
+    const logs = await safeGetLogs(vaultConfig, client, {
+      address: selected.map(c => addresses[c]),
+      events: [...(selected.includes('router') ? ROUTER_EVENTS : []), ...(selected.includes('vault') ? VAULT_EVENTS : [])],
       fromBlock,
       toBlock,
     });
 
-    for (const log of depositSettledLogs) {
-      const { user, epochId, shares } = log.args;
-      const epochIdNum = Number(epochId);
-      const sharesStr = shares.toString();
-
-      let updated = await colDeposits.updateOne(
-        { user_address: user, vault_address: vaultConfig.address, chain: vaultConfig.chain, epoch_id: epochIdNum },
-        { 
-          $set: { 
-            shares: sharesStr, 
-            status: 'settled',
-            settled_at: new Date(),
-            vault_id: vaultConfig.id,
-            vault_name: vaultConfig.name,
-            chain: vaultConfig.chain,
-          } 
-        }
-      );
-
-      if (updated.matchedCount === 0) {
-        const byEpoch = await colDeposits.findOne(
-          { vault_address: vaultConfig.address, chain: vaultConfig.chain, epoch_id: epochIdNum, status: 'requested' }
-        );
-        if (byEpoch) {
-          await colDeposits.updateOne(
-            { _id: byEpoch._id },
-            { $set: { shares: sharesStr, status: 'settled', settled_at: new Date(), vault_id: vaultConfig.id, vault_name: vaultConfig.name, chain: vaultConfig.chain } }
-          );
-          console.log(`[${vaultConfig.id}] DepositSettled matched by epoch_id ${epochIdNum}, tx: ${log.transactionHash}`);
-        }
-      }
-    }
-
-    let redeemRequestedLogs = [];
-    try {
-      redeemRequestedLogs = await safeGetLogs(vaultConfig, client, {
-        address: vaultConfig.address,
-        event: parseAbiItem('event RedeemRequest(address indexed controller, address indexed owner, uint256 indexed requestId, address sender, uint256 shares)'),
-        fromBlock,
-        toBlock,
-      });
-    } catch (e) {
-      console.log(`[${vaultConfig.id}] Error querying ERC-7540 RedeemRequest: ${e.message}`);
-    }
-    
-    let lagoonRedeemRequestedLogs = [];
-    try {
-        lagoonRedeemRequestedLogs = await safeGetLogs(vaultConfig, client, {
-          address: vaultConfig.address,
-          event: parseAbiItem('event RedeemRequested(address indexed user, uint256 indexed epochId, uint256 shares)'),
-          fromBlock,
-          toBlock,
-        });
-    } catch (e) {
-      console.log(`[${vaultConfig.id}] Error querying Lagoon RedeemRequested: ${e.message}`);
-    }
-
-    for (const log of redeemRequestedLogs) {
-      const { controller, owner, requestId, sender, shares } = log.args;
-      
-      const pendingMarker = await colPendingYieldoWithdrawals.findOne({
-        transaction_hash: log.transactionHash,
-        chain: vaultConfig.chain
-      });
-      
-      const source = pendingMarker ? 'yieldo' : 'lagoon';
-      
-      await colWithdrawals.updateOne(
-        { transaction_hash: log.transactionHash, chain: vaultConfig.chain },
-        {
-          $setOnInsert: {
-            user_address: owner,
-            vault_address: vaultConfig.address,
-            vault_id: vaultConfig.id,
-            vault_name: vaultConfig.name,
-            chain: vaultConfig.chain,
-            asset_symbol: vaultConfig.asset.symbol,
-            asset_decimals: vaultConfig.asset.decimals,
-            shares: shares.toString(),
-            assets: null,
-            epoch_id: Number(requestId),
-            status: 'pending',
-            block_number: log.blockNumber.toString(),
-            transaction_hash: log.transactionHash,
-            source: source,
-            created_at: new Date(),
-          },
-        },
-        { upsert: true }
-      );
-      
-      if (pendingMarker) {
-        await colPendingYieldoWithdrawals.deleteOne({ transaction_hash: log.transactionHash, chain: vaultConfig.chain });
-      }
+    const contractOf = Object.fromEntries(selected.map(c => [addresses[c].toLowerCase(), c]));
+    const vaultLower = vaultConfig.address.toLowerCase();
+    const ordered = logs
+      .filter(log => log.eventName && log.args)
+      .map(log => ({ log, contract: contractOf[log.address.toLowerCase()] }))
+      .filter(({ log, contract }) =>
+        contract &&
+        HANDLERS[contract][log.eventName] &&
+        (after[contract] === undefined || log.blockNumber > after[contract]) &&
+        // The router serves every vault; only this vault's intents belong here.
+        (contract !== 'router' || String(log.args.vault).toLowerCase() === vaultLower)
+      )
+      .sort((a, b) => (a.log.blockNumber === b.log.blockNumber
+        ? a.log.logIndex - b.log.logIndex
+        : (a.log.blockNumber < b.log.blockNumber ? -1 : 1)));
+
+    const blockTimes = await getBlockTimes(client, ordered.map(({ log }) => log));
+    for (const { log } of ordered) {
+      log.blockTime = blockTimes.get(log.blockNumber);
     }
 
-    for (const log of lagoonRedeemRequestedLogs) {
-      const { user, epochId, shares } = log.args;
-
-      const pendingMarker = await colPendingYieldoWithdrawals.findOne({
-        transaction_hash: log.transactionHash,
-        chain: vaultConfig.chain
-      });
-      
-      const source = pendingMarker ? 'yieldo' : 'lagoon';
-
-      await colWithdrawals.updateOne(
-        { transaction_hash: log.transactionHash, chain: vaultConfig.chain },
-        {
-          $setOnInsert: {
-            user_address: user,
-            vault_address: vaultConfig.address,
-            vault_id: vaultConfig.id,
-            vault_name: vaultConfig.name,
-            chain: vaultConfig.chain,
-            asset_symbol: vaultConfig.asset.symbol,
-            asset_decimals: vaultConfig.asset.decimals,
-            shares: shares.toString(),
-            assets: null,
-            epoch_id: Number(epochId),
-            status: 'pending',
-            block_number: log.blockNumber.toString(),
-            transaction_hash: log.transactionHash,
-            source: source,
-            created_at: new Date(),
-          },
-        },
-        { upsert: true }
-      );
-      
-      if (pendingMarker) {
-        await colPendingYieldoWithdrawals.deleteOne({ transaction_hash: log.transactionHash, chain: vaultConfig.chain });
-      }
-    }
-
-    let redeemSettledLogs = [];
-    try {
-      redeemSettledLogs = await safeGetLogs(vaultConfig, client, {
-        address: vaultConfig.address,
-        event: parseAbiItem('event RedeemSettled(address indexed controller, address indexed owner, uint256 indexed requestId, address receiver, uint256 assets)'),
-        fromBlock,
-        toBlock,
-      });
-    } catch (e) {
-      console.log(`[${vaultConfig.id}] ERC-7540 RedeemSettled event not found`);
-    }
-    
-    let lagoonRedeemSettledLogs = [];
-    if (redeemSettledLogs.length === 0) {
-      try {
-        lagoonRedeemSettledLogs = await safeGetLogs(vaultConfig, client, {
-          address: vaultConfig.address,
-          event: parseAbiItem('event RedeemSettled(address indexed user, uint256 indexed epochId, uint256 assets)'),
-          fromBlock,
-          toBlock,
-        });
-      } catch (e) {
-        console.log(`[${vaultConfig.id}] Lagoon RedeemSettled event not found`);
-      }
-    }
-
-    for (const log of redeemSettledLogs) {
-      const { controller, owner, requestId, receiver, assets } = log.args;
-      await colWithdrawals.updateOne(
-        { user_address: owner, vault_address: vaultConfig.address, chain: vaultConfig.chain, epoch_id: Number(requestId) },
-        { $set: { assets: assets.toString(), status: 'settled', settled_at: new Date() } }
-      );
-    }
-
-    for (const log of lagoonRedeemSettledLogs) {
-      const { user, epochId, assets } = log.args;
-      await colWithdrawals.updateOne(
-        { user_address: user, vault_address: vaultConfig.address, chain: vaultConfig.chain, epoch_id: Number(epochId) },
-        { $set: { assets: assets.toString(), status: 'settled', settled_at: new Date() } }
-      );
-    }
-
-    // ERC4626 Withdraw: user claimed assets after settlement -> mark withdrawal as withdrawn
-    const vaultAddrLower = vaultConfig.address.toLowerCase();
-    const WITHDRAW_TOPIC0 = '0xfbde797d201c681b91056529119e0b02407c7bb96a4a2c75c01fc9667232c8db'; // keccak256("Withdraw(address,address,address,uint256,uint256)")
-    let withdrawLogs = [];
-    try {
-      withdrawLogs = await safeGetLogs(vaultConfig, client, {
-        address: vaultConfig.address,
-        event: parseAbiItem('event Withdraw(address indexed sender, address indexed receiver, address indexed owner, uint256 assets, uint256 shares)'),
-        fromBlock,
-        toBlock,
-      });
-    } catch (e) {
-      console.log(`[${vaultConfig.id}] Withdraw getLogs error (parsed event):`, e.message);
-    }
-    // Fallback: fetch by topic0 only (in case ABI parsing differs) and decode manually
-    if (withdrawLogs.length === 0) {
-      try {
-        const rawLogs = await safeGetLogs(vaultConfig, client, {
-          address: vaultConfig.address,
-          topics: [WITHDRAW_TOPIC0],
-          fromBlock,
-          toBlock,
-        });
-        for (const raw of rawLogs) {
-          if (raw.topics && raw.topics.length >= 4 && raw.data) {
-            const owner = '0x' + String(raw.topics[3]).slice(-40).toLowerCase();
-            const hex = typeof raw.data === 'string' ? raw.data.replace(/^0x/, '') : Buffer.from(raw.data || []).toString('hex');
-            const assets = hex.length >= 64 ? BigInt('0x' + hex.slice(0, 64)) : 0n;
-            const shares = hex.length >= 128 ? BigInt('0x' + hex.slice(64, 128)) : 0n;
-            withdrawLogs.push({
-              transactionHash: raw.transactionHash,
-              blockNumber: raw.blockNumber,
-              args: { owner, assets, shares },
-            });
-          }
-        }
-        if (withdrawLogs.length > 0) {
-          console.log(`[${vaultConfig.id}] Withdraw: got ${withdrawLogs.length} via topic0 fallback in blocks ${fromBlock}-${toBlock}`);
-        }
-      } catch (e2) {
-        console.log(`[${vaultConfig.id}] Withdraw topic0 fallback error:`, e2.message);
-      }
-    }
-    if (withdrawLogs.length > 0) {
-      console.log(`[${vaultConfig.id}] Found ${withdrawLogs.length} Withdraw event(s) in blocks ${fromBlock}-${toBlock}`);
-    }
-    for (const log of withdrawLogs) {
-      const { owner, assets, shares } = log.args;
-      const assetsStr = assets.toString();
-      const sharesStr = shares.toString();
-      const ownerLower = owner.toLowerCase();
-      const withdrawAssets = BigInt(assetsStr);
-      const withdrawShares = BigInt(sharesStr);
-
-      const baseFilter = {
-        chain: vaultConfig.chain,
-        vault_address: { $in: [vaultConfig.address, vaultAddrLower] },
-        user_address: { $in: [owner, ownerLower] },
-        status: { $in: ['settled', 'pending'] },
+    const counts = await inTransaction(async (session) => {
+      const ctx = {
+        vaultConfig,
+        ...collections,
+        session,
+        routerLower: vaultConfig.depositRouter ? String(vaultConfig.depositRouter).toLowerCase() : null,
+        usedMarkers: new Set(),
       };
-
-      // One redeem() call can claim multiple settled requests → one Withdraw event with total assets/shares.
-      // Find ALL settled (then pending) withdrawals for this owner/vault, sort by settled_at then created_at,
-      // and mark as withdrawn the set whose combined shares (or assets) sum to the Withdraw event total.
-      const candidates = await colWithdrawals
-        .find(baseFilter)
-        .sort({ settled_at: 1, created_at: 1 })
-        .toArray();
-
-      let sumShares = 0n;
-      let sumAssets = 0n;
-      const toMark = [];
-      for (const w of candidates) {
-        const wShares = BigInt(w.shares || '0');
-        const wAssets = BigInt(w.assets || '0');
-        sumShares += wShares;
-        sumAssets += wAssets;
-        toMark.push(w);
-        // Stop once we've covered the Withdraw amount (allow >= for rounding)
-        if (sumShares >= withdrawShares || sumAssets >= withdrawAssets) break;
+      const applied = {};
+      for (const { log, contract } of ordered) {
+        await HANDLERS[contract][log.eventName](ctx, log);
+        const key = COUNT_KEYS[log.eventName] || log.eventName;
+        applied[key] = (applied[key] || 0) + 1;
       }
+      await clearDepositMarkers(collections.colMeta, ctx.usedMarkers, session);
+      if (onCommit) await onCommit(session);
+      return applied;
+    });
 
-      const alreadyRecorded = toMark.length > 0 && toMark.every((w) => w.withdrawn_tx === log.transactionHash);
-      if (toMark.length > 0 && !alreadyRecorded) {
-        const ids = toMark.map((w) => w._id);
-        await colWithdrawals.updateMany(
-          { _id: { $in: ids } },
-          {
-            $set: {
-              status: 'withdrawn',
-              withdrawn_at: new Date(),
-              withdrawn_tx: log.transactionHash,
-            },
-          }
-        );
-        console.log(`[${vaultConfig.id}] Withdraw tx=${log.transactionHash} -> marked ${toMark.length} withdrawal(s) as withdrawn (shares sum=${sumShares}, assets sum=${sumAssets})`);
-      } else if (toMark.length === 0) {
-        // No matching withdrawals (e.g. RedeemRequest was before indexer start) -> insert one record
-        const alreadyInserted = await colWithdrawals.findOne({
-          chain: vaultConfig.chain,
-          $or: [{ transaction_hash: log.transactionHash }, { withdrawn_tx: log.transactionHash }],
-        });
-        if (alreadyInserted) {
-          console.log(`[${vaultConfig.id}] Withdraw tx=${log.transactionHash} already recorded, skipping insert`);
-        } else {
-          const anyForOwner = await colWithdrawals.countDocuments({
-            chain: vaultConfig.chain,
-            vault_address: { $in: [vaultConfig.address, vaultAddrLower] },
-            user_address: { $in: [owner, ownerLower] },
-          });
-          console.log(`[${vaultConfig.id}] Withdraw tx=${log.transactionHash} owner=${owner} assets=${assetsStr} shares=${sharesStr} - no matching withdrawal (total for owner/vault: ${anyForOwner}). Inserting withdrawn record.`);
-          await colWithdrawals.insertOne({
-            user_address: owner,
-            vault_address: vaultConfig.address,
-            vault_id: vaultConfig.id,
-            vault_name: vaultConfig.name,
-            chain: vaultConfig.chain,
-            asset_symbol: vaultConfig.asset.symbol,
-            asset_decimals: vaultConfig.asset.decimals,
-            shares: sharesStr,
-            assets: assetsStr,
-            epoch_id: null,
-            status: 'withdrawn',
-            source: 'lagoon',
-            created_at: new Date(Number(log.blockNumber) * 1000),
-            settled_at: null,
-            withdrawn_at: new Date(),
-            withdrawn_tx: log.transactionHash,
-            block_number: log.blockNumber.toString(),
-            transaction_hash: log.transactionHash,
-          });
-        }
-      }
+    if (ordered.length > 0) {
+      console.log(`[${vaultConfig.id}] Applied ${ordered.length} event(s) in blocks ${fromBlock}-${toBlock}`);
     }
-
+    return counts;
   } catch (error) {
     if (error.message && (error.message.includes('after last accepted block') || error.message.includes('requested from block'))) {
       const finalityError = new Error(`[${vaultConfig.id}] Block range ${fromBlock}-${toBlock} not yet finalized`);
       finalityError.name = 'BlockNotFinalizedError';
       throw finalityError;
     }
-    console.error(`[${vaultConfig.id}] Error indexing vault events:`, error);
+    console.error(`[${vaultConfig.id}] Error indexing events:`, error);
     throw error;
   }
 }
-
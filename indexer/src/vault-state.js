@@ -0,0 +1,35 @@
+import { erc20Abi } from 'viem';
+import { Vault } from '@lagoon-protocol/v0-viem';
+import { VaultUtils } from '@lagoon-protocol/v0-core';
+
+// Whole-vault state at a block, as recorded by the snapshots (as opposed to the Yieldo share of
+// it, see aum.js). Amounts are bigints in base units; `sharePrice` is the assets of one share.
+
+/**
+ * Fetches the vault at `blockNumber` (the latest block when omitted). The pending queues are
+ * the assets waiting to be deposited and the shares waiting to be redeemed, held by the vault's
+ * pending silo until the next settlement; they are 0 on synchronous vaults and null when the
+ * silo is unknown.
+ */
+export async function readVaultState(client, vaultConfig, blockNumber) {
+  const at = blockNumber !== undefined ? { blockNumber } : {};
+  const vault = await Vault.fetch(vaultConfig.address, client, at);
+
+  let pendingDeposits = vaultConfig.hasSettlement ? null : 0n;
+  let pendingRedeems = vaultConfig.hasSettlement ? null : 0n;
+  if (vaultConfig.hasSettlement && vault.pendingSilo) {
+    [pendingDeposits, pendingRedeems] = await Promise.all([
+      client.readContract({ address: vaultConfig.asset.address, abi: erc20Abi, functionName: 'balanceOf', args: [vault.pendingSilo], ...at }),
+      client.readContract({ address: vaultConfig.address, abi: erc20Abi, functionName: 'balanceOf', args: [vault.pendingSilo], ...at }),
+    ]);
+  }
+
+  return {
+    vault,
+    totalAssets: vault.totalAssets ?? null,
+    totalSupply: vault.totalSupply ?? 0n,
+    sharePrice: vault.totalSupply > 0n ? vault.convertToAssets(VaultUtils.ONE_SHARE) : null,
+    pendingDeposits,
+    pendingRedeems,
+  };
+}
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeOnchainAUM, getYieldoNetShares } from '../src/aum.js';
+
+const vaultConfig = { id: 'test-vault', chain: 'ethereum', address: '0x1111111111111111111111111111111111111111' };
+const repo = docs => ({ find: async ({ statuses }) => docs.filter(d => statuses.includes(d.status)) });
+const vault = { totalSupply: 1000n, convertToAssets: shares => shares * 2n };
+
+test('each user counts at most the shares acquired through Yieldo', async () => {
+  const deposits = repo([
+    { user_address: '0xa', status: 'settled', shares: '100' },
+    { user_address: '0xb', status: 'executed', shares: '50' },
+    { user_address: '0xb', status: 'requested', shares: null },
+  ]);
+  const withdrawals = repo([{ user_address: '0xb', status: 'pending', shares: '50' }]);
+  const netShares = await getYieldoNetShares(deposits, withdrawals, vaultConfig);
+  assert.deepEqual([...netShares], [['0xa', 100n]]);
+
+  // 0xa also holds 400 shares deposited directly on Lagoon.
+  const client = { readContract: async () => 500n };
+  const aum = await computeOnchainAUM(client, vaultConfig, vault, netShares);
+
+  assert.deepEqual(aum, { shares: 100n, heldShares: 500n, assets: 200n, users: 1 });
+});
@@ -0,0 +1,154 @@
+// In-memory stand-ins for the yieldo-storage repositories the event handlers use
+// (vault-indexer.js), with the same method semantics as the real backends.
+
+let nextId = 1;
+
+const matches = (doc, fields) => Object.entries(fields).every(([key, value]) => value === undefined || doc[key] === value);
+
+function createEventRepository() {
+  const docs = [];
+  const byLog = ({ chain, transactionHash, logIndex }) => ({ chain, transaction_hash: transactionHash, log_index: logIndex });
+
+  function query(filter = {}) {
+    return docs.filter(doc =>
+      matches(doc, { chain: filter.chain, vault_id: filter.vaultId, user_address: filter.user }) &&
+      (!filter.statuses || filter.statuses.includes(doc.status))
+    );
+  }
+
+  function setFields(selected, fields) {
+    for (const doc of selected) Object.assign(doc, fields);
+    return selected.length;
+  }
+
+  return {
+    docs,
+
+    async adoptLegacy({ chain, transactionHash, logIndex }) {
+      const legacy = docs.find(d => matches(d, { chain, transaction_hash: transactionHash }) && d.log_index === undefined);
+      if (legacy) legacy.log_index = logIndex;
+    },
+
+    async upsertByLog(log, set = {}, setOnInsert = {}) {
+      const existing = docs.find(d => matches(d, byLog(log)));
+      if (existing) {
+        Object.assign(existing, set);
+        return;
+      }
+      docs.push({ _id: nextId++, ...byLog(log), ...setOnInsert, ...set });
+    },
+
+    async findByLog(log) {
+      return docs.find(d => matches(d, byLog(log))) ?? null;
+    },
+
+    async findOpenRequests({ chain, vaultId, user, requestId, statuses }) {
+      return query({ chain, vaultId, user, statuses }).filter(d => d.request_id === requestId.toString());
+    },
+
+    async find(filter) {
+      return query(filter);
+    },
+
+    async count(filter) {
+      return query(filter).length;
+    },
+
+    async findClaim({ chain, vaultId, transactionHash, logIndex }) {
+      return docs.find(d => matches(d, { chain, vault_id: vaultId }) && (
+        (d.withdrawn_tx === transactionHash && [logIndex, null, undefined].includes(d.withdrawn_log_index)) ||
+        matches(d, { transaction_hash: transactionHash, log_index: logIndex })
+      )) ?? null;
+    },
+
+    async linkIntent({ chain, vaultId, transactionHash, requestId }, { intentHash, userAddress }) {
+      const selected = docs.filter(d => matches(d, { chain, vault_id: vaultId, transaction_hash: transactionHash, request_id: requestId }));
+      setFields(selected, { intent_hash: intentHash, user_address: userAddress, source: 'yieldo' });
+    },
+
+    async findExecutedInTransaction({ chain, vaultId, transactionHash }) {
+      return docs.find(d => matches(d, { chain, vault_id: vaultId, executed_tx: transactionHash })) ?? null;
+    },
+
+    async insertIfAbsent({ chain, vaultId, intentHash }, doc) {
+      if (!docs.some(d => matches(d, { chain, vault_id: vaultId, intent_hash: intentHash }))) {
+        docs.push({ _id: nextId++, ...doc });
+      }
+    },
+
+    async removeAfterBlock({ chain, vaultId }, blockNumber) {
+      const removed = docs.filter(d => matches(d, { chain, vault_id: vaultId }) && BigInt(d.block_number) > blockNumber);
+      for (const doc of removed) docs.splice(docs.indexOf(doc), 1);
+      return removed;
+    },
+
+    // Deposits and withdrawals are selected by `{ ids }`, intents by their hash.
+    async setStatus(selector, from, fields) {
+      const selected = docs.filter(d => from.includes(d.status) && (selector.ids
+        ? selector.ids.includes(d._id)
+        : matches(d, { chain: selector.chain, vault_id: selector.vaultId, intent_hash: selector.intentHash })));
+      return setFields(selected, fields);
+    },
+  };
+}
+
+function createMetaRepository() {
+  const markers = new Map();
+  return {
+    markers,
+
+    async putDepositMarker(txHash, userAddress) {
+      markers.set(txHash, { transaction_hash: txHash, user_address: userAddress });
+    },
+
+    async findDepositMarker(txHash) {
+      return markers.get(txHash) ?? null;
+    },
+
+    async clearDepositMarkers(txHash) {
+      markers.delete(txHash);
+    },
+  };
+}
+
+function createPendingWithdrawalRepository() {
+  const markers = new Map();
+  return {
+    markers,
+
+    async put(txHash, userAddress) {
+      if (!markers.has(txHash)) markers.set(txHash, { transaction_hash: txHash, user_address: userAddress });
+    },
+
+    async find(txHash) {
+      return markers.get(txHash) ?? null;
+    },
+
+    async remove(txHash) {
+      markers.delete(txHash);
+    },
+  };
+}
+
+// The `collections` argument of indexVaultRange.
+export function createFakeCollections() {
+  return {
+    colDeposits: createEventRepository(),
+    colWithdrawals: createEventRepository(),
+    colIntents: createEventRepository(),
+    colMeta: createMetaRepository(),
+    colPendingYieldoWithdrawals: createPendingWithdrawalRepository(),
+  };
+}
+
+// A client whose eth_getLogs returns `logs` (decoded, in the given order) within the range.
+export function createFakeClient(logs) {
+  return {
+    async getLogs({ fromBlock, toBlock }) {
+      return logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+    },
+    async getBlock({ blockNumber }) {
+      return { timestamp: 1_700_000_000n + blockNumber * 12n };
+    },
+  };
+}
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computePosition } from '../src/positions.js';
+
+const at = day => new Date(`2026-01-0${day}T00:00:00Z`);
+const deposit = (amount, shares, day) => ({ status: 'settled', amount: String(amount), shares: String(shares), settled_at: at(day) });
+const withdrawal = (assets, shares, day) => ({ status: 'withdrawn', assets: String(assets), shares: String(shares), settled_at: at(day) });
+const onchain = (shares, pricePerShare) => ({ shares, oneShare: 1n, convertToAssets: s => s * pricePerShare });
+
+test('a withdrawal realizes the assets of its shares minus their average cost', () => {
+  const position = computePosition([deposit(100, 100, 1), deposit(300, 100, 2)], [withdrawal(400, 100, 3)], onchain(100n, 4n));
+
+  assert.equal(position.realized_pnl, 200n);
+  assert.equal(position.unmatched_withdrawn, 0n);
+  assert.equal(position.cost_basis, 200n);
+  assert.equal(position.unrealized_pnl, 200n);
+});
+
+test('shares redeemed beyond the indexed deposits are unmatched, not realized', () => {
+  // 100 indexed shares at 1, then 150 redeemed at 2: 50 came in by transfer.
+  const position = computePosition([deposit(100, 100, 1)], [withdrawal(300, 150, 2)], onchain(0n, 2n));
+
+  assert.equal(position.realized_pnl, 100n);
+  assert.equal(position.unmatched_withdrawn, 100n);
+  assert.equal(position.withdrawn, 300n);
+  assert.equal(position.cost_basis, 0n);
+});
+
+test('a withdrawal with no indexed deposits is entirely unmatched', () => {
+  const position = computePosition([], [withdrawal(500, 250, 1)], null);
+
+  assert.equal(position.realized_pnl, 0n);
+  assert.equal(position.unmatched_withdrawn, 500n);
+  assert.equal(position.value, null);
+});
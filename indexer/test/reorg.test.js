@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { indexVaultRange } from '../src/vault-indexer.js';
+import { detectReorg, rollbackVault } from '../src/reorg.js';
+import { createFakeClient, createFakeCollections } from './fake-storage.js';
+
+const VAULT = '0x1111111111111111111111111111111111111111';
+const ROUTER = '0x2222222222222222222222222222222222222222';
+const ALICE = '0xaAaAaAaaAaAaAaaAaAAAAAAAAaaaAaAaAaaAaaAa';
+
+const vaultConfig = {
+  id: 'test-vault',
+  name: 'Test Vault',
+  chain: 'ethereum',
+  address: VAULT,
+  depositRouter: ROUTER,
+  hasSettlement: true,
+  asset: { address: '0x3333333333333333333333333333333333333333', symbol: 'USDC', decimals: 6 },
+};
+
+const depositRequest = (owner, requestId, block) => ({
+  address: VAULT,
+  eventName: 'DepositRequest',
+  args: { controller: ALICE, owner, requestId: BigInt(requestId), sender: owner, assets: 1000n },
+  blockNumber: BigInt(block),
+  logIndex: 0,
+  blockHash: `0xb${block}`,
+  transactionHash: `0xt${block}-0`,
+});
+
+// Only the removals matter here; the status reverts have nothing to revert.
+function withoutReverts(collections) {
+  const none = async () => 0;
+  Object.assign(collections.colDeposits, { unsettleAfterBlock: none });
+  Object.assign(collections.colWithdrawals, { unclaimAfterBlock: none, unsettleAfterBlock: none });
+  Object.assign(collections.colIntents, { reopenAfterBlock: none });
+  return collections;
+}
+
+test('a rollback writes back only the markers the removed documents consumed', async () => {
+  const collections = withoutReverts(createFakeCollections());
+  await collections.colMeta.putDepositMarker('0xt11-0', ALICE);
+  await indexVaultRange(vaultConfig, createFakeClient([
+    depositRequest(ROUTER, 1, 10),
+    depositRequest(ALICE, 2, 11),
+  ]), collections, 10n, 11n, { contracts: ['vault'] });
+
+  assert.equal(collections.colMeta.markers.size, 0);
+  assert.deepEqual(collections.colDeposits.docs.map(d => [d.source, d.marker_consumed]), [
+    ['yieldo', undefined],
+    ['yieldo', true],
+  ]);
+
+  const summary = await rollbackVault(collections, vaultConfig, 9n);
+
+  assert.equal(summary.deposits_deleted, 2);
+  assert.equal(summary.markers_restored, 1);
+  assert.deepEqual([...collections.colMeta.markers.keys()], ['0xt11-0']);
+});
+
+test('a reorg deeper than the remembered blocks rewinds to a block with its canonical hash', async () => {
+  const client = {
+    async getBlock({ blockNumber }) {
+      return { hash: `0xnew${blockNumber}` };
+    },
+  };
+  const cursor = { block: 20n, hash: '0xold20', recent_blocks: [{ number: '10', hash: '0xold10' }, { number: '20', hash: '0xold20' }] };
+
+  assert.deepEqual(await detectReorg(client, cursor, { parentHash: '0xnew20' }), { number: 9n, hash: '0xnew9', deep: true });
+});
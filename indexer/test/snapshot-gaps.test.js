@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findSnapshotGaps } from '../src/snapshot-gaps.js';
+
+const vault = { id: 'test-vault', chain: 'ethereum' };
+
+function collections({ snapshotDates, firstDeposit = null }) {
+  return {
+    colSnapshots: {
+      firstDate: async () => snapshotDates[0] ?? null,
+      distinctDates: async () => snapshotDates,
+    },
+    colDeposits: { firstEventTime: async () => firstDeposit },
+    colWithdrawals: { firstEventTime: async () => null },
+  };
+}
+
+test('days before today without a snapshot are missing; today is not', async () => {
+  const cols = collections({
+    snapshotDates: ['2026-03-02', '2026-03-04'],
+    firstDeposit: new Date('2026-03-01T15:00:00Z'),
+  });
+  const [gaps] = await findSnapshotGaps(cols, [vault], new Date('2026-03-06T08:00:00Z'));
+
+  assert.equal(gaps.since, '2026-03-01');
+  assert.deepEqual(gaps.missing, ['2026-03-01', '2026-03-03', '2026-03-05']);
+});
+
+test('a vault whose history starts today has no gaps', async () => {
+  const cols = collections({ snapshotDates: [], firstDeposit: new Date('2026-03-06T01:00:00Z') });
+  const [gaps] = await findSnapshotGaps(cols, [vault], new Date('2026-03-06T08:00:00Z'));
+
+  assert.deepEqual(gaps.missing, []);
+});
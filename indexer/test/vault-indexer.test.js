@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { indexVaultRange } from '../src/vault-indexer.js';
+import { transition } from '../src/document-status.js';
+import { createFakeClient, createFakeCollections } from './fake-storage.js';
+
+const VAULT = '0x1111111111111111111111111111111111111111';
+const ROUTER = '0x2222222222222222222222222222222222222222';
+const ALICE = '0xaAaAaAaaAaAaAaaAaAAAAAAAAaaaAaAaAaaAaaAa';
+
+const vaultConfig = {
+  id: 'test-vault',
+  name: 'Test Vault',
+  chain: 'ethereum',
+  address: VAULT,
+  depositRouter: ROUTER,
+  hasSettlement: true,
+  asset: { address: '0x3333333333333333333333333333333333333333', symbol: 'USDC', decimals: 6 },
+};
+
+function vaultLog(eventName, args, blockNumber, logIndex = 0) {
+  return {
+    address: VAULT,
+    eventName,
+    args,
+    blockNumber: BigInt(blockNumber),
+    logIndex,
+    blockHash: `0xb${blockNumber}`,
+    transactionHash: `0xt${blockNumber}-${logIndex}`,
+  };
+}
+
+const redeemRequest = (requestId, shares, block, logIndex) =>
+  vaultLog('RedeemRequest', { controller: ALICE, owner: ALICE, requestId: BigInt(requestId), sender: ALICE, shares: BigInt(shares) }, block, logIndex);
+const redeemSettled = (requestId, assets, block) =>
+  vaultLog('RedeemSettled', { controller: ALICE, owner: ALICE, requestId: BigInt(requestId), receiver: ALICE, assets: BigInt(assets) }, block);
+const withdraw = (assets, shares, block) =>
+  vaultLog('Withdraw', { sender: ALICE, receiver: ALICE, owner: ALICE, assets: BigInt(assets), shares: BigInt(shares) }, block);
+
+async function index(collections, logs, fromBlock, toBlock) {
+  return indexVaultRange(vaultConfig, createFakeClient(logs), collections, BigInt(fromBlock), BigInt(toBlock), {
+    contracts: ['vault'],
+  });
+}
+
+const fields = (docs, ...names) => docs.map(d => Object.fromEntries(names.map(n => [n, d[n]])));
+
+test('RedeemSettled returned before its RedeemRequest in one range settles the request', async () => {
+  const collections = createFakeCollections();
+  await index(collections, [redeemSettled(5, 1000, 11), redeemRequest(5, 400, 10)], 10, 11);
+
+  assert.deepEqual(fields(collections.colWithdrawals.docs, 'request_id', 'status', 'shares', 'assets'), [
+    { request_id: '5', status: 'settled', shares: '400', assets: '1000' },
+  ]);
+});
+
+test('a settlement is split pro rata across several requests of one epoch', async () => {
+  const collections = createFakeCollections();
+  await index(collections, [redeemRequest(7, 100, 10), redeemRequest(7, 300, 12), redeemSettled(7, 1001, 20)], 10, 20);
+
+  assert.deepEqual(fields(collections.colWithdrawals.docs, 'shares', 'status', 'assets'), [
+    { shares: '100', status: 'settled', assets: '250' },
+    { shares: '300', status: 'settled', assets: '751' },
+  ]);
+});
+
+test('several Yieldo deposit requests of one epoch share the settled shares', async () => {
+  const collections = createFakeCollections();
+  const depositRequest = (assets, block) => vaultLog('DepositRequest', {
+    controller: ALICE, owner: ROUTER, requestId: 3n, sender: ROUTER, assets: BigInt(assets),
+  }, block);
+  await index(collections, [
+    depositRequest(1000, 10),
+    depositRequest(3000, 11),
+    vaultLog('DepositSettled', { user: ALICE, epochId: 3n, shares: 400n }, 12),
+  ], 10, 12);
+
+  assert.deepEqual(fields(collections.colDeposits.docs, 'amount', 'status', 'shares', 'source'), [
+    { amount: '1000', status: 'settled', shares: '100', source: 'yieldo' },
+    { amount: '3000', status: 'settled', shares: '300', source: 'yieldo' },
+  ]);
+});
+
+test('replaying the same range leaves the documents unchanged', async () => {
+  const collections = createFakeCollections();
+  const logs = [redeemRequest(1, 100, 10), redeemRequest(2, 50, 11), redeemSettled(1, 500, 12), withdraw(500, 100, 13)];
+  await index(collections, logs, 10, 13);
+  const first = structuredClone(collections.colWithdrawals.docs);
+
+  const counts = await index(collections, logs, 10, 13);
+
+  assert.deepEqual(counts, { RedeemRequest: 2, RedeemSettled: 1, Withdraw: 1 });
+  assert.deepEqual(collections.colWithdrawals.docs, first);
+  assert.deepEqual(fields(first, 'request_id', 'status'), [
+    { request_id: '1', status: 'withdrawn' },
+    { request_id: '2', status: 'pending' },
+  ]);
+});
+
+test('an earlier event applied again does not move a document backwards', async () => {
+  const collections = createFakeCollections();
+  await index(collections, [redeemRequest(1, 100, 10), redeemSettled(1, 500, 12), withdraw(500, 100, 13)], 10, 13);
+
+  // Re-indexing the request and the settlement alone, as a restarted cursor would.
+  await index(collections, [redeemRequest(1, 100, 10), redeemSettled(1, 999, 12)], 10, 12);
+
+  assert.deepEqual(fields(collections.colWithdrawals.docs, 'status', 'assets', 'withdrawn_tx'), [
+    { status: 'withdrawn', assets: '500', withdrawn_tx: '0xt13-0' },
+  ]);
+});
+
+test('transition only moves documents out of the source statuses of the event', async () => {
+  const { colDeposits } = createFakeCollections();
+  await colDeposits.upsertByLog({ chain: 'ethereum', transactionHash: '0xa', logIndex: 0 }, {}, { status: 'settled' });
+  const [doc] = colDeposits.docs;
+
+  assert.equal(await transition(colDeposits, 'deposit', 'DepositSettled', { ids: [doc._id] }, { shares: '1' }), 0);
+  assert.equal(doc.status, 'settled');
+  assert.equal(doc.shares, undefined);
+  await assert.rejects(transition(colDeposits, 'deposit', 'Withdraw', { ids: [doc._id] }), /does not change deposit/);
+});
@@ -0,0 +1,197 @@
+-- Yieldo schema for the PostgreSQL storage backend (STORAGE_BACKEND=postgres).
+--
+-- Derived from database/init.sql: every table keeps the document the indexer writes in
+-- `doc` (JSONB, dates as {"$date": ...}) and exposes the init.sql columns, plus the fields
+-- the indexer filters on, as generated columns. Unique indexes match the MongoDB ones.
+
+CREATE OR REPLACE FUNCTION yieldo_timestamp(v JSONB) RETURNS TIMESTAMPTZ AS $$
+BEGIN
+  IF jsonb_typeof(v) = 'object' AND v->>'$date' ~ '^\d{4}-\d{2}-\d{2}T' THEN
+    RETURN (v->>'$date')::TIMESTAMPTZ;
+  ELSIF jsonb_typeof(v) = 'string' AND v #>> '{}' ~ '^\d{4}-\d{2}-\d{2}T' THEN
+    RETURN (v #>> '{}')::TIMESTAMPTZ;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Amounts and block numbers are stored as decimal strings; epochs and log indexes as numbers.
+CREATE OR REPLACE FUNCTION yieldo_numeric(v JSONB) RETURNS NUMERIC AS $$
+BEGIN
+  IF jsonb_typeof(v) = 'number' THEN
+    RETURN (v #>> '{}')::NUMERIC;
+  ELSIF jsonb_typeof(v) = 'string' AND v #>> '{}' ~ '^-?\d+(\.\d+)?$' THEN
+    RETURN (v #>> '{}')::NUMERIC;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Tables created from database/init.sql (SERIAL ids, no documents) are kept as legacy_*.
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['deposits', 'withdrawals', 'snapshots', 'deposit_intents'] LOOP
+    IF EXISTS (
+      SELECT 1 FROM information_schema.columns
+      WHERE table_schema = current_schema() AND table_name = t AND column_name = 'id' AND data_type = 'integer'
+    ) THEN
+      EXECUTE format('ALTER TABLE %I RENAME TO %I', t, 'legacy_' || t);
+    END IF;
+  END LOOP;
+END;
+$$;
+
+CREATE TABLE IF NOT EXISTS deposit_intents (
+    id TEXT PRIMARY KEY,
+    doc JSONB NOT NULL,
+    chain TEXT GENERATED ALWAYS AS (doc->>'chain') STORED,
+    vault_id TEXT GENERATED ALWAYS AS (doc->>'vault_id') STORED,
+    intent_hash TEXT GENERATED ALWAYS AS (doc->>'intent_hash') STORED,
+    user_address TEXT GENERATED ALWAYS AS (doc->>'user_address') STORED,
+    vault_address TEXT GENERATED ALWAYS AS (doc->>'vault_address') STORED,
+    asset_address TEXT GENERATED ALWAYS AS (doc->>'asset_address') STORED,
+    amount TEXT GENERATED ALWAYS AS (doc->>'amount') STORED,
+    nonce NUMERIC GENERATED ALWAYS AS (yieldo_numeric(doc->'nonce')) STORED,
+    status TEXT GENERATED ALWAYS AS (doc->>'status') STORED,
+    request_id TEXT GENERATED ALWAYS AS (doc->>'request_id') STORED,
+    executed_tx TEXT GENERATED ALWAYS AS (doc->>'executed_tx') STORED,
+    block_number BIGINT GENERATED ALWAYS AS (yieldo_numeric(doc->'block_number')::BIGINT) STORED,
+    created_at TIMESTAMPTZ GENERATED ALWAYS AS (yieldo_timestamp(doc->'created_at')) STORED,
+    executed_at TIMESTAMPTZ GENERATED ALWAYS AS (yieldo_timestamp(doc->'executed_at')) STORED,
+    block_timestamp TIMESTAMPTZ GENERATED ALWAYS AS (yieldo_timestamp(doc->'block_timestamp')) STORED
+);
+
+CREATE TABLE IF NOT EXISTS deposits (
+    id TEXT PRIMARY KEY,
+    doc JSONB NOT NULL,
+    chain TEXT GENERATED ALWAYS AS (doc->>'chain') STORED,
+    vault_id TEXT GENERATED ALWAYS AS (doc->>'vault_id') STORED,
+    intent_hash TEXT GENERATED ALWAYS AS (doc->>'intent_hash') STORED,
+    user_address TEXT GENERATED ALWAYS AS (doc->>'user_address') STORED,
+    vault_address TEXT GENERATED ALWAYS AS (doc->>'vault_address') STORED,
+    amount TEXT GENERATED ALWAYS AS (doc->>'amount') STORED,
+    shares TEXT GENERATED ALWAYS AS (doc->>'shares') STORED,
+    epoch_id INTEGER GENERATED ALWAYS AS (yieldo_numeric(doc->'epoch_id')::INTEGER) STORED,
+    request_id TEXT GENERATED ALWAYS AS (doc->>'request_id') STORED,
+    status TEXT GENERATED ALWAYS AS (doc->>'status') STORED,
+    source TEXT GENERATED ALWAYS AS (doc->>'source') STORED,
+    block_number BIGINT GENERATED ALWAYS AS (yieldo_numeric(doc->'block_number')::BIGINT) STORED,
+    transaction_hash TEXT GENERATED ALWAYS AS (doc->>'transaction_hash') STORED,
+    log_index INTEGER GENERATED ALWAYS AS (yieldo_numeric(doc->'log_index')::INTEGER) STORED,
+    created_at TIMESTAMPTZ GENERATED ALWAYS AS (yieldo_timestamp(doc->'created_at')) STORED,
+    block_timestamp TIMESTAMPTZ GENERATED ALWAYS AS (yieldo_timestamp(doc->'block_timestamp')) STORED
+);
+
+CREATE TABLE IF NOT EXISTS withdrawals (
+    id TEXT PRIMARY KEY,
+    doc JSONB NOT NULL,
+    chain TEXT GENERATED ALWAYS AS (doc->>'chain') STORED,
+    vault_id TEXT GENERATED ALWAYS AS (doc->>'vault_id') STORED,
+    user_address TEXT GENERATED ALWAYS AS (doc->>'user_address') STORED,
+    vault_address TEXT GENERATED ALWAYS AS (doc->>'vault_address') STORED,
+    shares TEXT GENERATED ALWAYS AS (doc->>'shares') STORED,
+    assets TEXT GENERATED ALWAYS AS (doc->>'assets') STORED,
+    epoch_id INTEGER GENERATED ALWAYS AS (yieldo_numeric(doc->'epoch_id')::INTEGER) STORED,
+    request_id TEXT GENERATED ALWAYS AS (doc->>'request_id') STORED,
+    status TEXT GENERATED ALWAYS AS (doc->>'status') STORED,
+    source TEXT GENERATED ALWAYS AS (doc->>'source') STORED,
+    block_number BIGINT GENERATED ALWAYS AS (yieldo_numeric(doc->'block_number')::BIGINT) STORED,
+    transaction_hash TEXT GENERATED ALWAYS AS (doc->>'transaction_hash') STORED,
+    log_index INTEGER GENERATED ALWAYS AS (yieldo_numeric(doc->'log_index')::INTEGER) STORED,
+    created_at TIMESTAMPTZ GENERATED ALWAYS AS (yieldo_timestamp(doc->'created_at')) STORED,
+    settled_at TIMESTAMPTZ GENERATED ALWAYS AS (yieldo_timestamp(doc->'settled_at')) STORED,
+    block_timestamp TIMESTAMPTZ GENERATED ALWAYS AS (yieldo_timestamp(doc->'block_timestamp')) STORED
+);
+
+CREATE TABLE IF NOT EXISTS snapshots (
+    id TEXT PRIMARY KEY,
+    doc JSONB NOT NULL,
+    date TEXT GENERATED ALWAYS AS (doc->>'date') STORED,
+    chain TEXT GENERATED ALWAYS AS (doc->>'chain') STORED,
+    vault_id TEXT GENERATED ALWAYS AS (doc->>'vault_id') STORED,
+    vault_address TEXT GENERATED ALWAYS AS (doc->>'vault_address') STORED,
+    total_assets TEXT GENERATED ALWAYS AS (doc->>'total_assets') STORED,
+    total_supply TEXT GENERATED ALWAYS AS (doc->>'total_supply') STORED,
+    total_deposits TEXT GENERATED ALWAYS AS (doc->>'total_deposits') STORED,
+    total_withdrawals TEXT GENERATED ALWAYS AS (doc->>'total_withdrawals') STORED,
+    deposit_epoch_id INTEGER GENERATED ALWAYS AS (yieldo_numeric(doc->'deposit_epoch_id')::INTEGER) STORED,
+    redeem_epoch_id INTEGER GENERATED ALWAYS AS (yieldo_numeric(doc->'redeem_epoch_id')::INTEGER) STORED,
+    created_at TIMESTAMPTZ GENERATED ALWAYS AS (yieldo_timestamp(doc->'created_at')) STORED
+);
+
+CREATE TABLE IF NOT EXISTS meta (
+    id TEXT PRIMARY KEY,
+    doc JSONB NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS pending_yieldo_withdrawals (
+    id TEXT PRIMARY KEY,
+    doc JSONB NOT NULL,
+    chain TEXT GENERATED ALWAYS AS (doc->>'chain') STORED,
+    user_address TEXT GENERATED ALWAYS AS (doc->>'user_address') STORED,
+    transaction_hash TEXT GENERATED ALWAYS AS (doc->>'transaction_hash') STORED,
+    created_at TIMESTAMPTZ GENERATED ALWAYS AS (yieldo_timestamp(doc->'created_at')) STORED
+);
+
+CREATE TABLE IF NOT EXISTS vault_ratings (
+    id TEXT PRIMARY KEY,
+    doc JSONB NOT NULL,
+    chain TEXT GENERATED ALWAYS AS (doc->>'chain') STORED,
+    vault_id TEXT GENERATED ALWAYS AS (doc->>'vault_id') STORED,
+    updated_at TIMESTAMPTZ GENERATED ALWAYS AS (yieldo_timestamp(doc->'updated_at')) STORED
+);
+
+CREATE TABLE IF NOT EXISTS vault_rating_history (
+    id TEXT PRIMARY KEY,
+    doc JSONB NOT NULL,
+    chain TEXT GENERATED ALWAYS AS (doc->>'chain') STORED,
+    vault_id TEXT GENERATED ALWAYS AS (doc->>'vault_id') STORED,
+    snapshot_at TIMESTAMPTZ GENERATED ALWAYS AS (yieldo_timestamp(doc->'snapshot_at')) STORED
+);
+
+CREATE TABLE IF NOT EXISTS backfill_jobs (
+    id TEXT PRIMARY KEY,
+    doc JSONB NOT NULL,
+    vault_id TEXT GENERATED ALWAYS AS (doc->>'vault_id') STORED,
+    status TEXT GENERATED ALWAYS AS (doc->>'status') STORED,
+    created_at TIMESTAMPTZ GENERATED ALWAYS AS (yieldo_timestamp(doc->'created_at')) STORED
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deposit_intents_hash ON deposit_intents(intent_hash, chain, vault_id);
+CREATE INDEX IF NOT EXISTS idx_deposit_intents_user ON deposit_intents(user_address, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_deposit_intents_vault ON deposit_intents(chain, vault_id);
+CREATE INDEX IF NOT EXISTS idx_deposit_intents_status ON deposit_intents(status);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deposits_log ON deposits(chain, transaction_hash, log_index);
+CREATE INDEX IF NOT EXISTS idx_deposits_tx ON deposits(transaction_hash, chain);
+CREATE INDEX IF NOT EXISTS idx_deposits_request ON deposits(chain, vault_id, user_address, request_id);
+CREATE INDEX IF NOT EXISTS idx_deposits_user ON deposits(user_address, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_deposits_vault_created ON deposits(chain, vault_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_deposits_vault_block_time ON deposits(chain, vault_id, block_timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_deposits_status ON deposits(status);
+CREATE INDEX IF NOT EXISTS idx_deposits_source ON deposits(source, chain, vault_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_withdrawals_log ON withdrawals(chain, transaction_hash, log_index);
+CREATE INDEX IF NOT EXISTS idx_withdrawals_tx ON withdrawals(transaction_hash, chain);
+CREATE INDEX IF NOT EXISTS idx_withdrawals_request ON withdrawals(chain, vault_id, user_address, request_id);
+CREATE INDEX IF NOT EXISTS idx_withdrawals_user ON withdrawals(user_address, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_withdrawals_vault_created ON withdrawals(chain, vault_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_withdrawals_vault_block_time ON withdrawals(chain, vault_id, block_timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_withdrawals_status ON withdrawals(status);
+CREATE INDEX IF NOT EXISTS idx_withdrawals_source ON withdrawals(source, chain, vault_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_snapshots_day ON snapshots(date, vault_id, chain);
+CREATE INDEX IF NOT EXISTS idx_snapshots_vault ON snapshots(chain, vault_id, date DESC);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pending_yieldo_withdrawals_tx ON pending_yieldo_withdrawals(transaction_hash, chain);
+CREATE INDEX IF NOT EXISTS idx_pending_yieldo_withdrawals_user ON pending_yieldo_withdrawals(user_address, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_pending_yieldo_withdrawals_created ON pending_yieldo_withdrawals(created_at);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vault_ratings_vault ON vault_ratings(vault_id, chain);
+CREATE INDEX IF NOT EXISTS idx_vault_ratings_updated ON vault_ratings(updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_vault_rating_history_vault ON vault_rating_history(vault_id, chain, snapshot_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_backfill_jobs_status ON backfill_jobs(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_backfill_jobs_vault ON backfill_jobs(vault_id, created_at DESC);
@@ -0,0 +1,15 @@
+-- Intraday snapshot series (indexer/src/snapshot-series.js): one row per vault, interval and
+-- bucket.
+
+CREATE TABLE IF NOT EXISTS snapshot_series (
+    id TEXT PRIMARY KEY,
+    doc JSONB NOT NULL,
+    chain TEXT GENERATED ALWAYS AS (doc->>'chain') STORED,
+    vault_id TEXT GENERATED ALWAYS AS (doc->>'vault_id') STORED,
+    "interval" TEXT GENERATED ALWAYS AS (doc->>'interval') STORED,
+    bucket TIMESTAMPTZ GENERATED ALWAYS AS (yieldo_timestamp(doc->'bucket')) STORED,
+    created_at TIMESTAMPTZ GENERATED ALWAYS AS (yieldo_timestamp(doc->'created_at')) STORED
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_snapshot_series_bucket ON snapshot_series(vault_id, chain, "interval", bucket);
+CREATE INDEX IF NOT EXISTS idx_snapshot_series_interval ON snapshot_series("interval", bucket DESC);
@@ -0,0 +1,13 @@
+import { getAddress, isAddress } from 'viem';
+
+// Addresses are stored in their EIP-55 checksummed form, so equality filters match whatever
+// casing a caller (or an RPC, or the registry) used, once it goes through normalizeAddress.
+
+export function normalizeAddress(value) {
+  if (typeof value !== 'string' || !isAddress(value, { strict: false })) {
+    const error = new Error(`Invalid address "${value}"`);
+    error.name = 'InvalidAddressError';
+    throw error;
+  }
+  return getAddress(value);
+}
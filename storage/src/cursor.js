@@ -0,0 +1,29 @@
+// Page cursors: the (sort value, id) position of a document as an opaque base64url token. Each
+// backend maps its own id type to and from the string `id` (see mongo/common.js and
+// postgres/documents.js), so callers never see how ids are stored.
+
+export function invalidCursor() {
+  const error = new Error('Invalid cursor');
+  error.name = 'InvalidCursorError';
+  return error;
+}
+
+export function encodeCursor(value, id, extra = {}) {
+  const position = { v: value instanceof Date ? value.toISOString() : value, d: value instanceof Date, id, ...extra };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+// The `{ value, id, ...extra }` of a token; throws an InvalidCursorError when it is malformed.
+export function decodeCursor(token) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch {
+    throw invalidCursor();
+  }
+  const { v, d, id, ...extra } = position || {};
+  if (typeof id !== 'string' || (v !== null && typeof v !== 'string' && typeof v !== 'number')) throw invalidCursor();
+  const value = d ? new Date(v) : v;
+  if (value instanceof Date && Number.isNaN(value.getTime())) throw invalidCursor();
+  return { value, id, ...extra };
+}
@@ -0,0 +1,71 @@
+// Storage for the indexer and the KPI job. STORAGE_BACKEND picks MongoDB (default, MONGODB_URI)
+// or PostgreSQL (DATABASE_URL); either way callers get the same repositories, each with named
+// methods implemented by both backends (mongo/ and postgres/):
+//
+//   intents, deposits, withdrawals  event documents, filtered by an event filter (below)
+//   snapshots, snapshotSeries       daily snapshots and the intraday series
+//   meta                            cursors, migrations, locks and deposit markers
+//   pendingYieldoWithdrawals        withdrawal markers
+//   ratings, ratingHistory          KPI job output
+//   backfillJobs                    historical backfill jobs
+//
+// An event filter is `{ chain, vaultId, user, transactionHash, statuses, sources, yieldo, time,
+// minAmount, maxAmount }`, every field optional: `time` is `{ from, to, toExclusive }` on the
+// event time (block_timestamp, or created_at on documents indexed before it existed), `yieldo`
+// keeps Yieldo-attributed documents and the amounts bound the deposit/intent `amount` or the
+// withdrawal `assets`. Lists take `{ order, limit, after }` and come in (sort field, _id) order;
+// `after` is the `cursorOf(doc)` of the last document of the previous page, an opaque token
+// (a malformed one throws an InvalidCursorError). Ids are ObjectIds on MongoDB and UUID
+// strings on PostgreSQL.
+//
+// Methods that write take the transaction handle of `withTransaction` as their last argument.
+// Every repository also has `scanDocuments({ missing })` and `patchDocument(id, { set, unset })`
+// for data migrations. Addresses are stored checksummed: pass them through normalizeAddress.
+
+export { normalizeAddress } from './addresses.js';
+
+const REPOSITORIES = {
+  intents: 'deposit_intents',
+  deposits: 'deposits',
+  withdrawals: 'withdrawals',
+  snapshots: 'snapshots',
+  snapshotSeries: 'snapshot_series',
+  meta: 'meta',
+  pendingYieldoWithdrawals: 'pending_yieldo_withdrawals',
+  ratings: 'vault_ratings',
+  ratingHistory: 'vault_rating_history',
+  backfillJobs: 'backfill_jobs',
+};
+
+export function getStorageBackend() {
+  return (process.env.STORAGE_BACKEND || 'mongodb').toLowerCase();
+}
+
+/**
+ * Connects to the configured backend. The result has the repositories plus
+ * `withTransaction(fn)`, which runs `fn(session)` atomically (pass `session` to each write),
+ * and `close()`.
+ */
+export async function openStorage() {
+  const backend = getStorageBackend();
+
+  if (backend === 'mongodb' || backend === 'mongo') {
+    const uri = process.env.MONGODB_URI;
+    if (!uri) throw new Error('MongoDB storage needs MONGODB_URI (MongoDB Atlas connection string).');
+    const { openMongoStorage } = await import('./mongo/index.js');
+    return openMongoStorage({ uri, dbName: process.env.MONGODB_DB_NAME || 'yieldo', tables: REPOSITORIES });
+  }
+
+  if (backend === 'postgres' || backend === 'postgresql') {
+    const connectionString = process.env.DATABASE_URL || process.env.POSTGRES_URL;
+    if (!connectionString) throw new Error('Postgres storage needs DATABASE_URL (or POSTGRES_URL).');
+    const { openPostgresStorage } = await import('./postgres/index.js');
+    return openPostgresStorage({
+      connectionString,
+      tables: REPOSITORIES,
+      migrationsDir: process.env.POSTGRES_MIGRATIONS_DIR || undefined,
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected mongodb or postgres)`);
+}
@@ -0,0 +1,94 @@
+import { ObjectId } from 'mongodb';
+import { decodeCursor, encodeCursor, invalidCursor } from '../cursor.js';
+
+// Query helpers shared by the MongoDB repositories.
+
+const DEFAULT_BATCH_SIZE = 500;
+
+export function allOf(conditions) {
+  const parts = conditions.filter(c => c && Object.keys(c).length > 0);
+  if (parts.length === 0) return {};
+  return parts.length === 1 ? parts[0] : { $and: parts };
+}
+
+// `{ from, to, toExclusive }` as a query on one field.
+export function rangeQuery({ from, to, toExclusive }) {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range[toExclusive ? '$lt' : '$lte'] = to;
+  return range;
+}
+
+// Documents whose `field` (a block number stored as a decimal string) is past `blockNumber`.
+export function afterBlock(field, blockNumber) {
+  return { $expr: { $gt: [{ $toLong: `$${field}` }, Number(blockNumber)] } };
+}
+
+// Documents after `after` in (sortField, _id) order; missing values sort before all others.
+function afterPosition(sortField, { value, id }, order) {
+  const idOp = order === 1 ? '$gt' : '$lt';
+  if (value === null) {
+    const sameValue = { [sortField]: null, _id: { [idOp]: id } };
+    return order === 1 ? { $or: [sameValue, { [sortField]: { $ne: null } }] } : sameValue;
+  }
+  const next = [
+    { [sortField]: { [idOp]: value } },
+    { [sortField]: value, _id: { [idOp]: id } },
+  ];
+  if (order === -1) next.push({ [sortField]: null });
+  return { $or: next };
+}
+
+// Cursors of documents listed by `sortField`. `_id` is an ObjectId on documents the indexer
+// created and a string on some meta documents; the cursor records which.
+export function cursorMethods(sortField) {
+  return {
+    cursorOf(doc) {
+      const objectId = doc._id instanceof ObjectId;
+      return encodeCursor(doc[sortField] ?? null, objectId ? doc._id.toHexString() : String(doc._id), { o: objectId });
+    },
+  };
+}
+
+function positionOf(cursor) {
+  const { value, id, o } = decodeCursor(cursor);
+  if (o && !ObjectId.isValid(id)) throw invalidCursor();
+  return { value, id: o ? new ObjectId(id) : id };
+}
+
+/**
+ * The documents matching all of `conditions` in (sortField, _id) order. `options` is
+ * `{ order, limit, after }`: order 1 (default) or -1, and `after` the cursor (see `cursorOf`)
+ * of the document to continue after.
+ */
+export async function findOrdered(col, conditions, sortField, { order = 1, limit, after } = {}, session) {
+  const filter = allOf(after ? [...conditions, afterPosition(sortField, positionOf(after), order)] : conditions);
+  let cursor = col.find(filter, { session }).sort({ [sortField]: order, _id: order });
+  if (limit) cursor = cursor.limit(limit);
+  return cursor.toArray();
+}
+
+// The document scan and patch every repository offers to data migrations.
+export function documentMethods(col) {
+  return {
+    // Every document lacking all of the `missing` fields, in _id order, read in batches.
+    async *scanDocuments({ missing = [] } = {}, batchSize = DEFAULT_BATCH_SIZE) {
+      const filter = Object.fromEntries(missing.map(f => [f, { $exists: false }]));
+      let lastId = null;
+      for (;;) {
+        const page = lastId === null ? filter : { ...filter, _id: { $gt: lastId } };
+        const docs = await col.find(page).sort({ _id: 1 }).limit(batchSize).toArray();
+        yield* docs;
+        if (docs.length < batchSize) return;
+        lastId = docs[docs.length - 1]._id;
+      }
+    },
+
+    async patchDocument(id, { set = {}, unset = [] }, session) {
+      const update = {};
+      if (Object.keys(set).length) update.$set = set;
+      if (unset.length) update.$unset = Object.fromEntries(unset.map(f => [f, '']));
+      if (Object.keys(update).length) await col.updateOne({ _id: id }, update, { session });
+    },
+  };
+}
@@ -0,0 +1,231 @@
+import { afterBlock, allOf, cursorMethods, documentMethods, findOrdered, rangeQuery } from './common.js';
+
+// Deposits, withdrawals and intents: one document per vault log (see the indexer's
+// vault-indexer.js), listed by event time.
+
+function scopeOf({ chain, vaultId }) {
+  return { chain, vault_id: vaultId };
+}
+
+/**
+ * Repository methods shared by the event collections. `amountField` is the field the amount
+ * bounds apply to; `yieldoCondition` selects the Yieldo-attributed documents.
+ */
+export function createEventMethods(col, { amountField, yieldoCondition }) {
+  function query(filter = {}) {
+    const conditions = [];
+    const scope = {};
+    if (filter.chain) scope.chain = filter.chain;
+    if (filter.vaultId) scope.vault_id = filter.vaultId;
+    if (filter.user) scope.user_address = filter.user;
+    if (filter.transactionHash) scope.transaction_hash = filter.transactionHash;
+    if (filter.statuses) scope.status = { $in: filter.statuses };
+    if (filter.sources) scope.source = { $in: filter.sources };
+    conditions.push(scope);
+    if (filter.yieldo) conditions.push(yieldoCondition);
+    if (filter.time) {
+      const range = rangeQuery(filter.time);
+      // Documents indexed before block_timestamp was recorded only have created_at.
+      conditions.push({
+        $or: [
+          { block_timestamp: range },
+          { block_timestamp: { $exists: false }, created_at: range },
+        ],
+      });
+    }
+    if (filter.minAmount || filter.maxAmount) {
+      conditions.push({ [amountField]: { $ne: null } });
+      if (filter.minAmount) conditions.push({ $expr: { $gte: [{ $toDecimal: `$${amountField}` }, { $toDecimal: filter.minAmount }] } });
+      if (filter.maxAmount) conditions.push({ $expr: { $lte: [{ $toDecimal: `$${amountField}` }, { $toDecimal: filter.maxAmount }] } });
+    }
+    return conditions;
+  }
+
+  return {
+    ...cursorMethods('block_timestamp'),
+
+    find(filter, options, session) {
+      return findOrdered(col, query(filter), 'block_timestamp', options, session);
+    },
+
+    count(filter, session) {
+      return col.countDocuments(allOf(query(filter)), { session });
+    },
+
+    // Time of the vault's first event with a known block timestamp, or null.
+    async firstEventTime(scope) {
+      const first = await col.findOne({ ...scopeOf(scope), block_timestamp: { $ne: null } }, { sort: { block_timestamp: 1 } });
+      return first?.block_timestamp ?? null;
+    },
+
+    // Deletes the vault's documents created past `blockNumber` and returns them.
+    async removeAfterBlock(scope, blockNumber, session) {
+      const filter = { ...scopeOf(scope), ...afterBlock('block_number', blockNumber) };
+      const docs = await col.find(filter, { session }).toArray();
+      if (docs.length) await col.deleteMany({ _id: { $in: docs.map(d => d._id) } }, { session });
+      return docs;
+    },
+
+    ...documentMethods(col),
+  };
+}
+
+// Deposits and withdrawals are keyed by the log that created them ({ chain, transactionHash,
+// logIndex }) and move through their statuses by request id.
+function logMethods(col) {
+  const byLog = ({ chain, transactionHash, logIndex }) => ({ chain, transaction_hash: transactionHash, log_index: logIndex });
+  return {
+    // Documents indexed before log_index existed are unique per (transaction_hash, chain); the
+    // first log re-indexed for that transaction takes the document over.
+    async adoptLegacy({ chain, transactionHash, logIndex }, session) {
+      await col.updateOne(
+        { chain, transaction_hash: transactionHash, log_index: { $exists: false } },
+        { $set: { log_index: logIndex } },
+        { session }
+      );
+    },
+
+    // Writes `set` on the document of a log, creating it with `setOnInsert` as well.
+    async upsertByLog(log, set, setOnInsert, session) {
+      const update = {};
+      if (set && Object.keys(set).length) update.$set = set;
+      if (setOnInsert && Object.keys(setOnInsert).length) update.$setOnInsert = setOnInsert;
+      await col.updateOne(byLog(log), update, { upsert: true, session });
+    },
+
+    findByLog(log, session) {
+      return col.findOne(byLog(log), { session });
+    },
+
+    // Requests of `user` with `requestId` in one of `statuses`. Documents indexed before
+    // request_id existed are matched by epoch.
+    findOpenRequests({ chain, vaultId, user, requestId, statuses }, session) {
+      return col.find({
+        chain,
+        vault_id: vaultId,
+        user_address: user,
+        status: { $in: statuses },
+        $or: [
+          { request_id: requestId.toString() },
+          { request_id: { $exists: false }, epoch_id: Number(requestId) },
+        ],
+      }, { session }).toArray();
+    },
+
+    // Moves the documents `ids` that are in one of the `from` statuses; returns how many moved.
+    async setStatus({ ids }, from, fields, session) {
+      const result = await col.updateMany({ _id: { $in: ids }, status: { $in: from } }, { $set: fields }, { session });
+      return result.modifiedCount;
+    },
+
+    async markYieldo(transactionHash) {
+      const result = await col.updateMany({ transaction_hash: transactionHash }, { $set: { source: 'yieldo' } });
+      return { matched: result.matchedCount, modified: result.modifiedCount };
+    },
+  };
+}
+
+const SETTLEMENT_FIELDS = { settled_at: '', settled_tx: '', settled_log_index: '', settled_block_number: '', settled_block_hash: '' };
+const CLAIM_FIELDS = { withdrawn_at: '', withdrawn_tx: '', withdrawn_log_index: '', withdrawn_block_number: '', withdrawn_block_hash: '' };
+
+export function createDepositRepository(col) {
+  return {
+    ...createEventMethods(col, {
+      amountField: 'amount',
+      yieldoCondition: { $or: [{ source: 'yieldo' }, { intent_hash: { $exists: true, $ne: null } }] },
+    }),
+    ...logMethods(col),
+
+    // Links the deposits of a transaction (of request `requestId` when given) to their intent.
+    async linkIntent({ chain, vaultId, transactionHash, requestId }, { intentHash, userAddress }, session) {
+      const filter = { chain, vault_id: vaultId, transaction_hash: transactionHash };
+      if (requestId !== undefined) filter.request_id = requestId;
+      await col.updateMany(filter, { $set: { intent_hash: intentHash, user_address: userAddress, source: 'yieldo' } }, { session });
+    },
+
+    // Reverts settlements past `blockNumber` to requested; returns how many.
+    async unsettleAfterBlock(scope, blockNumber, session) {
+      const result = await col.updateMany(
+        { ...scopeOf(scope), status: 'settled', ...afterBlock('settled_block_number', blockNumber) },
+        { $set: { status: 'requested', shares: null }, $unset: SETTLEMENT_FIELDS },
+        { session }
+      );
+      return result.modifiedCount;
+    },
+  };
+}
+
+export function createWithdrawalRepository(col) {
+  return {
+    ...createEventMethods(col, { amountField: 'assets', yieldoCondition: { source: 'yieldo' } }),
+    ...logMethods(col),
+
+    // The withdrawal a Withdraw log was recorded on: claimed by it, or created by it. Claims
+    // recorded before withdrawn_log_index existed count as any log of their transaction.
+    findClaim({ chain, vaultId, transactionHash, logIndex }, session) {
+      return col.findOne({
+        chain,
+        vault_id: vaultId,
+        $or: [
+          { withdrawn_tx: transactionHash, withdrawn_log_index: { $in: [logIndex, null] } },
+          { chain, transaction_hash: transactionHash, log_index: logIndex },
+        ],
+      }, { session });
+    },
+
+    // Reverts claims past `blockNumber`, to settled when the settlement is still recorded and
+    // to pending otherwise; returns how many.
+    async unclaimAfterBlock(scope, blockNumber, session) {
+      const claimed = { ...scopeOf(scope), status: 'withdrawn', ...afterBlock('withdrawn_block_number', blockNumber) };
+      const settled = await col.updateMany(
+        { ...claimed, settled_at: { $ne: null } },
+        { $set: { status: 'settled' }, $unset: CLAIM_FIELDS },
+        { session }
+      );
+      const pending = await col.updateMany(claimed, { $set: { status: 'pending' }, $unset: CLAIM_FIELDS }, { session });
+      return settled.modifiedCount + pending.modifiedCount;
+    },
+
+    async unsettleAfterBlock(scope, blockNumber, session) {
+      const result = await col.updateMany(
+        { ...scopeOf(scope), status: 'settled', ...afterBlock('settled_block_number', blockNumber) },
+        { $set: { status: 'pending', assets: null }, $unset: SETTLEMENT_FIELDS },
+        { session }
+      );
+      return result.modifiedCount;
+    },
+  };
+}
+
+export function createIntentRepository(col) {
+  const byHash = ({ chain, vaultId, intentHash }) => ({ intent_hash: intentHash, chain, vault_id: vaultId });
+  return {
+    ...createEventMethods(col, { amountField: 'amount', yieldoCondition: {} }),
+
+    async insertIfAbsent(key, doc, session) {
+      await col.updateOne(byHash(key), { $setOnInsert: doc }, { upsert: true, session });
+    },
+
+    async setStatus(key, from, fields, session) {
+      const result = await col.updateMany({ ...byHash(key), status: { $in: from } }, { $set: fields }, { session });
+      return result.modifiedCount;
+    },
+
+    findExecutedInTransaction({ chain, vaultId, transactionHash }, session) {
+      return col.findOne({ chain, vault_id: vaultId, executed_tx: transactionHash }, { session });
+    },
+
+    // Reopens intents executed past `blockNumber`; returns how many.
+    async reopenAfterBlock(scope, blockNumber, session) {
+      const result = await col.updateMany(
+        { ...scopeOf(scope), status: 'executed', ...afterBlock('executed_block_number', blockNumber) },
+        {
+          $set: { status: 'pending' },
+          $unset: { executed_at: '', executed_tx: '', executed_block_number: '', request_id: '' },
+        },
+        { session }
+      );
+      return result.modifiedCount;
+    },
+  };
+}
@@ -0,0 +1,83 @@
+import { MongoClient } from 'mongodb';
+import { createDepositRepository, createIntentRepository, createWithdrawalRepository } from './events.js';
+import {
+  createBackfillJobRepository,
+  createMetaRepository,
+  createPendingWithdrawalRepository,
+  createRatingHistoryRepository,
+  createRatingRepository,
+  createSeriesRepository,
+  createSnapshotRepository,
+} from './records.js';
+
+const FACTORIES = {
+  intents: createIntentRepository,
+  deposits: createDepositRepository,
+  withdrawals: createWithdrawalRepository,
+  snapshots: createSnapshotRepository,
+  snapshotSeries: createSeriesRepository,
+  meta: createMetaRepository,
+  pendingYieldoWithdrawals: createPendingWithdrawalRepository,
+  ratings: createRatingRepository,
+  ratingHistory: createRatingHistoryRepository,
+  backfillJobs: createBackfillJobRepository,
+};
+
+// Transactions need a replica set (Atlas always is one); on a standalone server, or with
+// MONGODB_TRANSACTIONS=false, writes fall back to running without one, which is still safe
+// because every handler can be replayed.
+function isTransactionsUnsupported(error) {
+  return error?.code === 20 ||
+    error?.codeName === 'IllegalOperation' ||
+    /Transaction numbers are only allowed|transactions are not supported/i.test(error?.message || '');
+}
+
+/**
+ * Opens the MongoDB backend over the collections named by `tables` ({ name: collectionName }).
+ * `collections` exposes the driver collections for the index migrations.
+ */
+export async function openMongoStorage({ uri, dbName, tables }) {
+  const client = new MongoClient(uri);
+  await client.connect();
+  const db = client.db(dbName);
+
+  const collections = {};
+  const repositories = {};
+  for (const [name, collection] of Object.entries(tables)) {
+    collections[name] = db.collection(collection);
+    repositories[name] = FACTORIES[name](collections[name]);
+  }
+
+  let transactionsEnabled = process.env.MONGODB_TRANSACTIONS !== 'false';
+
+  return {
+    backend: 'mongodb',
+    db,
+    collections,
+    ...repositories,
+
+    async withTransaction(fn) {
+      if (!transactionsEnabled) return fn(undefined);
+
+      const session = client.startSession();
+      try {
+        let result;
+        await session.withTransaction(async () => {
+          result = await fn(session);
+        });
+        return result;
+      } catch (error) {
+        if (!isTransactionsUnsupported(error)) throw error;
+        transactionsEnabled = false;
+        console.warn('MongoDB transactions are not supported by this deployment; writing without them');
+        return fn(undefined);
+      } finally {
+        await session.endSession();
+      }
+    },
+
+    async close() {
+      await client.close();
+    },
+  };
+}
@@ -0,0 +1,305 @@
+import { ObjectId } from 'mongodb';
+import { allOf, cursorMethods, documentMethods, findOrdered, rangeQuery } from './common.js';
+
+// Repositories of the collections that are not vault events: indexer state, markers,
+// snapshots, ratings and backfill jobs.
+
+// Deposits marked through mark-yieldo before they were indexed, under any of the ids the
+// marker has been written with.
+const depositMarkerIds = txHash => [`pending_yieldo_deposit_${txHash}`, txHash];
+
+export function createMetaRepository(col) {
+  return {
+    get(id, session) {
+      return col.findOne({ _id: id }, { session });
+    },
+
+    // Merges `fields` into the document `id`, creating it when missing.
+    async set(id, fields, session) {
+      await col.updateOne({ _id: id }, { $set: fields }, { upsert: true, session });
+    },
+
+    async unset(id, fields, session) {
+      await col.updateOne({ _id: id }, { $unset: Object.fromEntries(fields.map(f => [f, ''])) }, { session });
+    },
+
+    listByType(type) {
+      return col.find({ type }).toArray();
+    },
+
+    // Takes the lock `id` unless another holder's `locked_until` is still ahead of `now`.
+    // Returns whether it was taken.
+    async acquireLock(id, fields, now) {
+      try {
+        await col.updateOne(
+          { _id: id, $or: [{ locked_until: { $lt: now } }, { locked_until: { $exists: false } }] },
+          { $set: fields },
+          { upsert: true }
+        );
+        return true;
+      } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+      }
+    },
+
+    findDepositMarker(txHash, session) {
+      return col.findOne({ $or: [{ _id: { $in: depositMarkerIds(txHash) } }, { transaction_hash: txHash }] }, { session });
+    },
+
+    async putDepositMarker(txHash, userAddress, session) {
+      const marker = { transaction_hash: txHash, user_address: userAddress, created_at: new Date() };
+      const [markerId, legacyId] = depositMarkerIds(txHash);
+      await col.updateOne({ _id: markerId }, { $set: marker }, { upsert: true, session });
+      await col.updateOne({ _id: legacyId }, { $set: { ...marker, is_yieldo_deposit: true } }, { upsert: true, session });
+    },
+
+    async clearDepositMarkers(txHash, session) {
+      await col.deleteMany({ $or: [{ _id: { $in: depositMarkerIds(txHash) } }, { transaction_hash: txHash }] }, { session });
+    },
+
+    ...documentMethods(col),
+  };
+}
+
+// Withdrawals marked through mark-yieldo before they were indexed (expire after an hour).
+export function createPendingWithdrawalRepository(col) {
+  return {
+    find(txHash, session) {
+      return col.findOne({ transaction_hash: txHash }, { session });
+    },
+
+    async put(txHash, userAddress, session) {
+      await col.updateOne(
+        { transaction_hash: txHash },
+        { $setOnInsert: { transaction_hash: txHash, user_address: userAddress, created_at: new Date() } },
+        { upsert: true, session }
+      );
+    },
+
+    async remove(txHash, session) {
+      await col.deleteMany({ transaction_hash: txHash }, { session });
+    },
+
+    ...documentMethods(col),
+  };
+}
+
+const dayKey = ({ date, vaultId, chain }) => ({ date, vault_id: vaultId, chain });
+
+// Daily snapshots, one per (date, vault). Filters: `vaultId`, `chain`, `date`, `dates`,
+// `dateRange` ({ from, to, toExclusive } date keys) and `reconciled`.
+export function createSnapshotRepository(col) {
+  function query(filter = {}) {
+    const scope = {};
+    if (filter.vaultId) scope.vault_id = filter.vaultId;
+    if (filter.chain) scope.chain = filter.chain;
+    if (filter.date) scope.date = filter.date;
+    if (filter.dates) scope.date = { $in: filter.dates };
+    if (filter.dateRange) scope.date = rangeQuery(filter.dateRange);
+    if (filter.reconciled) scope.reconciliation = { $ne: null };
+    return scope;
+  }
+
+  return {
+    ...cursorMethods('date'),
+
+    getDay(key) {
+      return col.findOne(dayKey(key));
+    },
+
+    async upsertDay(key, fields) {
+      await col.updateOne(dayKey(key), { $set: { ...dayKey(key), ...fields } }, { upsert: true });
+    },
+
+    // Sets `fields` on every snapshot matching `filter`; returns how many changed.
+    async patchDays(filter, fields) {
+      const result = await col.updateMany(query(filter), { $set: fields });
+      return result.modifiedCount;
+    },
+
+    find(filter, options) {
+      return findOrdered(col, [query(filter)], 'date', options);
+    },
+
+    count(filter) {
+      return col.countDocuments(query(filter));
+    },
+
+    async distinctDates(filter) {
+      return (await col.distinct('date', query(filter))).filter(Boolean).sort();
+    },
+
+    latest(filter) {
+      return col.findOne(query(filter), { sort: { date: -1 } });
+    },
+
+    async firstDate(filter) {
+      return (await col.findOne(query(filter), { sort: { date: 1 } }))?.date ?? null;
+    },
+
+    async removeDate(date) {
+      const result = await col.deleteMany({ date });
+      return result.deletedCount;
+    },
+
+    ...documentMethods(col),
+  };
+}
+
+// Intraday series points, one per (vault, interval, bucket). Filters: `vaultId`, `chain`,
+// `interval` and `bucketRange` ({ from, to, toExclusive } dates).
+export function createSeriesRepository(col) {
+  function query(filter = {}) {
+    const scope = {};
+    if (filter.vaultId) scope.vault_id = filter.vaultId;
+    if (filter.chain) scope.chain = filter.chain;
+    if (filter.interval) scope.interval = filter.interval;
+    if (filter.bucketRange) scope.bucket = rangeQuery(filter.bucketRange);
+    return scope;
+  }
+
+  return {
+    ...cursorMethods('bucket'),
+
+    async upsertPoint({ vaultId, chain, interval, bucket }, fields) {
+      const key = { vault_id: vaultId, chain, interval, bucket };
+      await col.updateOne(key, { $set: { ...key, ...fields }, $setOnInsert: { created_at: new Date() } }, { upsert: true });
+    },
+
+    find(filter, options) {
+      return findOrdered(col, [query(filter)], 'bucket', options);
+    },
+
+    count(filter) {
+      return col.countDocuments(query(filter));
+    },
+
+    // Deletes the points of `interval` in buckets before `cutoff`; returns how many.
+    async removeBefore(interval, cutoff) {
+      const result = await col.deleteMany({ interval, bucket: { $lt: cutoff } });
+      return result.deletedCount;
+    },
+
+    ...documentMethods(col),
+  };
+}
+
+const vaultQuery = ({ vaultId, chain } = {}) => allOf([vaultId && { vault_id: vaultId }, chain && { chain }]);
+
+export function createRatingRepository(col) {
+  return {
+    async upsert({ vaultId, chain }, doc) {
+      await col.updateOne({ vault_id: vaultId, chain }, { $set: doc }, { upsert: true });
+    },
+
+    find(filter) {
+      return col.find(vaultQuery(filter)).sort({ updated_at: -1 }).toArray();
+    },
+
+    ...documentMethods(col),
+  };
+}
+
+export function createRatingHistoryRepository(col) {
+  return {
+    async insert(doc) {
+      await col.insertOne(doc);
+    },
+
+    // Newest first.
+    find(filter, { limit } = {}) {
+      let cursor = col.find(vaultQuery(filter)).sort({ snapshot_at: -1 });
+      if (limit) cursor = cursor.limit(limit);
+      return cursor.toArray();
+    },
+
+    ...documentMethods(col),
+  };
+}
+
+const toObjectId = id => (ObjectId.isValid(id) ? new ObjectId(id) : null);
+
+export function createBackfillJobRepository(col) {
+  return {
+    async insert(job, session) {
+      const { insertedId } = await col.insertOne(job, { session });
+      return insertedId;
+    },
+
+    get(id) {
+      const _id = toObjectId(id);
+      return _id ? col.findOne({ _id }) : null;
+    },
+
+    // Newest first. Filters: `vaultId`, `status`.
+    find({ vaultId, status } = {}, { limit } = {}) {
+      const filter = allOf([vaultId && { vault_id: vaultId }, status && { status }]);
+      let cursor = col.find(filter).sort({ created_at: -1 });
+      if (limit) cursor = cursor.limit(limit);
+      return cursor.toArray();
+    },
+
+    // Cancels the job when it is in one of `statuses`; returns it, or null.
+    cancel(id, statuses) {
+      const _id = toObjectId(id);
+      if (!_id) return null;
+      return col.findOneAndUpdate(
+        { _id, status: { $in: statuses } },
+        { $set: { status: 'cancelled', finished_at: new Date(), updated_at: new Date() } },
+        { returnDocument: 'after' }
+      );
+    },
+
+    // Marks the next job in one of `statuses` running (running ones first, then oldest first)
+    // and returns it.
+    claimNext(statuses) {
+      return col.findOneAndUpdate(
+        { status: { $in: statuses } },
+        { $set: { status: 'running', updated_at: new Date() } },
+        { sort: { status: -1, created_at: 1 }, returnDocument: 'after' }
+      );
+    },
+
+    async getStatus(id) {
+      return (await col.findOne({ _id: id }, { projection: { status: 1 } }))?.status ?? null;
+    },
+
+    async markStarted(id) {
+      await col.updateOne({ _id: id }, { $set: { started_at: new Date() } });
+    },
+
+    async recordChunk(id, nextBlock, session) {
+      await col.updateOne(
+        { _id: id },
+        { $set: { next_block: nextBlock, chunk_attempts: 0, updated_at: new Date() }, $inc: { chunks_done: 1 } },
+        { session }
+      );
+    },
+
+    // Records a failed chunk attempt, keeping the last `keepErrors` errors; `fields` holds
+    // chunk_attempts, last_error and (when the job gives up) its final status.
+    async recordFailure(id, fields, error, keepErrors) {
+      await col.updateOne(
+        { _id: id },
+        { $set: { ...fields, updated_at: new Date() }, $push: { errors: { $each: [error], $slice: -keepErrors } } }
+      );
+    },
+
+    async complete(id) {
+      await col.updateOne(
+        { _id: id, status: 'running' },
+        { $set: { status: 'completed', finished_at: new Date(), updated_at: new Date() } }
+      );
+    },
+
+    async fail(id, message) {
+      await col.updateOne(
+        { _id: id },
+        { $set: { status: 'failed', last_error: message, finished_at: new Date(), updated_at: new Date() } }
+      );
+    },
+
+    ...documentMethods(col),
+  };
+}
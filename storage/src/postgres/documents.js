@@ -0,0 +1,135 @@
+import { randomUUID } from 'crypto';
+import { decodeCursor, encodeCursor } from '../cursor.js';
+
+// Documents are stored in Postgres as JSONB, with dates tagged the way extended JSON does
+// ({ $date }) so they come back as Dates. Queries use the generated columns of each table (see
+// postgres-migrations/) wherever one exists.
+
+export function encodeValue(value) {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (value && typeof value === 'object') {
+    const encoded = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (v !== undefined) encoded[key] = encodeValue(v);
+    }
+    return encoded;
+  }
+  return value;
+}
+
+export function decodeValue(value) {
+  if (Array.isArray(value)) return value.map(decodeValue);
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === '$date') return new Date(value.$date);
+    if (keys.length === 1 && keys[0] === '$oid') return value.$oid;
+    const decoded = {};
+    for (const [key, v] of Object.entries(value)) decoded[key] = decodeValue(v);
+    return decoded;
+  }
+  return value;
+}
+
+// Ids are UUID strings, kept in the text primary key and as `_id` in the document. Rows
+// written with ObjectIds hold them as hex ({ $oid } in the document) and read back as strings.
+export function newId() {
+  return randomUUID();
+}
+
+// `doc` as a JSONB parameter.
+export function jsonb(doc) {
+  return JSON.stringify(encodeValue(doc));
+}
+
+export function fromRow(row) {
+  return decodeValue(row.doc);
+}
+
+// Positional parameters: `param(value)` adds `value` and returns its placeholder.
+export function createParams() {
+  const values = [];
+  return { values, param: value => `$${values.push(value)}` };
+}
+
+export function whereClause(conditions) {
+  return conditions.length ? conditions.join(' AND ') : 'TRUE';
+}
+
+// `{ from, to, toExclusive }` as conditions on the SQL expression `column`.
+export function rangeConditions(column, { from, to, toExclusive }, param) {
+  const conditions = [];
+  if (from) conditions.push(`${column} >= ${param(from)}`);
+  if (to) conditions.push(`${column} ${toExclusive ? '<' : '<='} ${param(to)}`);
+  return conditions;
+}
+
+// Cursors of rows listed by `field` (see cursor.js).
+export function cursorMethods(field) {
+  return {
+    cursorOf(doc) {
+      return encodeCursor(doc[field] ?? null, String(doc._id));
+    },
+  };
+}
+
+// Rows after `after` in (column, id) order; nulls sort before all other values, as in MongoDB.
+function afterPosition(column, { value, id }, order, param) {
+  const idOp = order === 1 ? '>' : '<';
+  if (value === null) {
+    const sameValue = `(${column} IS NULL AND id ${idOp} ${param(id)})`;
+    return order === 1 ? `(${sameValue} OR ${column} IS NOT NULL)` : sameValue;
+  }
+  const position = param(value);
+  const next = [`${column} ${idOp} ${position}`, `(${column} = ${position} AND id ${idOp} ${param(id)})`];
+  if (order === -1) next.push(`${column} IS NULL`);
+  return `(${next.join(' OR ')})`;
+}
+
+/**
+ * The rows of `table` matching all of `conditions` (SQL built with `params`) in (column, id)
+ * order. `options` is `{ order, limit, after }` as on the MongoDB backend, `after` being a cursor
+ * from `cursorOf`.
+ */
+export async function findOrdered(db, table, { conditions, params }, column, { order = 1, limit, after } = {}) {
+  const { values, param } = params;
+  const where = after ? [...conditions, afterPosition(column, decodeCursor(after), order, param)] : conditions;
+  const direction = order === 1 ? 'ASC NULLS FIRST' : 'DESC NULLS LAST';
+  let sql = `SELECT doc FROM ${table} WHERE ${whereClause(where)} ORDER BY ${column} ${direction}, id ${order === 1 ? 'ASC' : 'DESC'}`;
+  if (limit) sql += ` LIMIT ${param(limit)}`;
+  const { rows } = await db.query(sql, values);
+  return rows.map(fromRow);
+}
+
+const DEFAULT_BATCH_SIZE = 500;
+
+// The document scan and patch every repository offers to data migrations.
+export function documentMethods(pool, table) {
+  return {
+    // Every document lacking all of the `missing` fields, in id order, read in batches.
+    async *scanDocuments({ missing = [] } = {}, batchSize = DEFAULT_BATCH_SIZE) {
+      let lastId = null;
+      for (;;) {
+        const { values, param } = createParams();
+        const conditions = missing.map(field => `NOT doc ? ${param(field)}`);
+        if (lastId !== null) conditions.push(`id > ${param(lastId)}`);
+        const { rows } = await pool.query(
+          `SELECT id, doc FROM ${table} WHERE ${whereClause(conditions)} ORDER BY id LIMIT ${param(batchSize)}`,
+          values
+        );
+        yield* rows.map(fromRow);
+        if (rows.length < batchSize) return;
+        lastId = rows[rows.length - 1].id;
+      }
+    },
+
+    async patchDocument(id, { set = {}, unset = [] }, session) {
+      if (!Object.keys(set).length && !unset.length) return;
+      await (session?.pgClient || pool).query(
+        `UPDATE ${table} SET doc = (doc || $2::jsonb) - $3::text[] WHERE id = $1`,
+        [id, jsonb(set), unset]
+      );
+    },
+  };
+}
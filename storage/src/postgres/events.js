@@ -0,0 +1,297 @@
+import {
+  createParams,
+  documentMethods,
+  cursorMethods,
+  findOrdered,
+  fromRow,
+  jsonb,
+  newId,
+  rangeConditions,
+  whereClause,
+} from './documents.js';
+
+// Deposits, withdrawals and intents: the Postgres side of mongo/events.js.
+
+const EVENT_TIME = 'COALESCE(block_timestamp, created_at)';
+
+function scopeConditions({ chain, vaultId }, param) {
+  return [`chain = ${param(chain)}`, `vault_id = ${param(vaultId)}`];
+}
+
+// `field` (a block number stored as a decimal string) is past `blockNumber`.
+function afterBlock(field, blockNumber, param) {
+  const column = field === 'block_number' ? field : `yieldo_numeric(doc->'${field}')::BIGINT`;
+  return `${column} > ${param(blockNumber.toString())}`;
+}
+
+export function createEventMethods(pool, table, { amountField, yieldoCondition }) {
+  const db = session => session?.pgClient || pool;
+
+  function query(filter = {}) {
+    const params = createParams();
+    const { param } = params;
+    const conditions = [];
+    if (filter.chain) conditions.push(`chain = ${param(filter.chain)}`);
+    if (filter.vaultId) conditions.push(`vault_id = ${param(filter.vaultId)}`);
+    if (filter.user) conditions.push(`user_address = ${param(filter.user)}`);
+    if (filter.transactionHash) conditions.push(`transaction_hash = ${param(filter.transactionHash)}`);
+    if (filter.statuses) conditions.push(`status = ANY(${param(filter.statuses)}::text[])`);
+    if (filter.sources) conditions.push(`source = ANY(${param(filter.sources)}::text[])`);
+    if (filter.yieldo) conditions.push(yieldoCondition);
+    if (filter.time) conditions.push(...rangeConditions(EVENT_TIME, filter.time, param));
+    const amount = `yieldo_numeric(doc->'${amountField}')`;
+    if (filter.minAmount) conditions.push(`${amount} >= ${param(filter.minAmount)}::numeric`);
+    if (filter.maxAmount) conditions.push(`${amount} <= ${param(filter.maxAmount)}::numeric`);
+    return { conditions, params };
+  }
+
+  return {
+    ...cursorMethods('block_timestamp'),
+
+    find(filter, options, session) {
+      return findOrdered(db(session), table, query(filter), 'block_timestamp', options);
+    },
+
+    async count(filter, session) {
+      const { conditions, params } = query(filter);
+      const { rows } = await db(session).query(
+        `SELECT count(*)::int AS n FROM ${table} WHERE ${whereClause(conditions)}`,
+        params.values
+      );
+      return rows[0].n;
+    },
+
+    async firstEventTime(scope) {
+      const { values, param } = createParams();
+      const { rows } = await pool.query(
+        `SELECT min(block_timestamp) AS first FROM ${table} WHERE ${whereClause(scopeConditions(scope, param))}`,
+        values
+      );
+      return rows[0].first;
+    },
+
+    async removeAfterBlock(scope, blockNumber, session) {
+      const { values, param } = createParams();
+      const conditions = [...scopeConditions(scope, param), afterBlock('block_number', blockNumber, param)];
+      const { rows } = await db(session).query(`DELETE FROM ${table} WHERE ${whereClause(conditions)} RETURNING doc`, values);
+      return rows.map(fromRow);
+    },
+
+    ...documentMethods(pool, table),
+  };
+}
+
+// Moves the rows matching `conditions` that are in one of the `from` statuses and not already
+// carrying `fields`; returns how many changed.
+async function updateStatus(db, table, conditions, from, fields, params) {
+  const { values, param } = params;
+  const patch = param(jsonb(fields));
+  const { rowCount } = await db.query(
+    `UPDATE ${table} SET doc = doc || ${patch}::jsonb
+     WHERE ${whereClause([...conditions, `status = ANY(${param(from)}::text[])`, `NOT doc @> ${patch}::jsonb`])}`,
+    values
+  );
+  return rowCount;
+}
+
+function logMethods(pool, table) {
+  const db = session => session?.pgClient || pool;
+  const byLog = ({ chain, transactionHash, logIndex }, param) =>
+    [`chain = ${param(chain)}`, `transaction_hash = ${param(transactionHash)}`, `log_index = ${param(logIndex)}`];
+
+  return {
+    async adoptLegacy({ chain, transactionHash, logIndex }, session) {
+      await db(session).query(
+        `UPDATE ${table} SET doc = doc || jsonb_build_object('log_index', $3::int)
+         WHERE id = (SELECT id FROM ${table} WHERE chain = $1 AND transaction_hash = $2 AND NOT doc ? 'log_index' LIMIT 1)`,
+        [chain, transactionHash, logIndex]
+      );
+    },
+
+    async upsertByLog(log, set = {}, setOnInsert = {}, session) {
+      const doc = {
+        _id: newId(),
+        chain: log.chain,
+        transaction_hash: log.transactionHash,
+        log_index: log.logIndex,
+        ...setOnInsert,
+        ...set,
+      };
+      await db(session).query(
+        `INSERT INTO ${table} AS t (id, doc) VALUES ($1, $2::jsonb)
+         ON CONFLICT (chain, transaction_hash, log_index) DO UPDATE SET doc = t.doc || $3::jsonb`,
+        [doc._id, jsonb(doc), jsonb(set)]
+      );
+    },
+
+    async findByLog(log, session) {
+      const { values, param } = createParams();
+      const { rows } = await db(session).query(
+        `SELECT doc FROM ${table} WHERE ${whereClause(byLog(log, param))} LIMIT 1`,
+        values
+      );
+      return rows.length ? fromRow(rows[0]) : null;
+    },
+
+    async findOpenRequests({ chain, vaultId, user, requestId, statuses }, session) {
+      const { rows } = await db(session).query(
+        `SELECT doc FROM ${table}
+         WHERE chain = $1 AND vault_id = $2 AND user_address = $3 AND status = ANY($4::text[])
+           AND (request_id = $5 OR (NOT doc ? 'request_id' AND epoch_id = $6))`,
+        [chain, vaultId, user, statuses, requestId.toString(), Number(requestId)]
+      );
+      return rows.map(fromRow);
+    },
+
+    setStatus({ ids }, from, fields, session) {
+      const params = createParams();
+      return updateStatus(db(session), table, [`id = ANY(${params.param(ids)}::text[])`], from, fields, params);
+    },
+
+    async markYieldo(transactionHash) {
+      const { rows } = await pool.query(
+        `WITH matched AS (
+           SELECT id, source IS DISTINCT FROM 'yieldo' AS changes FROM ${table} WHERE transaction_hash = $1 FOR UPDATE
+         ), updated AS (
+           UPDATE ${table} AS t SET doc = t.doc || '{"source":"yieldo"}'::jsonb
+           FROM matched WHERE t.id = matched.id AND matched.changes RETURNING t.id
+         )
+         SELECT (SELECT count(*) FROM matched)::int AS matched, (SELECT count(*) FROM updated)::int AS modified`,
+        [transactionHash]
+      );
+      return rows[0];
+    },
+  };
+}
+
+const SETTLEMENT_FIELDS = ['settled_at', 'settled_tx', 'settled_log_index', 'settled_block_number', 'settled_block_hash'];
+const CLAIM_FIELDS = ['withdrawn_at', 'withdrawn_tx', 'withdrawn_log_index', 'withdrawn_block_number', 'withdrawn_block_hash'];
+
+// Moves the vault's rows in `status` whose `blockField` is past `blockNumber` back to `set`,
+// dropping `unset`; returns how many.
+async function revertAfterBlock(db, table, scope, { status, blockField, blockNumber, set, unset, extra = [] }) {
+  const { values, param } = createParams();
+  const conditions = [
+    ...scopeConditions(scope, param),
+    `status = ${param(status)}`,
+    afterBlock(blockField, blockNumber, param),
+    ...extra,
+  ];
+  const { rowCount } = await db.query(
+    `UPDATE ${table} SET doc = (doc || ${param(jsonb(set))}::jsonb) - ${param(unset)}::text[] WHERE ${whereClause(conditions)}`,
+    values
+  );
+  return rowCount;
+}
+
+export function createDepositRepository(pool, table) {
+  const db = session => session?.pgClient || pool;
+  return {
+    ...createEventMethods(pool, table, {
+      amountField: 'amount',
+      yieldoCondition: "(source = 'yieldo' OR intent_hash IS NOT NULL)",
+    }),
+    ...logMethods(pool, table),
+
+    async linkIntent({ chain, vaultId, transactionHash, requestId }, { intentHash, userAddress }, session) {
+      const { values, param } = createParams();
+      const conditions = [`chain = ${param(chain)}`, `vault_id = ${param(vaultId)}`, `transaction_hash = ${param(transactionHash)}`];
+      if (requestId !== undefined) conditions.push(`request_id = ${param(requestId)}`);
+      const patch = param(jsonb({ intent_hash: intentHash, user_address: userAddress, source: 'yieldo' }));
+      await db(session).query(`UPDATE ${table} SET doc = doc || ${patch}::jsonb WHERE ${whereClause(conditions)}`, values);
+    },
+
+    unsettleAfterBlock(scope, blockNumber, session) {
+      return revertAfterBlock(db(session), table, scope, {
+        status: 'settled',
+        blockField: 'settled_block_number',
+        blockNumber,
+        set: { status: 'requested', shares: null },
+        unset: SETTLEMENT_FIELDS,
+      });
+    },
+  };
+}
+
+export function createWithdrawalRepository(pool, table) {
+  const db = session => session?.pgClient || pool;
+  return {
+    ...createEventMethods(pool, table, { amountField: 'assets', yieldoCondition: "source = 'yieldo'" }),
+    ...logMethods(pool, table),
+
+    async findClaim({ chain, vaultId, transactionHash, logIndex }, session) {
+      const { rows } = await db(session).query(
+        `SELECT doc FROM ${table}
+         WHERE chain = $1 AND vault_id = $2 AND (
+           (doc->>'withdrawn_tx' = $3 AND (doc->>'withdrawn_log_index' IS NULL OR yieldo_numeric(doc->'withdrawn_log_index') = $4))
+           OR (transaction_hash = $3 AND log_index = $4)
+         )
+         LIMIT 1`,
+        [chain, vaultId, transactionHash, logIndex]
+      );
+      return rows.length ? fromRow(rows[0]) : null;
+    },
+
+    async unclaimAfterBlock(scope, blockNumber, session) {
+      const claim = { status: 'withdrawn', blockField: 'withdrawn_block_number', blockNumber, unset: CLAIM_FIELDS };
+      const settled = await revertAfterBlock(db(session), table, scope, {
+        ...claim,
+        set: { status: 'settled' },
+        extra: ['settled_at IS NOT NULL'],
+      });
+      const pending = await revertAfterBlock(db(session), table, scope, { ...claim, set: { status: 'pending' } });
+      return settled + pending;
+    },
+
+    unsettleAfterBlock(scope, blockNumber, session) {
+      return revertAfterBlock(db(session), table, scope, {
+        status: 'settled',
+        blockField: 'settled_block_number',
+        blockNumber,
+        set: { status: 'pending', assets: null },
+        unset: SETTLEMENT_FIELDS,
+      });
+    },
+  };
+}
+
+export function createIntentRepository(pool, table) {
+  const db = session => session?.pgClient || pool;
+  const byHash = ({ chain, vaultId, intentHash }, param) =>
+    [`intent_hash = ${param(intentHash)}`, `chain = ${param(chain)}`, `vault_id = ${param(vaultId)}`];
+
+  return {
+    ...createEventMethods(pool, table, { amountField: 'amount', yieldoCondition: 'TRUE' }),
+
+    async insertIfAbsent({ chain, vaultId, intentHash }, doc, session) {
+      const row = { _id: newId(), intent_hash: intentHash, chain, vault_id: vaultId, ...doc };
+      await db(session).query(
+        `INSERT INTO ${table} (id, doc) VALUES ($1, $2::jsonb) ON CONFLICT (intent_hash, chain, vault_id) DO NOTHING`,
+        [row._id, jsonb(row)]
+      );
+    },
+
+    setStatus(key, from, fields, session) {
+      const params = createParams();
+      return updateStatus(db(session), table, byHash(key, params.param), from, fields, params);
+    },
+
+    async findExecutedInTransaction({ chain, vaultId, transactionHash }, session) {
+      const { rows } = await db(session).query(
+        `SELECT doc FROM ${table} WHERE chain = $1 AND vault_id = $2 AND executed_tx = $3 LIMIT 1`,
+        [chain, vaultId, transactionHash]
+      );
+      return rows.length ? fromRow(rows[0]) : null;
+    },
+
+    reopenAfterBlock(scope, blockNumber, session) {
+      return revertAfterBlock(db(session), table, scope, {
+        status: 'executed',
+        blockField: 'executed_block_number',
+        blockNumber,
+        set: { status: 'pending' },
+        unset: ['executed_at', 'executed_tx', 'executed_block_number', 'request_id'],
+      });
+    },
+  };
+}
@@ -0,0 +1,115 @@
+import pg from 'pg';
+import { readdir, readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createDepositRepository, createIntentRepository, createWithdrawalRepository } from './events.js';
+import {
+  createBackfillJobRepository,
+  createMetaRepository,
+  createPendingWithdrawalRepository,
+  createRatingHistoryRepository,
+  createRatingRepository,
+  createSeriesRepository,
+  createSnapshotRepository,
+} from './records.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_MIGRATIONS_DIR = join(__dirname, '..', '..', 'postgres-migrations');
+const MIGRATION_LOCK_ID = 7531902;
+const TTL_PURGE_INTERVAL_MS = 60_000;
+const PENDING_WITHDRAWAL_TTL_MS = 3600 * 1000;
+const RETRYABLE_TRANSACTION_CODES = new Set(['40001', '40P01']);
+
+const FACTORIES = {
+  intents: createIntentRepository,
+  deposits: createDepositRepository,
+  withdrawals: createWithdrawalRepository,
+  snapshots: createSnapshotRepository,
+  snapshotSeries: createSeriesRepository,
+  meta: createMetaRepository,
+  pendingYieldoWithdrawals: createPendingWithdrawalRepository,
+  ratings: createRatingRepository,
+  ratingHistory: createRatingHistoryRepository,
+  backfillJobs: createBackfillJobRepository,
+};
+
+async function migrate(pool, dir) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await client.query(
+      'CREATE TABLE IF NOT EXISTS schema_migrations (name TEXT PRIMARY KEY, applied_at TIMESTAMPTZ NOT NULL DEFAULT now())'
+    );
+    const { rows } = await client.query('SELECT name FROM schema_migrations');
+    const applied = new Set(rows.map(r => r.name));
+    const files = (await readdir(dir)).filter(f => f.endsWith('.sql')).sort();
+    for (const file of files) {
+      if (applied.has(file)) continue;
+      const sql = await readFile(join(dir, file), 'utf8');
+      await client.query('BEGIN');
+      try {
+        await client.query(sql);
+        await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Postgres migration ${file} failed: ${error.message}`, { cause: error });
+      }
+      console.log(`Applied Postgres migration ${file}`);
+    }
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+/**
+ * Opens the Postgres backend: applies pending migrations, then returns a repository per
+ * entry of `tables` ({ name: tableName }).
+ */
+export async function openPostgresStorage({ connectionString, tables, migrationsDir = DEFAULT_MIGRATIONS_DIR }) {
+  const pool = new pg.Pool({ connectionString });
+  await migrate(pool, migrationsDir);
+
+  const repositories = {};
+  for (const [name, table] of Object.entries(tables)) {
+    repositories[name] = FACTORIES[name](pool, table);
+  }
+
+  // Counterpart of the MongoDB TTL index on pending_yieldo_withdrawals.
+  const purgeTimer = setInterval(() => {
+    pool.query(
+      `DELETE FROM ${tables.pendingYieldoWithdrawals} WHERE created_at < $1`,
+      [new Date(Date.now() - PENDING_WITHDRAWAL_TTL_MS)]
+    ).catch(error => console.warn(`TTL purge of ${tables.pendingYieldoWithdrawals} failed:`, error.message));
+  }, TTL_PURGE_INTERVAL_MS);
+  purgeTimer.unref();
+
+  return {
+    backend: 'postgres',
+    ...repositories,
+
+    async withTransaction(fn) {
+      for (let attempt = 1; ; attempt++) {
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+          const result = await fn({ pgClient: client });
+          await client.query('COMMIT');
+          return result;
+        } catch (error) {
+          await client.query('ROLLBACK').catch(() => {});
+          if (attempt < 3 && RETRYABLE_TRANSACTION_CODES.has(error.code)) continue;
+          throw error;
+        } finally {
+          client.release();
+        }
+      }
+    },
+
+    async close() {
+      clearInterval(purgeTimer);
+      await pool.end();
+    },
+  };
+}
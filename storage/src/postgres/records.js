@@ -0,0 +1,375 @@
+import {
+  createParams,
+  documentMethods,
+  cursorMethods,
+  findOrdered,
+  fromRow,
+  jsonb,
+  newId,
+  rangeConditions,
+  whereClause,
+} from './documents.js';
+
+// The Postgres side of mongo/records.js.
+
+const depositMarkerIds = txHash => [`pending_yieldo_deposit_${txHash}`, txHash];
+
+// `field` is present and not null.
+const present = field => `jsonb_typeof(doc->'${field}') <> 'null'`;
+
+async function selectOne(db, sql, values) {
+  const { rows } = await db.query(sql, values);
+  return rows.length ? fromRow(rows[0]) : null;
+}
+
+export function createMetaRepository(pool, table) {
+  const db = session => session?.pgClient || pool;
+  return {
+    get(id, session) {
+      return selectOne(db(session), `SELECT doc FROM ${table} WHERE id = $1`, [id]);
+    },
+
+    async set(id, fields, session) {
+      await db(session).query(
+        `INSERT INTO ${table} AS t (id, doc) VALUES ($1, $2::jsonb) ON CONFLICT (id) DO UPDATE SET doc = t.doc || $3::jsonb`,
+        [id, jsonb({ _id: id, ...fields }), jsonb(fields)]
+      );
+    },
+
+    async unset(id, fields, session) {
+      await db(session).query(`UPDATE ${table} SET doc = doc - $2::text[] WHERE id = $1`, [id, fields]);
+    },
+
+    async listByType(type) {
+      const { rows } = await pool.query(`SELECT doc FROM ${table} WHERE doc->>'type' = $1`, [type]);
+      return rows.map(fromRow);
+    },
+
+    async acquireLock(id, fields, now) {
+      const { rowCount } = await pool.query(
+        `INSERT INTO ${table} AS t (id, doc) VALUES ($1, $2::jsonb)
+         ON CONFLICT (id) DO UPDATE SET doc = t.doc || $3::jsonb
+         WHERE NOT t.doc ? 'locked_until' OR yieldo_timestamp(t.doc->'locked_until') < $4
+         RETURNING id`,
+        [id, jsonb({ _id: id, ...fields }), jsonb(fields), now]
+      );
+      return rowCount > 0;
+    },
+
+    findDepositMarker(txHash, session) {
+      return selectOne(
+        db(session),
+        `SELECT doc FROM ${table} WHERE id = ANY($1::text[]) OR doc->>'transaction_hash' = $2 LIMIT 1`,
+        [depositMarkerIds(txHash), txHash]
+      );
+    },
+
+    async putDepositMarker(txHash, userAddress, session) {
+      const marker = { transaction_hash: txHash, user_address: userAddress, created_at: new Date() };
+      const [markerId, legacyId] = depositMarkerIds(txHash);
+      await this.set(markerId, marker, session);
+      await this.set(legacyId, { ...marker, is_yieldo_deposit: true }, session);
+    },
+
+    async clearDepositMarkers(txHash, session) {
+      await db(session).query(
+        `DELETE FROM ${table} WHERE id = ANY($1::text[]) OR doc->>'transaction_hash' = $2`,
+        [depositMarkerIds(txHash), txHash]
+      );
+    },
+
+    ...documentMethods(pool, table),
+  };
+}
+
+// Markers are keyed by transaction hash.
+export function createPendingWithdrawalRepository(pool, table) {
+  const db = session => session?.pgClient || pool;
+  return {
+    find(txHash, session) {
+      return selectOne(db(session), `SELECT doc FROM ${table} WHERE transaction_hash = $1 LIMIT 1`, [txHash]);
+    },
+
+    async put(txHash, userAddress, session) {
+      const marker = { _id: txHash, transaction_hash: txHash, user_address: userAddress, created_at: new Date() };
+      await db(session).query(`INSERT INTO ${table} (id, doc) VALUES ($1, $2::jsonb) ON CONFLICT (id) DO NOTHING`, [txHash, jsonb(marker)]);
+    },
+
+    async remove(txHash, session) {
+      await db(session).query(`DELETE FROM ${table} WHERE transaction_hash = $1`, [txHash]);
+    },
+
+    ...documentMethods(pool, table),
+  };
+}
+
+export function createSnapshotRepository(pool, table) {
+  function query(filter = {}) {
+    const params = createParams();
+    const { param } = params;
+    const conditions = [];
+    if (filter.vaultId) conditions.push(`vault_id = ${param(filter.vaultId)}`);
+    if (filter.chain) conditions.push(`chain = ${param(filter.chain)}`);
+    if (filter.date) conditions.push(`date = ${param(filter.date)}`);
+    if (filter.dates) conditions.push(`date = ANY(${param(filter.dates)}::text[])`);
+    if (filter.dateRange) conditions.push(...rangeConditions('date', filter.dateRange, param));
+    if (filter.reconciled) conditions.push(present('reconciliation'));
+    return { conditions, params };
+  }
+
+  return {
+    ...cursorMethods('date'),
+
+    getDay({ date, vaultId, chain }) {
+      return selectOne(pool, `SELECT doc FROM ${table} WHERE date = $1 AND vault_id = $2 AND chain = $3`, [date, vaultId, chain]);
+    },
+
+    async upsertDay({ date, vaultId, chain }, fields) {
+      const set = { date, vault_id: vaultId, chain, ...fields };
+      const id = newId();
+      await pool.query(
+        `INSERT INTO ${table} AS t (id, doc) VALUES ($1, $2::jsonb)
+         ON CONFLICT (date, vault_id, chain) DO UPDATE SET doc = t.doc || $3::jsonb`,
+        [id, jsonb({ _id: id, ...set }), jsonb(set)]
+      );
+    },
+
+    async patchDays(filter, fields) {
+      const { conditions, params } = query(filter);
+      const patch = params.param(jsonb(fields));
+      const { rowCount } = await pool.query(
+        `UPDATE ${table} SET doc = doc || ${patch}::jsonb WHERE ${whereClause([...conditions, `NOT doc @> ${patch}::jsonb`])}`,
+        params.values
+      );
+      return rowCount;
+    },
+
+    find(filter, options) {
+      return findOrdered(pool, table, query(filter), 'date', options);
+    },
+
+    async count(filter) {
+      const { conditions, params } = query(filter);
+      const { rows } = await pool.query(`SELECT count(*)::int AS n FROM ${table} WHERE ${whereClause(conditions)}`, params.values);
+      return rows[0].n;
+    },
+
+    async distinctDates(filter) {
+      const { conditions, params } = query(filter);
+      const { rows } = await pool.query(
+        `SELECT DISTINCT date FROM ${table} WHERE ${whereClause([...conditions, 'date IS NOT NULL'])} ORDER BY date`,
+        params.values
+      );
+      return rows.map(r => r.date);
+    },
+
+    latest(filter) {
+      const { conditions, params } = query(filter);
+      return selectOne(pool, `SELECT doc FROM ${table} WHERE ${whereClause(conditions)} ORDER BY date DESC LIMIT 1`, params.values);
+    },
+
+    async firstDate(filter) {
+      const { conditions, params } = query(filter);
+      const { rows } = await pool.query(`SELECT min(date) AS first FROM ${table} WHERE ${whereClause(conditions)}`, params.values);
+      return rows[0].first;
+    },
+
+    async removeDate(date) {
+      const { rowCount } = await pool.query(`DELETE FROM ${table} WHERE date = $1`, [date]);
+      return rowCount;
+    },
+
+    ...documentMethods(pool, table),
+  };
+}
+
+export function createSeriesRepository(pool, table) {
+  function query(filter = {}) {
+    const params = createParams();
+    const { param } = params;
+    const conditions = [];
+    if (filter.vaultId) conditions.push(`vault_id = ${param(filter.vaultId)}`);
+    if (filter.chain) conditions.push(`chain = ${param(filter.chain)}`);
+    if (filter.interval) conditions.push(`"interval" = ${param(filter.interval)}`);
+    if (filter.bucketRange) conditions.push(...rangeConditions('bucket', filter.bucketRange, param));
+    return { conditions, params };
+  }
+
+  return {
+    ...cursorMethods('bucket'),
+
+    async upsertPoint({ vaultId, chain, interval, bucket }, fields) {
+      const set = { vault_id: vaultId, chain, interval, bucket, ...fields };
+      const id = newId();
+      await pool.query(
+        `INSERT INTO ${table} AS t (id, doc) VALUES ($1, $2::jsonb)
+         ON CONFLICT (vault_id, chain, "interval", bucket) DO UPDATE SET doc = t.doc || $3::jsonb`,
+        [id, jsonb({ _id: id, ...set, created_at: new Date() }), jsonb(set)]
+      );
+    },
+
+    find(filter, options) {
+      return findOrdered(pool, table, query(filter), 'bucket', options);
+    },
+
+    async count(filter) {
+      const { conditions, params } = query(filter);
+      const { rows } = await pool.query(`SELECT count(*)::int AS n FROM ${table} WHERE ${whereClause(conditions)}`, params.values);
+      return rows[0].n;
+    },
+
+    async removeBefore(interval, cutoff) {
+      const { rowCount } = await pool.query(`DELETE FROM ${table} WHERE "interval" = $1 AND bucket < $2`, [interval, cutoff]);
+      return rowCount;
+    },
+
+    ...documentMethods(pool, table),
+  };
+}
+
+function vaultConditions({ vaultId, chain } = {}, param) {
+  const conditions = [];
+  if (vaultId) conditions.push(`vault_id = ${param(vaultId)}`);
+  if (chain) conditions.push(`chain = ${param(chain)}`);
+  return conditions;
+}
+
+export function createRatingRepository(pool, table) {
+  return {
+    async upsert({ vaultId, chain }, doc) {
+      const id = newId();
+      await pool.query(
+        `INSERT INTO ${table} AS t (id, doc) VALUES ($1, $2::jsonb)
+         ON CONFLICT (vault_id, chain) DO UPDATE SET doc = t.doc || $3::jsonb`,
+        [id, jsonb({ _id: id, vault_id: vaultId, chain, ...doc }), jsonb(doc)]
+      );
+    },
+
+    async find(filter) {
+      const { values, param } = createParams();
+      const { rows } = await pool.query(
+        `SELECT doc FROM ${table} WHERE ${whereClause(vaultConditions(filter, param))} ORDER BY updated_at DESC NULLS LAST`,
+        values
+      );
+      return rows.map(fromRow);
+    },
+
+    ...documentMethods(pool, table),
+  };
+}
+
+export function createRatingHistoryRepository(pool, table) {
+  return {
+    async insert(doc) {
+      if (doc._id === undefined) doc._id = newId();
+      await pool.query(`INSERT INTO ${table} (id, doc) VALUES ($1, $2::jsonb)`, [doc._id, jsonb(doc)]);
+    },
+
+    async find(filter, { limit } = {}) {
+      const { values, param } = createParams();
+      let sql = `SELECT doc FROM ${table} WHERE ${whereClause(vaultConditions(filter, param))} ORDER BY snapshot_at DESC NULLS LAST`;
+      if (limit) sql += ` LIMIT ${param(limit)}`;
+      const { rows } = await pool.query(sql, values);
+      return rows.map(fromRow);
+    },
+
+    ...documentMethods(pool, table),
+  };
+}
+
+export function createBackfillJobRepository(pool, table) {
+  const db = session => session?.pgClient || pool;
+
+  // Sets `fields` on the job `id` when it matches `conditions`; returns the updated job or null.
+  async function update(id, fields, conditions = [], values = []) {
+    return selectOne(
+      pool,
+      `UPDATE ${table} SET doc = doc || $2::jsonb WHERE ${whereClause(['id = $1', ...conditions])} RETURNING doc`,
+      [id, jsonb({ ...fields, updated_at: new Date() }), ...values]
+    );
+  }
+
+  return {
+    async insert(job, session) {
+      if (job._id === undefined) job._id = newId();
+      await db(session).query(`INSERT INTO ${table} (id, doc) VALUES ($1, $2::jsonb)`, [job._id, jsonb(job)]);
+      return job._id;
+    },
+
+    get(id) {
+      return selectOne(pool, `SELECT doc FROM ${table} WHERE id = $1`, [String(id)]);
+    },
+
+    async find({ vaultId, status } = {}, { limit } = {}) {
+      const { values, param } = createParams();
+      const conditions = [];
+      if (vaultId) conditions.push(`vault_id = ${param(vaultId)}`);
+      if (status) conditions.push(`status = ${param(status)}`);
+      let sql = `SELECT doc FROM ${table} WHERE ${whereClause(conditions)} ORDER BY created_at DESC`;
+      if (limit) sql += ` LIMIT ${param(limit)}`;
+      const { rows } = await pool.query(sql, values);
+      return rows.map(fromRow);
+    },
+
+    cancel(id, statuses) {
+      return update(String(id), { status: 'cancelled', finished_at: new Date() }, ['status = ANY($3::text[])'], [statuses]);
+    },
+
+    claimNext(statuses) {
+      return selectOne(
+        pool,
+        `UPDATE ${table} SET doc = doc || $2::jsonb
+         WHERE id = (
+           SELECT id FROM ${table} WHERE status = ANY($1::text[])
+           ORDER BY status DESC, created_at ASC LIMIT 1 FOR UPDATE SKIP LOCKED
+         )
+         RETURNING doc`,
+        [statuses, jsonb({ status: 'running', updated_at: new Date() })]
+      );
+    },
+
+    async getStatus(id) {
+      const { rows } = await pool.query(`SELECT status FROM ${table} WHERE id = $1`, [id]);
+      return rows[0]?.status ?? null;
+    },
+
+    async markStarted(id) {
+      await pool.query(`UPDATE ${table} SET doc = doc || $2::jsonb WHERE id = $1`, [id, jsonb({ started_at: new Date() })]);
+    },
+
+    async recordChunk(id, nextBlock, session) {
+      await (session?.pgClient || pool).query(
+        `UPDATE ${table}
+         SET doc = doc || $2::jsonb || jsonb_build_object('chunks_done', COALESCE(yieldo_numeric(doc->'chunks_done'), 0) + 1)
+         WHERE id = $1`,
+        [id, jsonb({ next_block: nextBlock, chunk_attempts: 0, updated_at: new Date() })]
+      );
+    },
+
+    async recordFailure(id, fields, error, keepErrors) {
+      await pool.query(
+        `UPDATE ${table}
+         SET doc = doc || $2::jsonb || jsonb_build_object('errors', (
+           SELECT COALESCE(jsonb_agg(kept.e ORDER BY kept.n), '[]'::jsonb) FROM (
+             SELECT e, n FROM jsonb_array_elements(
+               CASE WHEN jsonb_typeof(doc->'errors') = 'array' THEN doc->'errors' ELSE '[]'::jsonb END || jsonb_build_array($3::jsonb)
+             ) WITH ORDINALITY AS x(e, n)
+             ORDER BY n DESC LIMIT $4
+           ) AS kept
+         ))
+         WHERE id = $1`,
+        [id, jsonb({ ...fields, updated_at: new Date() }), jsonb(error), keepErrors]
+      );
+    },
+
+    async complete(id) {
+      await update(id, { status: 'completed', finished_at: new Date() }, ["status = 'running'"]);
+    },
+
+    async fail(id, message) {
+      await update(id, { status: 'failed', last_error: message, finished_at: new Date() });
+    },
+
+    ...documentMethods(pool, table),
+  };
+}
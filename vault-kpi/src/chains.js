@@ -0,0 +1,10 @@
+import { createPublicClient, http } from 'viem';
+import { getViemChain } from '../../config/chains.js';
+import { CHAINS } from '../vaults-config.js';
+
+export function createChainClient(chainId, rpcUrl) {
+  return createPublicClient({
+    chain: getViemChain(CHAINS, chainId),
+    transport: http(rpcUrl),
+  });
+}
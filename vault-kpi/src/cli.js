@@ -1,42 +1,25 @@
-import { MongoClient } from 'mongodb';
-import { createPublicClient, http } from 'viem';
-import { avalanche, mainnet } from 'viem/chains';
 import { VAULTS_CONFIG, getVaultById } from '../vaults-config.js';
+import { createChainClient } from './chains.js';
 import { runVaultKPI } from './run.js';
 import { getUnderlyingPrice, getTokenSupply } from './explorer-api.js';
+import { openStorage } from 'yieldo-storage';
 
-const MONGODB_URI = process.env.MONGODB_URI;
-const MONGODB_DB_NAME = process.env.MONGODB_DB_NAME || 'yieldo';
-
-const avalancheRpc = process.env.AVALANCHE_RPC_URL || 'https://api.avax.network/ext/bc/C/rpc';
-const ethereumRpc = process.env.ETHEREUM_RPC_URL || 'https://1rpc.io/eth';
-
-const clients = {
-  avalanche: createPublicClient({
-    chain: avalanche,
-    transport: http(avalancheRpc),
-  }),
-  ethereum: createPublicClient({
-    chain: mainnet,
-    transport: http(ethereumRpc),
-  }),
-};
+const clients = {};
+for (const vault of VAULTS_CONFIG) {
+  if (!clients[vault.chain]) {
+    clients[vault.chain] = createChainClient(vault.chainId, vault.rpcUrls[0]);
+  }
+}
 
 function getClientForVault(vaultConfig) {
   return clients[vaultConfig.chain];
 }
 
 async function main() {
-  if (!MONGODB_URI) {
-    console.error('Missing MONGODB_URI. Set it in .env at project root.');
-    process.exit(1);
-  }
-  const client = new MongoClient(MONGODB_URI);
-  await client.connect();
-  const db = client.db(MONGODB_DB_NAME);
+  const storage = await openStorage();
   try {
     const results = await runVaultKPI({
-      db,
+      storage,
       getClientForVault,
       VAULTS_CONFIG,
       getVaultById,
@@ -44,7 +27,7 @@ async function main() {
     });
     console.log('Vault KPI job completed:', results.length, 'vault(s)');
   } finally {
-    await client.close();
+    await storage.close();
   }
 }
 
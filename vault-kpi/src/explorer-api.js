@@ -1,14 +1,10 @@
-const ROUTESCAN_BASE = 'https://api.routescan.io/v2/network/mainnet/evm';
+import { getChainByKey } from '../vaults-config.js';
 
-const CHAIN_CONFIG = {
-  ethereum: { chainId: 1 },
-  avalanche: { chainId: 43114 },
-};
+const ROUTESCAN_BASE = 'https://api.routescan.io/v2/network/mainnet/evm';
 
-function getRoutescanUrl(chain) {
-  const config = CHAIN_CONFIG[chain];
-  if (!config) return null;
-  return `${ROUTESCAN_BASE}/${config.chainId}/etherscan/api`;
+function getRoutescanUrl(chainId) {
+  if (!chainId) return null;
+  return `${ROUTESCAN_BASE}/${chainId}/etherscan/api`;
 }
 
 const DEFILLAMA_PRICE_URL = 'https://coins.llama.fi/prices/current';
@@ -19,7 +15,7 @@ function getRoutescanApiKey() {
 
 export async function getTokenSupply(vaultConfig) {
   const chain = (vaultConfig?.chain || '').toLowerCase();
-  const baseUrl = getRoutescanUrl(chain);
+  const baseUrl = getRoutescanUrl(vaultConfig?.chainId);
   const contractaddress = vaultConfig?.asset?.address;
   
   if (!baseUrl || !contractaddress) return null;
@@ -54,16 +50,11 @@ export async function getTokenSupply(vaultConfig) {
   return null;
 }
 
-const DEFILLAMA_CHAIN_ID = {
-  ethereum: 'ethereum',
-  avalanche: 'avax',
-};
-
 export async function getUnderlyingPrice(vaultConfig) {
   const chain = (vaultConfig?.chain || '').toLowerCase();
   const address = vaultConfig?.asset?.address;
   if (!chain || !address) return null;
-  const llamaChain = DEFILLAMA_CHAIN_ID[chain] || chain;
+  const llamaChain = getChainByKey(chain)?.defillama || chain;
   const coinId = `${llamaChain}:${address}`;
   const url = `${DEFILLAMA_PRICE_URL}/${coinId}`;
   
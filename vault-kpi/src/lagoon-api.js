@@ -1,13 +1,7 @@
 const LAGOON_API_BASE = 'https://app.lagoon.finance/api/vault';
 
-const CHAIN_ID_MAP = {
-  ethereum: 1,
-  avalanche: 43114,
-};
-
 export async function fetchLagoonVaultData(vaultConfig) {
-  const chain = (vaultConfig?.chain || '').toLowerCase();
-  const chainId = CHAIN_ID_MAP[chain];
+  const chainId = vaultConfig?.chainId;
   const address = vaultConfig?.address;
 
   if (!chainId || !address) {
@@ -6,12 +6,9 @@ export async function getTVL(vaultInstance) {
 export async function getTVLChange(colSnapshots, vaultId, chain, days) {
   const now = new Date();
   const todayKey = now.toISOString().slice(0, 10);
-  let snapToday = await colSnapshots.findOne({ date: todayKey, vault_id: vaultId, chain });
+  let snapToday = await colSnapshots.getDay({ date: todayKey, vaultId, chain });
   if (!snapToday) {
-    const latest = await colSnapshots.findOne(
-      { vault_id: vaultId, chain },
-      { sort: { date: -1 } }
-    );
+    const latest = await colSnapshots.latest({ vaultId, chain });
     if (latest) snapToday = latest;
   }
   const refDate = snapToday ? snapToday.date : todayKey;
@@ -19,9 +16,9 @@ export async function getTVLChange(colSnapshots, vaultId, chain, days) {
   const past = new Date(refDateObj);
   past.setUTCDate(past.getUTCDate() - days);
   const pastKey = past.toISOString().slice(0, 10);
-  const snapPast = await colSnapshots.findOne({ date: pastKey, vault_id: vaultId, chain });
-  const tvlToday = BigInt(snapToday?.total_assets || '0');
-  const tvlPast = BigInt(snapPast?.total_assets || '0');
+  const snapPast = await colSnapshots.getDay({ date: pastKey, vaultId, chain });
+  const tvlToday = BigInt(snapToday?.vault_total_assets || '0');
+  const tvlPast = BigInt(snapPast?.vault_total_assets || '0');
   if (tvlPast === 0n) return null;
   return Number((tvlToday - tvlPast) * 10000n / tvlPast) / 100;
 }
@@ -31,17 +28,17 @@ export async function getNetFlows(colDeposits, colWithdrawals, vaultId, chain, d
   since.setUTCDate(since.getUTCDate() - days);
   const [deposits, withdrawals] = await Promise.all([
     colDeposits.find({
-      vault_id: vaultId,
+      vaultId,
       chain,
-      status: { $in: ['executed', 'settled'] },
-      created_at: { $gte: since },
-    }).toArray(),
+      statuses: ['executed', 'settled'],
+      time: { from: since },
+    }),
     colWithdrawals.find({
-      vault_id: vaultId,
+      vaultId,
       chain,
-      status: { $in: ['pending', 'settled', 'withdrawn'] },
-      created_at: { $gte: since },
-    }).toArray(),
+      statuses: ['pending', 'settled', 'withdrawn'],
+      time: { from: since },
+    }),
   ]);
   let depositsSum = 0n;
   for (const d of deposits) depositsSum += BigInt(d.amount || '0');
@@ -59,15 +56,15 @@ export async function getNetFlows(colDeposits, colWithdrawals, vaultId, chain, d
 
 export async function getAvgDepositDuration(colDeposits, colWithdrawals, vaultId, chain) {
   const deposits = await colDeposits.find({
-    vault_id: vaultId,
+    vaultId,
     chain,
-    status: { $in: ['executed', 'settled'] },
-  }).toArray();
+    statuses: ['executed', 'settled'],
+  });
   const withdrawals = await colWithdrawals.find({
-    vault_id: vaultId,
+    vaultId,
     chain,
-    status: { $in: ['withdrawn'] },
-  }).toArray();
+    statuses: ['withdrawn'],
+  });
   const withdrawByUser = new Map();
   for (const w of withdrawals) {
     const u = (w.user_address || '').toLowerCase();
@@ -79,7 +76,7 @@ export async function getAvgDepositDuration(colDeposits, colWithdrawals, vaultId
   const now = Date.now();
   for (const d of deposits) {
     const u = (d.user_address || d.owner || '').toLowerCase();
-    const depositTime = new Date(d.created_at || d.executed_at || 0).getTime();
+    const depositTime = new Date(d.block_timestamp || d.created_at || d.executed_at || 0).getTime();
     const withdrawTime = withdrawByUser.get(u) || now;
     if (withdrawTime > depositTime) {
       sumDays += (withdrawTime - depositTime) / (24 * 60 * 60 * 1000);
@@ -91,10 +88,10 @@ export async function getAvgDepositDuration(colDeposits, colWithdrawals, vaultId
 
 export async function getUniqueDepositors(colDeposits, vaultId, chain) {
   const docs = await colDeposits.find({
-    vault_id: vaultId,
+    vaultId,
     chain,
-    status: { $in: ['executed', 'settled'] },
-  }).toArray();
+    statuses: ['executed', 'settled'],
+  });
   const set = new Set(docs.map(d => (d.user_address || d.owner || '').toLowerCase()).filter(Boolean));
   return set.size;
 }
@@ -103,21 +100,19 @@ export async function getSnapshotsForPeriod(colSnapshots, vaultId, chain, days)
   const since = new Date();
   since.setUTCDate(since.getUTCDate() - days);
   const sinceKey = since.toISOString().slice(0, 10);
-  return colSnapshots
-    .find({ vault_id: vaultId, chain, date: { $gte: sinceKey } })
-    .sort({ date: 1 })
-    .toArray();
+  return colSnapshots.find({ vaultId, chain, dateRange: { from: sinceKey } });
 }
 
 const warnedVaults = new Set();
 
 function getSharePrice(snapshot) {
   const vaultId = snapshot?.vault_id || 'unknown';
-  if (snapshot?.share_price && snapshot.share_price !== '0') {
-    return Number(BigInt(snapshot.share_price)) / 1e6;
+  const sharePrice = snapshot?.vault_share_price ?? snapshot?.share_price;
+  if (sharePrice && sharePrice !== '0') {
+    return Number(BigInt(sharePrice)) / 1e6;
   }
-  const assets = BigInt(snapshot?.total_assets || '0');
-  const supply = BigInt(snapshot?.total_supply || '0');
+  const assets = BigInt(snapshot?.vault_total_assets || '0');
+  const supply = BigInt(snapshot?.vault_total_supply || '0');
   if (assets === 0n) return null;
   if (supply === 0n) {
     if (!warnedVaults.has(vaultId)) {
@@ -1,16 +1,30 @@
+import { normalizeAddress } from 'yieldo-storage';
 import * as S from './scoring.js';
 import { fetchLagoonVaultData, getAprAsDecimal, isVaultPaused } from './lagoon-api.js';
 import { runVaultAnalytics } from './vault-analytics.js';
 
+// Ratings are read next to the indexer's documents, which store addresses checksummed. A user
+// whose address does not parse is left out rather than failing the vault's rating.
+function withChecksummedAddresses(users, vaultId) {
+  return users?.flatMap(u => {
+    try {
+      return [{ ...u, address: normalizeAddress(u.address) }];
+    } catch (error) {
+      console.warn(`[vault-kpi] ${vaultId}: Skipping user entry: ${error.message}`);
+      return [];
+    }
+  });
+}
+
 export async function runVaultKPI({
-  db,
+  storage,
   getClientForVault,
   VAULTS_CONFIG,
   getVaultById,
   options = {},
 }) {
-  const colVaultRatings = db.collection('vault_ratings');
-  const colVaultRatingHistory = db.collection('vault_rating_history');
+  const colVaultRatings = storage.ratings;
+  const colVaultRatingHistory = storage.ratingHistory;
 
   const now = new Date();
   const results = [];
@@ -84,9 +98,9 @@ export async function runVaultKPI({
           avgDepositsPerUser: userAnalytics.avgDepositsPerUser,
           usersWithMultipleDeposits: userAnalytics.usersWithMultipleDeposits,
           trustScore: userAnalytics.trustScore,
-          longTermHolders: userAnalytics.longTermHolders,
-          smartDepositors: userAnalytics.smartDepositors,
-          likelyFarmers: userAnalytics.likelyFarmers,
+          longTermHolders: withChecksummedAddresses(userAnalytics.longTermHolders, vaultConfig.id),
+          smartDepositors: withChecksummedAddresses(userAnalytics.smartDepositors, vaultConfig.id),
+          likelyFarmers: withChecksummedAddresses(userAnalytics.likelyFarmers, vaultConfig.id),
         } : null,
       };
 
@@ -106,7 +120,7 @@ export async function runVaultKPI({
       const doc = {
         vault_id: vaultConfig.id,
         vault_name: lagoonData.name || vaultConfig.name,
-        vault_address: vaultConfig.address,
+        vault_address: normalizeAddress(vaultConfig.address),
         chain: vaultConfig.chain,
         asset_symbol: lagoonData.asset?.symbol ?? vaultConfig.asset?.symbol ?? 'USDC',
         metrics,
@@ -117,13 +131,9 @@ export async function runVaultKPI({
         lagoon_data: lagoonData,
       };
 
-      await colVaultRatings.updateOne(
-        { vault_id: vaultConfig.id, chain: vaultConfig.chain },
-        { $set: doc },
-        { upsert: true }
-      );
+      await colVaultRatings.upsert({ vaultId: vaultConfig.id, chain: vaultConfig.chain }, doc);
 
-      await colVaultRatingHistory.insertOne({
+      await colVaultRatingHistory.insert({
         vault_id: vaultConfig.id,
         chain: vaultConfig.chain,
         snapshot_at: now,
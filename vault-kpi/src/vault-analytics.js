@@ -1,10 +1,5 @@
 const LAGOON_TX_API = 'https://app.lagoon.finance/api/transaction-history';
 
-const CHAIN_ID_MAP = {
-  ethereum: 1,
-  avalanche: 43114,
-};
-
 async function fetchAllTransactions(vaultAddress, chainId) {
   const transactions = [];
   let offset = 0;
@@ -252,11 +247,10 @@ function calculateTrustScore(analytics) {
 }
 
 export async function runVaultAnalytics(client, vaultConfig) {
-  const chain = (vaultConfig.chain || '').toLowerCase();
-  const chainId = CHAIN_ID_MAP[chain];
+  const chainId = vaultConfig.chainId;
   
   if (!chainId) {
-    console.warn(`[vault-analytics] Unknown chain: ${chain}`);
+    console.warn(`[vault-analytics] Unknown chain: ${vaultConfig.chain}`);
     return null;
   }
 
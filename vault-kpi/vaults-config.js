@@ -1,50 +1,17 @@
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { loadVaultRegistry } from '../config/vaults.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 dotenv.config({ path: join(__dirname, '..', '.env') });
 dotenv.config({ path: join(__dirname, '.env') });
 
-export const VAULTS_CONFIG = [
-  {
-    id: 'turtle-avalanche-usdc',
-    name: 'Turtle Avalanche USDC',
-    address: process.env.LAGOON_VAULT_ADDRESS || '0x3048925b3ea5a8c12eecccb8810f5f7544db54af',
-    chain: 'avalanche',
-    chainId: 43114,
-    asset: {
-      address: '0xB97EF9Ef8734C71904D8002F8b6Bc66Dd9c48a6E',
-      symbol: 'USDC',
-      decimals: 6,
-    },
-    rpcUrls: [
-      process.env.AVALANCHE_RPC_URL || 'https://api.avax.network/ext/bc/C/rpc',
-    ],
-    safetyMargin: BigInt(process.env.AVALANCHE_SAFETY_MARGIN || '30'),
-  },
-  {
-    id: '9summits-ethereum-usdc',
-    name: '9Summits Flagship USDC',
-    address: '0x03d1ec0d01b659b89a87eabb56e4af5cb6e14bfc',
-    chain: 'ethereum',
-    chainId: 1,
-    asset: {
-      address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
-      symbol: 'USDC',
-      decimals: 6,
-    },
-    rpcUrls: [
-      ...(process.env.ETHEREUM_RPC_URL ? [process.env.ETHEREUM_RPC_URL] : []),
-      'https://1rpc.io/eth',
-      'https://rpc.ankr.com/eth',
-      'https://eth-mainnet.public.blastapi.io',
-      ...(process.env.ETHEREUM_RPC_URL ? [] : ['https://eth.llamarpc.com']),
-    ],
-    safetyMargin: BigInt(process.env.ETHEREUM_SAFETY_MARGIN || '10'),
-  },
-];
+const registry = loadVaultRegistry();
+
+export const CHAINS = registry.chains;
+export const VAULTS_CONFIG = registry.vaults;
 
 export function getVaultById(id) {
   return VAULTS_CONFIG.find(v => v.id === id);
@@ -55,3 +22,7 @@ export function getVaultByAddress(address, chain) {
     v.address.toLowerCase() === address.toLowerCase() && v.chain === chain
   );
 }
+
+export function getChainByKey(key) {
+  return CHAINS.find(c => c.key === key);
+}